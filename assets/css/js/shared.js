@@ -205,27 +205,93 @@ class PeThoriaApp {
       this.checkForNotifications();
     }, 30000);
 
-    // Simulate random notifications for demo
-    this.startDemoNotifications();
+    // Live notifications from the server
+    this.connectRealtime();
   }
 
-  startDemoNotifications() {
-    const demoNotifications = [
-      { title: 'New Match!', message: 'You have a new pet match with Luna the Golden Retriever', type: 'success' },
-      { title: 'Message Received', message: 'Sarah sent you a message about the playdate', type: 'info' },
-      { title: 'Match Request', message: 'Max the Labrador wants to be friends!', type: 'info' },
-      { title: 'System Update', message: 'New features are now available in your dashboard', type: 'warning' },
-      { title: 'Reward Earned', message: 'You earned 50 points for being active!', type: 'success' }
-    ];
+  connectRealtime() {
+    const token = localStorage.getItem('token');
+    if (!token || !('WebSocket' in window)) return;
 
-    let notificationIndex = 0;
-    setInterval(() => {
-      if (Math.random() > 0.7) { // 30% chance every interval
-        const notification = demoNotifications[notificationIndex % demoNotifications.length];
-        this.showNotification(notification.title, notification.message, notification.type);
-        notificationIndex++;
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = window.PETHORIA_WS_URL || `${protocol}//${window.location.host}/ws`;
+
+    this.socket = new WebSocket(url);
+    this.reconnectAttempts = this.reconnectAttempts || 0;
+
+    this.socket.addEventListener('open', () => {
+      this.socket.send(JSON.stringify({ type: 'auth', token }));
+    });
+
+    this.socket.addEventListener('message', (event) => {
+      let payload;
+      try {
+        payload = JSON.parse(event.data);
+      } catch (error) {
+        return;
       }
-    }, 15000); // Every 15 seconds
+      this.handleRealtimeEvent(payload.type, payload.data || {});
+    });
+
+    this.socket.addEventListener('close', async (event) => {
+      this.socket = null;
+      // 4001 means the token was rejected - try once to refresh it, but don't
+      // hammer the server with a token that is no longer any good
+      if (event.code === 4001) {
+        if (await this.refreshSession()) this.connectRealtime();
+        return;
+      }
+
+      const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+      this.reconnectAttempts++;
+      setTimeout(() => this.connectRealtime(), delay);
+    });
+  }
+
+  handleRealtimeEvent(type, data) {
+    switch (type) {
+      case 'ready':
+        this.reconnectAttempts = 0;
+        break;
+      case 'message:new':
+        if (!data.isMine) {
+          this.showNotification('Message Received', `${this.escapeHtml(data.senderName || 'Someone')} sent you a message`, 'info');
+        }
+        break;
+      case 'match:new':
+        this.showNotification('New Match!', `You have a new match with ${this.escapeHtml(data.name)}`, 'success');
+        break;
+      case 'superlike:received':
+        this.showNotification('Superlike!', `${this.escapeHtml(data.name || 'Someone')} superliked you`, 'success');
+        break;
+      case 'search:new_matches':
+        this.showNotification('New Matches', `${data.count} new ${data.count === 1 ? 'match' : 'matches'} for "${this.escapeHtml(data.name || 'your saved search')}"`, 'info');
+        break;
+      case 'membership:expiring':
+        this.showNotification('Premium Ending Soon', `Your premium membership ends on ${new Date(data.endDate).toLocaleDateString()}. Renew to keep your premium features.`, 'warning');
+        break;
+      case 'membership:revoked':
+        if (data.reason === 'expired') {
+          this.showNotification('Premium Expired', 'Your premium membership has ended. Renew any time to get it back.', 'warning');
+        }
+        break;
+      case 'verification:status':
+        if (data.status === 'approved') {
+          this.showNotification('Verified!', 'Your ID verification was approved', 'success');
+        } else if (data.status === 'rejected') {
+          this.showNotification('Verification Update', this.escapeHtml(data.reason || 'Your ID verification was not approved'), 'warning');
+        }
+        break;
+    }
+
+    // Let individual pages (chat, matches, profile) react to live events
+    window.dispatchEvent(new CustomEvent(`pethoria:${type}`, { detail: data }));
+  }
+
+  sendTyping(recipientId, isTyping = true) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'typing', recipientId, isTyping }));
+    }
   }
 
   checkForNotifications() {
@@ -451,6 +517,12 @@ class PeThoriaApp {
   }
 
   // Utility Methods
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
   formatNumber(num) {
     if (num >= 1000000) {
       return (num / 1000000).toFixed(1) + 'M';
@@ -491,7 +563,7 @@ class PeThoriaApp {
   }
 
   // API Helpers
-  async fetchWithAuth(url, options = {}) {
+  async fetchWithAuth(url, options = {}, retried = false) {
     const token = localStorage.getItem('token');
     const defaultOptions = {
       headers: {
@@ -500,7 +572,47 @@ class PeThoriaApp {
       }
     };
 
-    return fetch(url, { ...defaultOptions, ...options });
+    const response = await fetch(url, { ...defaultOptions, ...options });
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (response.status === 401 && !retried) {
+      const body = await response.clone().json().catch(() => ({}));
+      if (body.code === 'token_expired' && await this.refreshSession()) {
+        return this.fetchWithAuth(url, options, true);
+      }
+    }
+
+    return response;
+  }
+
+  // Swap the refresh token for a new token pair. Concurrent callers share one
+  // request so the refresh token is only spent once.
+  refreshSession() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+
+    if (!this.refreshing) {
+      this.refreshing = fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (!data.success) {
+            localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
+            return false;
+          }
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refreshToken);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => { this.refreshing = null; });
+    }
+
+    return this.refreshing;
   }
 
   // Performance Monitoring
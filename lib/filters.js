@@ -0,0 +1,188 @@
+const { SPECIES, SIZES, TEMPERAMENTS, BREEDS, normalizeBreed, getPetAge } = require('./pets');
+
+// Filter schema for /api/matches/filtered (and saved searches).
+//
+// Every filter is optional. Multi-select filters take an array or a single
+// value. Anything not listed here, or with the wrong shape, is an error.
+
+const PET_AGE_GROUPS = {
+  puppy: { min: 0, max: 1 },
+  young: { min: 1, max: 3 },
+  adult: { min: 3, max: 7 },
+  senior: { min: 7, max: 100 }
+};
+
+const GENDERS = ['male', 'female', 'other'];
+
+const MAX_RADIUS = 100; // miles
+const MAX_TEXT_LENGTH = 100;
+const MAX_SELECTIONS = 20;
+const ONLINE_RECENTLY_HOURS = 24;
+
+// Older clients send these names
+const ALIASES = {
+  petType: 'species',
+  ageRange: 'petAge',
+  petSize: 'size'
+};
+
+const FIELDS = [
+  'radius', 'city', 'state', 'species', 'breed', 'size', 'temperament', 'petAge',
+  'ownerGender', 'ownerAge', 'verifiedOnly', 'hasPhotos', 'onlineRecently', 'prioritizeRealUsers'
+];
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return [value];
+}
+
+// Validate a multi-select filter against its allowed values
+function parseChoices(errors, name, value, allowed) {
+  const list = toList(value);
+  if (list.length > MAX_SELECTIONS || list.some(item => typeof item !== 'string' || !allowed.includes(item.toLowerCase()))) {
+    errors.push(`${name} must only contain ${allowed.join(', ')}`);
+    return null;
+  }
+  const choices = [...new Set(list.map(item => item.toLowerCase()))];
+  return choices.length > 0 ? choices : null;
+}
+
+function parseText(errors, name, value) {
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_TEXT_LENGTH) {
+    errors.push(`${name} must be text of up to ${MAX_TEXT_LENGTH} characters`);
+    return null;
+  }
+  return value.trim();
+}
+
+function parseBoolean(errors, name, value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  errors.push(`${name} must be true or false`);
+  return null;
+}
+
+// Validate filters from a request body.
+// Returns { errors, filters } where filters holds the cleaned values.
+function parseMatchFilters(input = {}) {
+  const errors = [];
+  const filters = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['filters must be an object'], filters };
+  }
+
+  const raw = {};
+  for (const [key, value] of Object.entries(input)) {
+    const field = ALIASES[key] || key;
+    if (!FIELDS.includes(field)) {
+      errors.push(`Unknown filter "${key}"`);
+    } else if (value !== undefined && value !== null && value !== '') {
+      raw[field] = value;
+    }
+  }
+
+  if (raw.radius !== undefined) {
+    const radius = Number(raw.radius);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS) {
+      errors.push(`radius must be between 0 and ${MAX_RADIUS} miles`);
+    } else {
+      filters.radius = radius;
+    }
+  }
+
+  for (const field of ['city', 'state']) {
+    if (raw[field] !== undefined) {
+      const text = parseText(errors, field, raw[field]);
+      if (text) filters[field] = text;
+    }
+  }
+
+  if (raw.species !== undefined) {
+    const species = parseChoices(errors, 'species', raw.species, SPECIES);
+    if (species) filters.species = species;
+  }
+
+  if (raw.breed !== undefined) {
+    const breeds = toList(raw.breed);
+    if (breeds.length > MAX_SELECTIONS || breeds.some(breed => typeof breed !== 'string' || !breed.trim() || breed.length > MAX_TEXT_LENGTH)) {
+      errors.push(`breed must be a list of up to ${MAX_SELECTIONS} breed names`);
+    } else {
+      // Use the canonical spelling when the breed is on one of the known lists
+      const species = filters.species || Object.keys(BREEDS);
+      filters.breed = [...new Set(breeds.map(breed => {
+        const name = breed.trim().replace(/_/g, ' ');
+        for (const kind of species) {
+          const known = BREEDS[kind] && normalizeBreed(kind, name);
+          if (known) return known;
+        }
+        return name;
+      }))];
+    }
+  }
+
+  if (raw.size !== undefined) {
+    const sizes = parseChoices(errors, 'size', raw.size, SIZES);
+    if (sizes) filters.size = sizes;
+  }
+
+  if (raw.temperament !== undefined) {
+    const temperament = parseChoices(errors, 'temperament', raw.temperament, TEMPERAMENTS);
+    if (temperament) filters.temperament = temperament;
+  }
+
+  if (raw.petAge !== undefined) {
+    const petAge = parseChoices(errors, 'petAge', raw.petAge, Object.keys(PET_AGE_GROUPS));
+    if (petAge) filters.petAge = petAge;
+  }
+
+  if (raw.ownerGender !== undefined) {
+    const genders = parseChoices(errors, 'ownerGender', raw.ownerGender, GENDERS);
+    if (genders) filters.ownerGender = genders;
+  }
+
+  if (raw.ownerAge !== undefined) {
+    const { min, max } = typeof raw.ownerAge === 'object' ? raw.ownerAge : {};
+    const isValidAge = value => value === undefined || (Number.isInteger(value) && value >= 18 && value <= 120);
+    if (typeof raw.ownerAge !== 'object' || (min === undefined && max === undefined) ||
+        !isValidAge(min) || !isValidAge(max) || (min !== undefined && max !== undefined && min > max)) {
+      errors.push('ownerAge must be { min, max } with whole ages between 18 and 120 and min <= max');
+    } else {
+      filters.ownerAge = { min, max };
+    }
+  }
+
+  for (const field of ['verifiedOnly', 'hasPhotos', 'onlineRecently', 'prioritizeRealUsers']) {
+    if (raw[field] !== undefined) {
+      const value = parseBoolean(errors, field, raw[field]);
+      if (value !== null) filters[field] = value;
+    }
+  }
+
+  return { errors, filters };
+}
+
+// Whether a pet satisfies the pet filters (species, breed, size, temperament, age)
+function petMatchesFilters(pet, filters) {
+  if (!pet.isActive) return false;
+  if (filters.species && !filters.species.includes(pet.type)) return false;
+  if (filters.breed && !filters.breed.some(breed => (pet.breed || '').toLowerCase() === breed.toLowerCase())) return false;
+  if (filters.size && !filters.size.includes(pet.size)) return false;
+  if (filters.temperament && !(pet.temperament || []).some(value => filters.temperament.includes(value))) return false;
+  if (filters.petAge) {
+    const age = getPetAge(pet);
+    if (age === null) return false;
+    if (!filters.petAge.some(group => age >= PET_AGE_GROUPS[group].min && age < PET_AGE_GROUPS[group].max)) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  PET_AGE_GROUPS,
+  GENDERS,
+  MAX_RADIUS,
+  ONLINE_RECENTLY_HOURS,
+  parseMatchFilters,
+  petMatchesFilters
+};
@@ -0,0 +1,109 @@
+const sharp = require('sharp');
+
+// Image processing pipeline for user uploads.
+//
+// Uploads are identified by their magic bytes (the client-supplied mimetype is
+// not trusted), rejected if animated or too large, auto-rotated and re-encoded
+// without any EXIF/GPS metadata, and resized into the variants below.
+
+const MAX_DIMENSION = 8000; // pixels per side
+const MAX_PIXELS = 40 * 1000 * 1000; // 40 megapixels
+
+const VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 800, fit: 'cover' },
+  full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+class ImageProcessingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ImageProcessingError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+// Detect the real image type from the file signature
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  const gifHeader = buffer.toString('ascii', 0, 6);
+  if (gifHeader === 'GIF87a' || gifHeader === 'GIF89a') {
+    return 'gif';
+  }
+  return null;
+}
+
+// Validate an uploaded image and render every variant as WebP.
+// Resolves to { thumbnail, card, full } buffers, or rejects with an ImageProcessingError.
+async function processImage(buffer) {
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new ImageProcessingError('Unsupported image format. Please upload a JPEG, PNG, WebP or GIF image', 'UNSUPPORTED_FORMAT');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { animated: true, limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new ImageProcessingError('Image file is corrupted or could not be read', 'INVALID_IMAGE');
+  }
+
+  if ((metadata.pages || 1) > 1) {
+    throw new ImageProcessingError('Animated images are not supported', 'ANIMATED_IMAGE');
+  }
+
+  const width = metadata.width || 0;
+  const height = metadata.pageHeight || metadata.height || 0;
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION || width * height > MAX_PIXELS) {
+    throw new ImageProcessingError(`Image is too large. Maximum size is ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`, 'IMAGE_TOO_LARGE');
+  }
+
+  const variants = {};
+  try {
+    for (const [name, size] of Object.entries(VARIANTS)) {
+      // rotate() applies the EXIF orientation; sharp drops all metadata on output
+      variants[name] = await sharp(buffer, { failOn: 'error' })
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw new ImageProcessingError('Image file is corrupted or could not be read', 'INVALID_IMAGE');
+  }
+
+  return variants;
+}
+
+// Stored images keep only the URL of their full variant; the other variants
+// sit next to it with the same base name.
+function imageVariants(url) {
+  if (!url || !url.endsWith('-full.webp')) {
+    return { thumbnail: url, card: url, full: url };
+  }
+  const base = url.slice(0, -'-full.webp'.length);
+  return {
+    thumbnail: `${base}-thumbnail.webp`,
+    card: `${base}-card.webp`,
+    full: url
+  };
+}
+
+module.exports = {
+  VARIANTS,
+  ImageProcessingError,
+  sniffImageType,
+  processImage,
+  imageVariants
+};
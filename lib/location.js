@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Location privacy.
+//
+// Stored coordinates are snapped to a grid of roughly GRID_MILES cells and
+// then moved by a fixed random offset per user, so repeated searches from
+// different places can't narrow a user down past their cell. Distances shown
+// to other users are rounded into buckets.
+
+const GRID_MILES = 1;
+const MILES_PER_DEGREE = 69.05; // One degree of latitude
+const MAX_JITTER = 0.45; // Fraction of a cell, kept under half so fuzzing is repeatable
+
+const round6 = value => Math.round(value * 1e6) / 1e6;
+
+// A random per-user offset, as [lng, lat] fractions of a grid cell
+function createJitter() {
+  const offset = () => (crypto.randomInt(0, 1000000) / 1000000 * 2 - 1) * MAX_JITTER;
+  return [offset(), offset()];
+}
+
+// Snap [lng, lat] to its grid cell and apply the user's jitter.
+// Fuzzing already fuzzed coordinates with the same jitter returns them unchanged.
+function fuzzCoordinates([lng, lat], jitter) {
+  const latCell = GRID_MILES / MILES_PER_DEGREE;
+  const cellLat = Math.round(lat / latCell) * latCell;
+  // Cells get narrower in degrees of longitude away from the equator
+  const lngCell = latCell / Math.max(Math.cos(cellLat * Math.PI / 180), 0.01);
+  const cellLng = Math.round(lng / lngCell) * lngCell;
+
+  return [
+    round6(Math.min(Math.max(cellLng + jitter[0] * lngCell, -180), 180)),
+    round6(Math.min(Math.max(cellLat + jitter[1] * latCell, -90), 90))
+  ];
+}
+
+// Round a distance in miles to the bucket it's shown as (0 means under a mile)
+function roundDistance(miles) {
+  if (miles < 1) return 0;
+  if (miles <= 10) return Math.round(miles);
+  if (miles <= 50) return Math.round(miles / 5) * 5;
+  return Math.round(miles / 10) * 10;
+}
+
+// Distance label for another user: "< 1 mile", "1 mile", "15 miles"...
+function formatDistance(miles) {
+  const rounded = roundDistance(miles);
+  if (rounded === 0) return '< 1 mile';
+  return rounded === 1 ? '1 mile' : `${rounded} miles`;
+}
+
+// Distance label for a user who may have hidden their distance
+function describeDistance(miles, user) {
+  if (user && user.hideDistance) return 'Distance hidden';
+  if (typeof miles !== 'number' || !Number.isFinite(miles)) return 'Unknown';
+  return formatDistance(miles);
+}
+
+module.exports = {
+  GRID_MILES,
+  createJitter,
+  fuzzCoordinates,
+  roundDistance,
+  formatDistance,
+  describeDistance
+};
@@ -0,0 +1,15 @@
+// Mail driver that only logs who a message went to. The default in development.
+// Bodies hold live sign-in links, so they aren't logged; use the file driver to
+// read them.
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}`);
+    return { id: `console-${Date.now()}` };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,23 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Mail driver that writes each message to MAIL_FILE_DIR (default ./mail-outbox)
+// as JSON, so tests and local setups can read the links that were sent.
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = path.resolve(options.directory || process.env.MAIL_FILE_DIR || 'mail-outbox');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(
+      path.join(this.directory, `${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,52 @@
+// Outgoing email.
+//
+// Every transport implements send({ from, to, subject, text, html }) -> { id }.
+// MAIL_DRIVER selects it ('smtp', 'file' or 'console'); without it SMTP is used
+// when SMTP_HOST is set and messages are only logged otherwise.
+//
+// In production only SMTP counts: with anything else the mailer is disabled
+// (enabled: false, send() rejects), since verification and reset links would
+// never reach anyone.
+
+const transports = {
+  console: () => require('./console'),
+  file: () => require('./file'),
+  smtp: () => require('./smtp')
+};
+
+function selectDriver() {
+  if (process.env.MAIL_DRIVER) {
+    return process.env.MAIL_DRIVER;
+  }
+  return process.env.SMTP_HOST ? 'smtp' : 'console';
+}
+
+function createMailer(driverName = selectDriver(), options = {}) {
+  if (!transports[driverName]) {
+    throw new Error(`Unknown mail driver: ${driverName}`);
+  }
+  if (process.env.NODE_ENV === 'production' && driverName !== 'smtp') {
+    return {
+      name: 'disabled',
+      enabled: false,
+      async send() {
+        throw new Error(`Email is disabled: the ${driverName} mail driver can't deliver in production`);
+      }
+    };
+  }
+  const Transport = transports[driverName]();
+  const transport = new Transport(options);
+  const from = options.from || process.env.MAIL_FROM || 'PeThoria <no-reply@pethoria.com>';
+
+  return {
+    name: transport.name,
+    enabled: true,
+    async send(message) {
+      return transport.send({ from, ...message });
+    }
+  };
+}
+
+module.exports = {
+  createMailer
+};
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// SMTP mail driver. Needs SMTP_HOST, and usually SMTP_PORT, SMTP_USER and SMTP_PASS.
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    const port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+
+    this.transporter = options.transporter || nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? {
+        user: options.user || process.env.SMTP_USER,
+        pass: options.pass || process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,95 @@
+// Email templates. Each returns { subject, text, html } for mailer.send().
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function layout(title, paragraphs, action) {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1f2937;">
+      <h2 style="color: #7c3aed;">🐾 ${escapeHtml(title)}</h2>
+      ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+      ${action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 24px; background: #7c3aed; color: #fff; border-radius: 8px; text-decoration: none;">${escapeHtml(action.label)}</a></p>
+      <p style="font-size: 12px; color: #6b7280;">Or copy this link into your browser: ${escapeHtml(action.url)}</p>` : ''}
+      <p style="font-size: 12px; color: #6b7280;">The PeThoria Team</p>
+    </div>`;
+  const text = [...paragraphs, action ? `${action.label}: ${action.url}` : '', 'The PeThoria Team']
+    .filter(Boolean)
+    .join('\n\n');
+  return { subject: title, text, html };
+}
+
+function verifyEmail({ name, url }) {
+  return layout('Verify your PeThoria email', [
+    `Hi ${name},`,
+    'Please confirm your email address to finish setting up your account. This link expires in 24 hours.'
+  ], { label: 'Verify email', url });
+}
+
+// usesGoogle: the account has no password yet and signs in with Google
+function passwordReset({ name, url, usesGoogle = false }) {
+  return layout('Reset your PeThoria password', [
+    `Hi ${name},`,
+    usesGoogle
+      ? 'We received a request to reset your password. Your account signs in with Google, so you can keep using "Sign in with Google", or set a password below to also sign in with your email. This link expires in 1 hour and can only be used once.'
+      : 'We received a request to reset your password. This link expires in 1 hour and can only be used once.',
+    'If you didn\'t ask for this, you can ignore this email - your password won\'t change.'
+  ], { label: usesGoogle ? 'Set a password' : 'Reset password', url });
+}
+
+// Sent instead of a second account when someone registers with a taken address.
+// usesGoogle: the account has no password yet and signs in with Google
+function accountExists({ name, url, usesGoogle = false }) {
+  return layout('You already have a PeThoria account', [
+    `Hi ${name},`,
+    'Someone just tried to create a new PeThoria account with this email address, which already has one.',
+    usesGoogle
+      ? 'If it was you, sign in with Google, or set a password below to also sign in with your email. This link expires in 1 hour and can only be used once.'
+      : 'If it was you, sign in with your password, or reset it below if you\'ve forgotten it. This link expires in 1 hour and can only be used once.',
+    'If it wasn\'t you, you can ignore this email - nothing about your account has changed.'
+  ], { label: usesGoogle ? 'Set a password' : 'Reset password', url });
+}
+
+function passwordChanged({ name }) {
+  return layout('Your PeThoria password was changed', [
+    `Hi ${name},`,
+    'The password for your account was just set or changed.',
+    'If this wasn\'t you, reset your password right away and contact support.'
+  ]);
+}
+
+// searches: [{ name, profiles: [name, ...] }]
+function savedSearchDigest({ name, searches, url }) {
+  const total = searches.reduce((sum, search) => sum + search.profiles.length, 0);
+  return layout(`${total} new ${total === 1 ? 'profile matches' : 'profiles match'} your saved searches`, [
+    `Hi ${name},`,
+    ...searches.map(search => {
+      const shown = search.profiles.slice(0, 5).join(', ');
+      const more = search.profiles.length > 5 ? ` and ${search.profiles.length - 5} more` : '';
+      return `"${search.name}": ${shown}${more}`;
+    }),
+    'You can turn these emails off from your saved searches.'
+  ], { label: 'See new matches', url });
+}
+
+function membershipRenewalReminder({ name, plan, endDate, url }) {
+  const date = endDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  return layout(`Your PeThoria Premium membership ends on ${date}`, [
+    `Hi ${name},`,
+    `Your ${plan} premium membership ends on ${date}. Renew before then to keep messaging without a match, travel mode, extra superlikes and your other premium features.`,
+    'Renewing early adds the new time onto the end of your current membership, so you won\'t lose any days.'
+  ], { label: 'Renew membership', url });
+}
+
+module.exports = {
+  verifyEmail,
+  passwordReset,
+  accountExists,
+  passwordChanged,
+  savedSearchDigest,
+  membershipRenewalReminder
+};
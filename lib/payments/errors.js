@@ -0,0 +1,12 @@
+// A payment that can't go ahead: a bad plan, a failed signature check, or a
+// provider response that doesn't match what was ordered.
+class PaymentError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = PaymentError;
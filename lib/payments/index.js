@@ -0,0 +1,26 @@
+// Membership payments.
+//
+// Each provider turns a confirmed payment into an activation
+// { userId, plan, transactionId, amount, currency, raw } that the server
+// records in the Transaction ledger; membership is then computed from the
+// ledger. Prices come from plans.js only.
+
+const { PLANS, getPlan } = require('./plans');
+const { LIFETIME_END, computeMembership, getMembershipStatus, hasPremium } = require('./membership');
+const PaymentError = require('./errors');
+const StripePayments = require('./stripe');
+const PayPalPayments = require('./paypal');
+const SquarePayments = require('./square');
+
+module.exports = {
+  PLANS,
+  getPlan,
+  LIFETIME_END,
+  computeMembership,
+  getMembershipStatus,
+  hasPremium,
+  PaymentError,
+  StripePayments,
+  PayPalPayments,
+  SquarePayments
+};
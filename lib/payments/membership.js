@@ -0,0 +1,129 @@
+const { PLANS } = require('./plans');
+
+// Membership from the payment ledger.
+//
+// Every succeeded payment buys its plan's duration. A payment made while a
+// membership is still running extends it rather than overlapping it, so
+// renewing early never loses days. Refunded or disputed payments buy nothing.
+// A renewal that fails keeps the membership going for a grace period after it
+// ends, to give the user time to pay. Only a real decline counts: a payment
+// for the current plan that the provider turned down, made in the renewal
+// window before the end date (or after it).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIFETIME_END = new Date('2099-12-31');
+
+// Failures that aren't a provider turning down a payment: order ids that are
+// unknown, someone else's or never approved, wrong amounts, abandoned
+// checkouts, invalid plans and our own errors
+const NOT_DECLINES = new Set([
+  'order_not_found',
+  'order_mismatch',
+  'order_not_approved',
+  'amount_mismatch',
+  'checkout_expired',
+  'invalid_plan',
+  'capture_error'
+]);
+
+// Work out a user's membership from their transactions (any status, any order).
+// Returns null if they have never paid, otherwise
+// { active, inGrace, plan, startDate, endDate, graceEndDate, transaction }
+// where startDate is the start of the current unbroken run of paid periods,
+// plan and transaction the ones paying for now (or, once lapsed, for the last
+// period), and graceEndDate is set when a renewal failed. renewalWindowDays is
+// how long before the end date a failed payment counts as a renewal.
+function computeMembership(transactions, now = new Date(), { graceDays = 0, renewalWindowDays = 7 } = {}) {
+  const paid = transactions
+    .filter(transaction => transaction.status === 'succeeded' && PLANS[transaction.plan])
+    .map(transaction => ({ transaction, paidAt: new Date(transaction.paidAt || transaction.createdAt) }))
+    .sort((a, b) => a.paidAt - b.paidAt);
+
+  if (paid.length === 0) {
+    return null;
+  }
+
+  let membership = null;
+  for (const { transaction, paidAt } of paid) {
+    const continues = membership && paidAt <= membership.endDate;
+    const start = continues ? membership.endDate : paidAt;
+    const { durationDays } = PLANS[transaction.plan];
+    const endDate = durationDays === null || start >= LIFETIME_END
+      ? LIFETIME_END
+      : new Date(Math.min(start.getTime() + durationDays * DAY_MS, LIFETIME_END.getTime()));
+
+    // Periods paid for in advance don't change what the user has right now
+    const current = !membership || start <= now;
+    membership = {
+      plan: current ? transaction.plan : membership.plan,
+      startDate: continues ? membership.startDate : paidAt,
+      endDate,
+      transaction: current ? transaction : membership.transaction
+    };
+  }
+
+  let graceEndDate = null;
+  const renewalWindowStart = Math.max(
+    membership.startDate.getTime(),
+    membership.endDate.getTime() - renewalWindowDays * DAY_MS
+  );
+  const failedRenewal = transactions.some(transaction =>
+    transaction.status === 'failed' &&
+    !NOT_DECLINES.has(transaction.failureCode) &&
+    transaction.plan === membership.plan &&
+    new Date(transaction.createdAt).getTime() >= renewalWindowStart);
+  if (graceDays > 0 && failedRenewal && membership.endDate < LIFETIME_END) {
+    graceEndDate = new Date(membership.endDate.getTime() + graceDays * DAY_MS);
+  }
+
+  const active = membership.startDate <= now && now < membership.endDate;
+  return {
+    active,
+    inGrace: !active && graceEndDate !== null && membership.endDate <= now && now < graceEndDate,
+    ...membership,
+    graceEndDate
+  };
+}
+
+// A user's membership status right now, from the membership fields that
+// syncMembership keeps on User: 'active', 'grace' (lapsed, but a renewal
+// failed and the grace period is still running), 'expired', 'cancelled' or
+// 'none'. The dates are checked here too, so a membership stops counting
+// the moment it lapses even before the expiry job has caught up with it.
+// Throws for a user document loaded without membershipEndDate, which would
+// otherwise pass for a membership without an end; one that really has none
+// counts as expired (scripts/migrate-payments.js fills them in).
+function getMembershipStatus(user, now = new Date()) {
+  if (!user) {
+    return 'none';
+  }
+  if (typeof user.isSelected === 'function' && !user.isSelected('membershipEndDate')) {
+    throw new Error('Membership status needs membershipEndDate, which was not loaded');
+  }
+  if (user.membershipType !== 'premium') {
+    return ['expired', 'cancelled'].includes(user.membershipStatus) ? user.membershipStatus : 'none';
+  }
+  if (user.membershipStatus !== 'active') {
+    return user.membershipStatus;
+  }
+  if (!user.membershipEndDate) {
+    return 'expired';
+  }
+  if (now < user.membershipEndDate) {
+    return 'active';
+  }
+  return user.membershipGraceEndsAt && now < user.membershipGraceEndsAt ? 'grace' : 'expired';
+}
+
+// Whether a user gets premium features right now
+function hasPremium(user, now = new Date()) {
+  const status = getMembershipStatus(user, now);
+  return status === 'active' || status === 'grace';
+}
+
+module.exports = {
+  LIFETIME_END,
+  computeMembership,
+  getMembershipStatus,
+  hasPremium
+};
@@ -0,0 +1,248 @@
+const axios = require('axios');
+const { requirePlan } = require('./plans');
+const PaymentError = require('./errors');
+
+// PayPal payments through the Orders v2 API. The server creates the order at
+// the plan's price, the buyer approves it with the PayPal JS SDK, and the
+// server captures it and checks what was actually paid before activating.
+// Refunds and disputes arrive on the webhook.
+// Needs PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET and PAYPAL_WEBHOOK_ID.
+//
+// All HTTP goes through options.http, anything with
+// request({ method, url, headers, data }) -> { status, data }, so tests can
+// swap in a local stub.
+
+const API_URLS = {
+  live: 'https://api-m.paypal.com',
+  sandbox: 'https://api-m.sandbox.paypal.com'
+};
+
+function createHttpClient() {
+  return {
+    async request({ method, url, headers, data }) {
+      const response = await axios({ method, url, headers, data, timeout: 15000, validateStatus: () => true });
+      return { status: response.status, data: response.data };
+    }
+  };
+}
+
+class PayPalPayments {
+  constructor(options = {}) {
+    this.name = 'paypal';
+    this.clientId = options.clientId || process.env.PAYPAL_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.PAYPAL_CLIENT_SECRET;
+    this.webhookId = options.webhookId || process.env.PAYPAL_WEBHOOK_ID;
+    this.baseUrl = options.baseUrl || API_URLS[process.env.NODE_ENV === 'production' ? 'live' : 'sandbox'];
+    this.http = options.http || createHttpClient();
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  static isConfigured() {
+    return !!(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET && process.env.PAYPAL_WEBHOOK_ID);
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const response = await this.http.request({
+      method: 'POST',
+      url: `${this.baseUrl}/v1/oauth2/token`,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      data: 'grant_type=client_credentials'
+    });
+
+    if (response.status !== 200 || !response.data.access_token) {
+      throw new Error(`PayPal authentication failed with status ${response.status}`);
+    }
+
+    this.accessToken = response.data.access_token;
+    // Renew a minute early so a token never expires mid-request
+    this.accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async api(method, path, data, headers = {}) {
+    const token = await this.getAccessToken();
+    return this.http.request({
+      method,
+      url: `${this.baseUrl}${path}`,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+      data
+    });
+  }
+
+  // Create an order for a plan. The client passes orderId to the PayPal JS SDK.
+  async createOrder(user, planId) {
+    const plan = requirePlan(planId);
+    const response = await this.api('POST', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        custom_id: orderReference(user._id, plan.id),
+        description: `PeThoria Premium - ${plan.id} plan`,
+        amount: { currency_code: plan.currency.toUpperCase(), value: formatAmount(plan.amount) }
+      }]
+    });
+
+    if (response.status !== 201 && response.status !== 200) {
+      throw new Error(`PayPal order creation failed with status ${response.status}`);
+    }
+
+    return { orderId: response.data.id, amount: plan.amount, currency: plan.currency };
+  }
+
+  // Capture an approved order and check it pays for this user's plan.
+  // Returns { userId, plan, transactionId, captureId, amount, currency, raw }.
+  async captureOrder(orderId, userId, planId) {
+    const plan = requirePlan(planId);
+    const path = `/v2/checkout/orders/${encodeURIComponent(orderId)}`;
+
+    // Check whose order it is before capturing, so nobody can capture someone else's
+    let response = await this.api('GET', path);
+    if (response.status === 404) {
+      throw new PaymentError('PayPal order not found', 'order_not_found', 404);
+    }
+    if (response.status !== 200) {
+      throw new Error(`PayPal order lookup failed with status ${response.status}`);
+    }
+
+    let order = response.data;
+    const reference = ((order.purchase_units || [])[0] || {}).custom_id;
+    if (reference !== orderReference(userId, plan.id)) {
+      throw new PaymentError('This PayPal order was not created for this plan', 'order_mismatch');
+    }
+
+    if (order.status !== 'COMPLETED') {
+      // The request id makes a retried capture return the first result instead of failing
+      response = await this.api('POST', `${path}/capture`, {}, {
+        'PayPal-Request-Id': `capture-${orderId}`,
+        Prefer: 'return=representation'
+      });
+
+      if (response.status === 422 && hasIssue(response.data, 'ORDER_ALREADY_CAPTURED')) {
+        response = await this.api('GET', path);
+      }
+      if (response.status === 422 && hasIssue(response.data, 'INSTRUMENT_DECLINED')) {
+        throw new PaymentError('Your payment method was declined. Please try another one in PayPal.', 'payment_declined', 402);
+      }
+      if (response.status === 422 && hasIssue(response.data, 'ORDER_NOT_APPROVED')) {
+        throw new PaymentError('The PayPal order has not been approved yet', 'order_not_approved');
+      }
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`PayPal capture failed with status ${response.status}`);
+      }
+      order = response.data;
+    }
+
+    const unit = (order.purchase_units || [])[0] || {};
+    const capture = ((unit.payments && unit.payments.captures) || [])[0];
+
+    if (order.status !== 'COMPLETED' || !capture || capture.status !== 'COMPLETED') {
+      throw new PaymentError('The PayPal payment has not completed', 'payment_incomplete', 402);
+    }
+    if (parseAmount(capture.amount.value) !== plan.amount || capture.amount.currency_code !== plan.currency.toUpperCase()) {
+      throw new PaymentError(`PayPal order ${orderId} doesn't match the price of the ${plan.id} plan`, 'amount_mismatch');
+    }
+
+    return {
+      userId: String(userId),
+      plan: plan.id,
+      transactionId: order.id,
+      captureId: capture.id,
+      amount: plan.amount,
+      currency: plan.currency,
+      raw: order
+    };
+  }
+
+  async getCapture(captureId) {
+    const response = await this.api('GET', `/v2/payments/captures/${encodeURIComponent(captureId)}`);
+    if (response.status !== 200) {
+      throw new Error(`PayPal capture lookup failed with status ${response.status}`);
+    }
+    return response.data;
+  }
+
+  // Check a webhook came from PayPal and parse it. headers are the request's
+  // (lowercase) headers and rawBody the exact bytes received.
+  async verifyWebhook(headers, rawBody) {
+    const required = ['paypal-transmission-id', 'paypal-transmission-time', 'paypal-transmission-sig', 'paypal-cert-url', 'paypal-auth-algo'];
+    if (!rawBody || required.some(header => !headers[header])) {
+      throw new PaymentError('Missing PayPal signature', 'invalid_signature');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new PaymentError('Invalid PayPal webhook body', 'invalid_signature');
+    }
+
+    // The event goes back byte for byte; re-serializing it can break the signature
+    const fields = JSON.stringify({
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_time: headers['paypal-transmission-time'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      cert_url: headers['paypal-cert-url'],
+      auth_algo: headers['paypal-auth-algo'],
+      webhook_id: this.webhookId
+    });
+    const response = await this.api('POST', '/v1/notifications/verify-webhook-signature',
+      `${fields.slice(0, -1)},"webhook_event":${rawBody.toString()}}`);
+
+    if (response.status !== 200) {
+      throw new Error(`PayPal webhook verification failed with status ${response.status}`);
+    }
+    if (response.data.verification_status !== 'SUCCESS') {
+      throw new PaymentError('Invalid PayPal signature', 'invalid_signature');
+    }
+    return event;
+  }
+
+  // What a verified webhook event means for a payment:
+  //   { type: 'refund', captureId, reversed }, { type: 'dispute', captureIds, disputeId },
+  //   { type: 'dispute_resolved', captureIds, disputeId, sellerWon } or null.
+  getWebhookAction(event) {
+    const resource = event.resource || {};
+
+    switch (event.event_type) {
+      case 'PAYMENT.CAPTURE.REFUNDED':
+      case 'PAYMENT.CAPTURE.REVERSED': {
+        // The resource is the refund; its "up" link points at the capture
+        const up = (resource.links || []).find(link => link.rel === 'up');
+        const captureId = up ? up.href.split('/').pop() : null;
+        return captureId ? { type: 'refund', captureId, reversed: event.event_type === 'PAYMENT.CAPTURE.REVERSED' } : null;
+      }
+      case 'CUSTOMER.DISPUTE.CREATED':
+      case 'CUSTOMER.DISPUTE.RESOLVED': {
+        const captureIds = (resource.disputed_transactions || [])
+          .map(transaction => transaction.seller_transaction_id)
+          .filter(Boolean);
+        if (captureIds.length === 0) return null;
+        if (event.event_type === 'CUSTOMER.DISPUTE.CREATED') {
+          return { type: 'dispute', captureIds, disputeId: resource.dispute_id };
+        }
+        const outcome = resource.dispute_outcome && resource.dispute_outcome.outcome_code;
+        return { type: 'dispute_resolved', captureIds, disputeId: resource.dispute_id, sellerWon: outcome === 'RESOLVED_SELLER_FAVOUR' };
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+// Ties an order to the user and plan it was created for
+const orderReference = (userId, planId) => `${userId}:${planId}`;
+
+const formatAmount = amount => (amount / 100).toFixed(2);
+
+const parseAmount = value => Math.round(parseFloat(value) * 100);
+
+const hasIssue = (data, issue) => !!(data && (data.details || []).some(detail => detail.issue === issue));
+
+module.exports = PayPalPayments;
@@ -0,0 +1,34 @@
+const PaymentError = require('./errors');
+
+// Membership plans, their prices (in the currency's smallest unit) and how
+// many days a payment buys (null for lifetime).
+// Payment routes always charge these amounts, never one sent by the client.
+
+const PLANS = {
+  monthly: { name: 'Monthly', amount: 999, currency: 'usd', durationDays: 30 },
+  yearly: { name: 'Yearly', amount: 7999, currency: 'usd', durationDays: 365 },
+  lifetime: { name: 'Lifetime', amount: 19999, currency: 'usd', durationDays: null }
+};
+
+// Look up a plan by id. Returns { id, name, amount, currency, durationDays } or null.
+function getPlan(planId) {
+  if (typeof planId !== 'string' || !Object.prototype.hasOwnProperty.call(PLANS, planId)) {
+    return null;
+  }
+  return { id: planId, ...PLANS[planId] };
+}
+
+// Like getPlan, but throws a PaymentError for an unknown plan
+function requirePlan(planId) {
+  const plan = getPlan(planId);
+  if (!plan) {
+    throw new PaymentError('Invalid plan', 'invalid_plan');
+  }
+  return plan;
+}
+
+module.exports = {
+  PLANS,
+  getPlan,
+  requirePlan
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { Client, Environment } = require('square');
+const { requirePlan } = require('./plans');
+const PaymentError = require('./errors');
+
+// Square card payments. The Web Payments SDK turns the card into a one-time
+// source id (nonce) in the browser; the server charges it the plan's price.
+// Needs SQUARE_ACCESS_TOKEN, and SQUARE_LOCATION_ID unless the account's
+// main location should take the payments.
+
+// Messages for the card errors Square returns, shown to the buyer as is
+const CARD_ERROR_MESSAGES = {
+  GENERIC_DECLINE: 'Your card was declined. Please use a different card or contact your bank.',
+  CARD_DECLINED: 'Your card was declined. Please use a different card or contact your bank.',
+  CARD_DECLINED_CALL_ISSUER: 'Your card was declined. Please call your bank to approve the payment.',
+  CARD_DECLINED_VERIFICATION_REQUIRED: 'Your bank needs to verify this payment. Please try again and complete the verification.',
+  INSUFFICIENT_FUNDS: 'Your card has insufficient funds. Please use a different card.',
+  CVV_FAILURE: 'The security code (CVV) is incorrect. Please check it and try again.',
+  ADDRESS_VERIFICATION_FAILURE: "The postal code doesn't match the card's billing address.",
+  INVALID_POSTAL_CODE: "The postal code doesn't match the card's billing address.",
+  INVALID_EXPIRATION: 'The expiration date is invalid. Please check it and try again.',
+  EXPIRATION_FAILURE: 'The expiration date is invalid or the card has expired.',
+  CARD_EXPIRED: 'Your card has expired. Please use a different card.',
+  INVALID_CARD: 'The card details are invalid. Please check them and try again.',
+  INVALID_CARD_DATA: 'The card details are invalid. Please check them and try again.',
+  PAN_FAILURE: 'The card number is invalid. Please check it and try again.',
+  INVALID_ACCOUNT: 'This card account is not valid. Please use a different card.',
+  CARD_NOT_SUPPORTED: 'This card is not supported. Please use a different card.',
+  TRANSACTION_LIMIT: "This payment is over your card's limit. Please use a different card or contact your bank.",
+  VOICE_FAILURE: 'Your bank needs to approve this payment. Please contact them and try again.',
+  CARD_TOKEN_EXPIRED: 'Your card details have expired. Please enter them again.',
+  CARD_TOKEN_USED: 'These card details have already been used. Please enter them again.'
+};
+
+const DEFAULT_CARD_ERROR_MESSAGE = 'Your card could not be charged. Please check the details or use a different card.';
+
+class SquarePayments {
+  constructor(options = {}) {
+    this.name = 'square';
+    this.locationId = options.locationId || process.env.SQUARE_LOCATION_ID;
+    this.client = options.client || new Client({
+      accessToken: options.accessToken || process.env.SQUARE_ACCESS_TOKEN,
+      environment: process.env.NODE_ENV === 'production' ? Environment.Production : Environment.Sandbox
+    });
+  }
+
+  static isConfigured() {
+    return !!process.env.SQUARE_ACCESS_TOKEN;
+  }
+
+  // Charge a Web Payments SDK source id the price of a plan.
+  // Returns { userId, plan, transactionId, amount, currency, cardBrand, last4, receiptUrl, raw }.
+  // Card problems throw a PaymentError with a message for the buyer, and the
+  // failed payment (if Square created one) as paymentId and raw.
+  async createPayment(user, planId, { sourceId, verificationToken }) {
+    const plan = requirePlan(planId);
+
+    let payment;
+    try {
+      const { result } = await this.client.paymentsApi.createPayment({
+        sourceId,
+        verificationToken,
+        // A source id can only be charged once, so retries of the same
+        // request get the original payment back instead of a second charge
+        idempotencyKey: crypto.createHash('sha256').update(sourceId).digest('hex').slice(0, 45),
+        amountMoney: { amount: BigInt(plan.amount), currency: plan.currency.toUpperCase() },
+        locationId: this.locationId,
+        referenceId: user._id.toString(),
+        note: `PeThoria Premium - ${plan.id} plan`,
+        buyerEmailAddress: user.email
+      });
+      payment = result.payment;
+    } catch (error) {
+      throw toPaymentError(error);
+    }
+
+    if (!payment || payment.status !== 'COMPLETED') {
+      const failure = new PaymentError('Your card could not be charged. Please try again.', 'payment_incomplete', 402);
+      failure.paymentId = payment && payment.id;
+      failure.raw = toPlainObject(payment);
+      throw failure;
+    }
+    if (Number(payment.amountMoney.amount) !== plan.amount || payment.amountMoney.currency !== plan.currency.toUpperCase()) {
+      const mismatch = new PaymentError(`Square payment ${payment.id} doesn't match the price of the ${plan.id} plan`, 'amount_mismatch');
+      mismatch.paymentId = payment.id;
+      mismatch.raw = toPlainObject(payment);
+      throw mismatch;
+    }
+
+    const card = (payment.cardDetails && payment.cardDetails.card) || {};
+    return {
+      userId: user._id.toString(),
+      plan: plan.id,
+      transactionId: payment.id,
+      amount: plan.amount,
+      currency: plan.currency,
+      cardBrand: card.cardBrand,
+      last4: card.last4,
+      receiptUrl: payment.receiptUrl,
+      raw: toPlainObject(payment)
+    };
+  }
+}
+
+// Turn a Square API error about the card into a PaymentError; anything else is rethrown
+function toPaymentError(error) {
+  const details = Array.isArray(error.errors) ? error.errors : [];
+  const cardError = details.find(detail => detail.category === 'PAYMENT_METHOD_ERROR' || CARD_ERROR_MESSAGES[detail.code]);
+
+  if (!cardError) {
+    return error;
+  }
+
+  const failure = new PaymentError(
+    CARD_ERROR_MESSAGES[cardError.code] || DEFAULT_CARD_ERROR_MESSAGE,
+    cardError.code.toLowerCase(),
+    cardError.category === 'PAYMENT_METHOD_ERROR' ? 402 : 400
+  );
+  // Declines still create a (failed) payment on Square's side
+  const payment = error.result && error.result.payment;
+  failure.paymentId = payment && payment.id;
+  failure.raw = toPlainObject(payment);
+  return failure;
+}
+
+// The SDK uses BigInt for money, which can't be stored as is
+function toPlainObject(value) {
+  return value ? JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item))) : undefined;
+}
+
+module.exports = SquarePayments;
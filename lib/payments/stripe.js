@@ -0,0 +1,158 @@
+const Stripe = require('stripe');
+const { getPlan, requirePlan } = require('./plans');
+const PaymentError = require('./errors');
+
+// Stripe payments. The client pays by confirming a PaymentIntent or on a
+// hosted Checkout page; membership is only activated from the signed
+// payment_intent.succeeded webhook, never on the client's word.
+// Needs STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET. The webhook endpoint
+// should receive payment_intent.succeeded, payment_intent.payment_failed,
+// checkout.session.completed, checkout.session.expired, charge.refunded,
+// charge.dispute.created and charge.dispute.closed.
+class StripePayments {
+  constructor(options = {}) {
+    this.name = 'stripe';
+    this.webhookSecret = options.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET;
+    this.client = options.client || new Stripe(options.secretKey || process.env.STRIPE_SECRET_KEY);
+  }
+
+  static isConfigured() {
+    return !!(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  // Start a payment for a plan. The client confirms it with Stripe.js using clientSecret.
+  async createPaymentIntent(user, planId) {
+    const plan = requirePlan(planId);
+    const intent = await this.client.paymentIntents.create({
+      amount: plan.amount,
+      currency: plan.currency,
+      automatic_payment_methods: { enabled: true },
+      description: describePlan(plan),
+      receipt_email: user.email,
+      metadata: membershipMetadata(user, plan)
+    });
+
+    return {
+      paymentIntentId: intent.id,
+      clientSecret: intent.client_secret,
+      amount: plan.amount,
+      currency: plan.currency
+    };
+  }
+
+  // Start a hosted Checkout page for a plan
+  async createCheckoutSession(user, planId, { successUrl, cancelUrl }) {
+    const plan = requirePlan(planId);
+    const metadata = membershipMetadata(user, plan);
+    const session = await this.client.checkout.sessions.create({
+      mode: 'payment',
+      customer_email: user.email,
+      client_reference_id: user._id.toString(),
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: plan.currency,
+          unit_amount: plan.amount,
+          product_data: { name: `PeThoria Premium (${plan.name})` }
+        }
+      }],
+      // The webhook reads these from the PaymentIntent the session creates
+      payment_intent_data: { description: describePlan(plan), metadata },
+      metadata,
+      success_url: successUrl,
+      cancel_url: cancelUrl
+    });
+
+    return { sessionId: session.id, url: session.url };
+  }
+
+  // Verify a webhook's signature against the raw request body and parse it
+  constructEvent(rawBody, signature) {
+    if (!rawBody || !signature) {
+      throw new PaymentError('Missing Stripe signature', 'invalid_signature');
+    }
+    try {
+      return this.client.webhooks.constructEvent(rawBody, signature, this.webhookSecret);
+    } catch (error) {
+      throw new PaymentError('Invalid Stripe signature', 'invalid_signature');
+    }
+  }
+
+  // What a verified event means for a membership payment, or null for events
+  // that don't concern one. reference is the PaymentIntent id, except for
+  // Checkout sessions, which only get a PaymentIntent once the customer pays.
+  //   { type: 'succeeded' | 'failed', reference, userId, plan, amount, currency, failureCode, failureMessage, raw }
+  //   { type: 'refund' | 'dispute', reference, raw }
+  //   { type: 'dispute_resolved', reference, sellerWon, raw }
+  //   { type: 'checkout_completed', reference: sessionId, paymentIntent, raw }
+  //   { type: 'checkout_expired', reference: sessionId, raw }
+  // A succeeded payment that isn't the plan's price comes back as failed (amount_mismatch).
+  getWebhookAction(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed': {
+        const { userId, plan: planId } = object.metadata || {};
+        if (!userId || !planId) return null; // Not a membership payment
+
+        const action = {
+          type: event.type === 'payment_intent.succeeded' ? 'succeeded' : 'failed',
+          reference: object.id,
+          userId,
+          plan: planId,
+          amount: object.amount,
+          currency: object.currency,
+          raw: object
+        };
+
+        if (action.type === 'failed') {
+          const lastError = object.last_payment_error || {};
+          action.failureCode = lastError.decline_code || lastError.code || 'payment_failed';
+          action.failureMessage = lastError.message;
+          return action;
+        }
+
+        const plan = getPlan(planId);
+        if (!plan || object.amount_received !== plan.amount || object.currency !== plan.currency) {
+          return { ...action, type: 'failed', failureCode: 'amount_mismatch', failureMessage: `Paid ${object.amount_received} ${object.currency}, not the plan price` };
+        }
+        return { ...action, amount: object.amount_received };
+      }
+      case 'checkout.session.completed':
+      case 'checkout.session.expired': {
+        const { userId, plan } = object.metadata || {};
+        if (!userId || !plan) return null; // Not a membership payment
+
+        if (event.type === 'checkout.session.expired') {
+          return { type: 'checkout_expired', reference: object.id, raw: object };
+        }
+        return object.payment_intent
+          ? { type: 'checkout_completed', reference: object.id, paymentIntent: object.payment_intent, raw: object }
+          : null;
+      }
+      case 'charge.refunded':
+        // Partial refunds leave the membership in place
+        return object.refunded && object.payment_intent
+          ? { type: 'refund', reference: object.payment_intent, raw: object }
+          : null;
+      case 'charge.dispute.created':
+        return object.payment_intent ? { type: 'dispute', reference: object.payment_intent, raw: object } : null;
+      case 'charge.dispute.closed':
+        return object.payment_intent
+          ? { type: 'dispute_resolved', reference: object.payment_intent, sellerWon: object.status === 'won', raw: object }
+          : null;
+      default:
+        return null;
+    }
+  }
+}
+
+const describePlan = plan => `PeThoria Premium - ${plan.id} plan`;
+
+const membershipMetadata = (user, plan) => ({
+  userId: user._id.toString(),
+  plan: plan.id
+});
+
+module.exports = StripePayments;
@@ -0,0 +1,192 @@
+// Pet profile options and validation shared by the pet routes and filters
+
+const SPECIES = ['dog', 'cat', 'bird', 'fish', 'other'];
+
+const SIZES = ['small', 'medium', 'large', 'extra_large'];
+
+const TEMPERAMENTS = [
+  'calm', 'energetic', 'playful', 'gentle', 'friendly', 'shy',
+  'independent', 'affectionate', 'protective', 'curious', 'vocal', 'social'
+];
+
+// Known breeds for species where owners pick from a list. Other species take free text.
+const BREEDS = {
+  dog: [
+    'Mixed Breed', 'Labrador Retriever', 'Golden Retriever', 'German Shepherd', 'French Bulldog',
+    'Bulldog', 'Poodle', 'Beagle', 'Rottweiler', 'Dachshund', 'Yorkshire Terrier', 'Boxer',
+    'Siberian Husky', 'Great Dane', 'Doberman Pinscher', 'Australian Shepherd', 'Shih Tzu',
+    'Cavalier King Charles Spaniel', 'Pembroke Welsh Corgi', 'Miniature Schnauzer',
+    'Boston Terrier', 'Bernese Mountain Dog', 'Pomeranian', 'Havanese', 'Shetland Sheepdog',
+    'Border Collie', 'Cocker Spaniel', 'Chihuahua', 'Maltese', 'Pit Bull Terrier',
+    'Australian Cattle Dog', 'Basset Hound', 'Jack Russell Terrier', 'Akita', 'Shiba Inu',
+    'Bichon Frise', 'Newfoundland', 'Saint Bernard', 'Weimaraner', 'Vizsla', 'Greyhound',
+    'Whippet', 'Pug', 'Samoyed', 'Alaskan Malamute', 'Goldendoodle', 'Labradoodle'
+  ],
+  cat: [
+    'Mixed Breed', 'Domestic Shorthair', 'Domestic Longhair', 'Maine Coon', 'Ragdoll',
+    'Persian', 'Siamese', 'British Shorthair', 'Bengal', 'Abyssinian', 'Sphynx',
+    'Scottish Fold', 'Russian Blue', 'Norwegian Forest Cat', 'Birman', 'Devon Rex',
+    'Exotic Shorthair', 'Oriental Shorthair', 'Burmese', 'Savannah', 'Tonkinese'
+  ]
+};
+
+const MAX_NAME_LENGTH = 50;
+const MAX_BREED_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_PERSONALITY_TAGS = 10;
+const MAX_PERSONALITY_TAG_LENGTH = 30;
+
+// Match a breed against the known list for its species (case-insensitive)
+// and return the canonical spelling, or null if it isn't a known breed
+function normalizeBreed(species, breed) {
+  const list = BREEDS[species];
+  if (!list) return breed;
+  const wanted = breed.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+  return list.find(known => known.toLowerCase() === wanted) || null;
+}
+
+function toBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',');
+  return null;
+}
+
+// Validate pet fields from a request body.
+// With partial: true (updates) only the fields present are checked.
+// Returns { errors, values } where values holds the cleaned fields.
+function validatePetInput(body = {}, { partial = false, currentSpecies } = {}) {
+  const errors = [];
+  const values = {};
+  const has = field => body[field] !== undefined && body[field] !== null && body[field] !== '';
+
+  if (has('name')) {
+    const name = String(body.name).trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    } else {
+      values.name = name;
+    }
+  } else if (!partial) {
+    errors.push('name is required');
+  }
+
+  // "type" is the stored field name for species
+  const speciesInput = has('species') ? body.species : body.type;
+  if (speciesInput !== undefined && speciesInput !== null && speciesInput !== '') {
+    const species = String(speciesInput).toLowerCase();
+    if (!SPECIES.includes(species)) {
+      errors.push(`species must be one of ${SPECIES.join(', ')}`);
+    } else {
+      values.type = species;
+    }
+  } else if (!partial) {
+    errors.push('species is required');
+  }
+
+  const species = values.type || currentSpecies;
+  if (has('breed')) {
+    const breed = String(body.breed).trim();
+    if (breed.length > MAX_BREED_LENGTH) {
+      errors.push(`breed must be at most ${MAX_BREED_LENGTH} characters`);
+    } else {
+      const normalized = normalizeBreed(species, breed);
+      if (!normalized) {
+        errors.push(`Unknown ${species} breed "${breed}"`);
+      } else {
+        values.breed = normalized;
+      }
+    }
+  } else if (partial && values.type && values.type !== currentSpecies) {
+    // Changing species without a breed would leave a breed from the old species
+    errors.push('breed is required when changing species');
+  }
+
+  if (has('birthDate')) {
+    const birthDate = new Date(body.birthDate);
+    const oldest = new Date();
+    oldest.setFullYear(oldest.getFullYear() - 50);
+    if (isNaN(birthDate.getTime()) || birthDate > new Date() || birthDate < oldest) {
+      errors.push('birthDate must be a valid date in the past 50 years');
+    } else {
+      values.birthDate = birthDate;
+    }
+  }
+
+  if (has('description')) {
+    const description = String(body.description).trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    } else {
+      values.description = description;
+    }
+  }
+
+  if (has('size')) {
+    if (!SIZES.includes(body.size)) {
+      errors.push(`size must be one of ${SIZES.join(', ')}`);
+    } else {
+      values.size = body.size;
+    }
+  }
+
+  if (body.personality !== undefined) {
+    const tags = toList(body.personality);
+    if (!tags) {
+      errors.push('personality must be a list of words');
+    } else {
+      const cleaned = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+      if (cleaned.length > MAX_PERSONALITY_TAGS || cleaned.some(tag => tag.length > MAX_PERSONALITY_TAG_LENGTH)) {
+        errors.push(`personality can have at most ${MAX_PERSONALITY_TAGS} tags of up to ${MAX_PERSONALITY_TAG_LENGTH} characters`);
+      } else {
+        values.personality = cleaned;
+      }
+    }
+  }
+
+  if (body.temperament !== undefined) {
+    const temperament = toList(body.temperament);
+    const cleaned = temperament ? [...new Set(temperament.map(value => String(value).trim().toLowerCase()).filter(Boolean))] : null;
+    if (!cleaned || cleaned.some(value => !TEMPERAMENTS.includes(value))) {
+      errors.push(`temperament must only contain ${TEMPERAMENTS.join(', ')}`);
+    } else {
+      values.temperament = cleaned;
+    }
+  }
+
+  for (const field of ['vaccinated', 'spayedNeutered', 'isActive']) {
+    if (body[field] !== undefined) {
+      const value = toBoolean(body[field]);
+      if (value === undefined) {
+        errors.push(`${field} must be true or false`);
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+
+  return { errors, values };
+}
+
+// Pet age in whole years, from birthDate when known and the legacy age field otherwise
+function getPetAge(pet) {
+  if (pet.birthDate) {
+    return Math.floor((Date.now() - new Date(pet.birthDate)) / (365.25 * 24 * 60 * 60 * 1000));
+  }
+  return typeof pet.age === 'number' ? pet.age : null;
+}
+
+module.exports = {
+  SPECIES,
+  SIZES,
+  TEMPERAMENTS,
+  BREEDS,
+  normalizeBreed,
+  validatePetInput,
+  getPetAge
+};
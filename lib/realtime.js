@@ -0,0 +1,229 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const jwt = require('jsonwebtoken');
+const redis = require('redis');
+
+// Real-time event delivery over WebSockets
+//
+// Clients connect to /ws and must send { type: 'auth', token } with the same
+// JWT used for the REST API before anything is delivered to them. Events are
+// published per user; when REDIS_URL is set they fan out through Redis pub/sub
+// so every server instance can deliver to the sockets it holds.
+
+const REDIS_CHANNEL = 'pethoria:realtime';
+const AUTH_TIMEOUT = 10 * 1000; // 10 seconds to authenticate
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+
+// userId -> Set of authenticated sockets (a user can have several tabs/devices)
+const connections = new Map();
+
+let wss = null;
+let publisher = null;
+let subscriber = null;
+let typingAuthorizer = async () => true;
+let connectionAuthorizer = async () => true;
+
+function addConnection(userId, socket) {
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(socket);
+}
+
+function removeConnection(userId, socket) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    connections.delete(userId);
+  }
+}
+
+function send(socket, type, data) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, data, timestamp: new Date().toISOString() }));
+  }
+}
+
+// Deliver an event to the sockets held by this instance
+function deliverLocally(userId, type, data) {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) return;
+  sockets.forEach(socket => send(socket, type, data));
+}
+
+// Publish an event to a user on whichever instance holds their sockets.
+// Never waits on Redis, so callers in an HTTP request aren't held up by
+// realtime delivery; while Redis is down or reconnecting, events are
+// delivered from this instance only.
+function publish(userId, type, data = {}) {
+  if (!userId) return;
+
+  if (publisher && publisher.isReady) {
+    publisher.publish(REDIS_CHANNEL, JSON.stringify({ userId: userId.toString(), type, data }))
+      .catch((error) => {
+        console.log('Redis publish error:', error.message);
+        deliverLocally(userId, type, data);
+      });
+    return;
+  }
+
+  deliverLocally(userId, type, data);
+}
+
+async function handleClientMessage(socket, raw) {
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, 'error', { message: 'Invalid message format' });
+  }
+
+  if (payload.type === 'auth') {
+    if (socket.userId) return;
+    jwt.verify(payload.token, process.env.JWT_SECRET, async (err, user) => {
+      let authorized = false;
+      try {
+        authorized = !err && !!user && !!user.userId && await connectionAuthorizer(user);
+      } catch (error) {
+        // If the session can't be checked, the connection isn't let in
+        console.error('Realtime authorization error:', error.message);
+      }
+      if (!authorized) {
+        send(socket, 'error', { message: 'Invalid token' });
+        return socket.close(4001, 'Invalid token');
+      }
+      clearTimeout(socket.authTimer);
+      socket.userId = user.userId.toString();
+      addConnection(socket.userId, socket);
+      send(socket, 'ready', { userId: socket.userId });
+    });
+    return;
+  }
+
+  if (!socket.userId) {
+    return send(socket, 'error', { message: 'Authentication required' });
+  }
+
+  if (payload.type === 'typing') {
+    const { recipientId, isTyping } = payload;
+    if (!recipientId) return;
+
+    const allowed = await typingAuthorizer(socket.userId, recipientId.toString());
+    if (!allowed) return;
+
+    publish(recipientId, 'typing', {
+      userId: socket.userId,
+      isTyping: isTyping !== false
+    });
+  }
+}
+
+async function initRedis() {
+  if (!process.env.REDIS_URL) {
+    console.log('ℹ️ Real-time events delivered from this instance only (no Redis URL)');
+    return;
+  }
+
+  try {
+    publisher = redis.createClient({
+      url: process.env.REDIS_URL,
+      socket: {
+        connectTimeout: 10000, // 10 seconds
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            console.log('❌ Realtime Redis max reconnection attempts reached');
+            return false;
+          }
+          return Math.min(retries * 100, 3000);
+        }
+      }
+    });
+    subscriber = publisher.duplicate();
+
+    publisher.on('error', (err) => console.error('❌ Realtime Redis publisher error:', err.message));
+    subscriber.on('error', (err) => console.error('❌ Realtime Redis subscriber error:', err.message));
+
+    // Fall back to local delivery once Redis is gone for good
+    publisher.on('end', () => { publisher = null; });
+    subscriber.on('end', () => { subscriber = null; });
+
+    await publisher.connect();
+    await subscriber.connect();
+
+    await subscriber.subscribe(REDIS_CHANNEL, (message) => {
+      try {
+        const { userId, type, data } = JSON.parse(message);
+        deliverLocally(userId, type, data);
+      } catch (error) {
+        console.log('Realtime message parse error:', error.message);
+      }
+    });
+
+    console.log('✅ Real-time events fanning out through Redis pub/sub');
+  } catch (error) {
+    console.error('❌ Realtime Redis connection failed:', error.message);
+    console.log('⚠️ Real-time events delivered from this instance only');
+    publisher = null;
+    subscriber = null;
+  }
+}
+
+// Attach the WebSocket server to the HTTP server returned by app.listen
+function attach(server, options = {}) {
+  if (options.authorizeTyping) {
+    typingAuthorizer = options.authorizeTyping;
+  }
+  if (options.authorizeConnection) {
+    connectionAuthorizer = options.authorizeConnection;
+  }
+
+  wss = new WebSocketServer({ server, path: '/ws' });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.authTimer = setTimeout(() => {
+      if (!socket.userId) socket.close(4001, 'Authentication timeout');
+    }, AUTH_TIMEOUT);
+
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    socket.on('message', (raw) => {
+      handleClientMessage(socket, raw.toString()).catch((error) => {
+        console.error('Realtime message error:', error);
+      });
+    });
+
+    socket.on('close', () => {
+      clearTimeout(socket.authTimer);
+      if (socket.userId) removeConnection(socket.userId, socket);
+    });
+  });
+
+  // Drop sockets that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  initRedis();
+
+  console.log('⚡ Real-time WebSocket server ready on /ws');
+  return wss;
+}
+
+async function close() {
+  if (wss) wss.close();
+  if (subscriber) await subscriber.quit().catch(() => {});
+  if (publisher) await publisher.quit().catch(() => {});
+}
+
+module.exports = {
+  attach,
+  publish,
+  close
+};
@@ -0,0 +1,175 @@
+const { getPetAge } = require('./pets');
+const { formatDistance } = require('./location');
+
+// Recommendation scoring for the discovery feed.
+//
+// Every candidate card gets points for each factor below, up to the factor's
+// weight, for a total out of 100. The per-factor breakdown is returned with
+// the card so the weights can be tuned from real results.
+
+const WEIGHTS = {
+  distance: 25,
+  species: 20,
+  breed: 10,
+  interests: 15,
+  activity: 15,
+  verification: 10,
+  completeness: 5
+};
+
+const ACTIVITY_WINDOW_DAYS = 30; // No activity points after this
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 10) / 10;
+
+// Pets a candidate card stands for: the card's pet, or all of the owner's active pets
+function candidatePets(candidate, pet) {
+  if (pet) return [pet];
+  return (candidate.pets || []).filter(candidatePet => candidatePet.isActive);
+}
+
+// Check a pet against the stored preferences (species and age range).
+// Pets with an unknown age pass the age check.
+function petMatchesPreferences(pet, preferences = {}) {
+  if (preferences.petType && preferences.petType !== 'any' && pet.type !== preferences.petType) {
+    return false;
+  }
+
+  const { min, max } = preferences.ageRange || {};
+  const age = getPetAge(pet);
+  if (age !== null) {
+    if (typeof min === 'number' && age < min) return false;
+    if (typeof max === 'number' && age > max) return false;
+  }
+
+  return true;
+}
+
+function scoreDistance(distanceMiles, maxDistance, distanceHidden) {
+  // Half points, so hiding distance neither helps nor sinks a profile
+  if (distanceHidden) {
+    return { points: WEIGHTS.distance / 2, reason: 'Distance hidden' };
+  }
+  if (typeof distanceMiles !== 'number' || !maxDistance) {
+    return { points: 0, reason: 'Distance unknown' };
+  }
+  const closeness = Math.max(0, 1 - distanceMiles / maxDistance);
+  return {
+    points: WEIGHTS.distance * closeness,
+    reason: `${formatDistance(distanceMiles)} away (searching ${maxDistance} miles)`
+  };
+}
+
+function scoreSpecies(pets, preferences = {}, ownPets) {
+  const wanted = preferences.petType && preferences.petType !== 'any'
+    ? [preferences.petType]
+    : [...new Set(ownPets.map(pet => pet.type))];
+
+  if (wanted.length === 0) {
+    return { points: WEIGHTS.species / 2, reason: 'No species preference' };
+  }
+  const match = pets.find(pet => wanted.includes(pet.type));
+  return match
+    ? { points: WEIGHTS.species, reason: `Has a ${match.type}` }
+    : { points: 0, reason: `No ${wanted.join(' or ')}` };
+}
+
+// Same breed as one of the user's own pets scores best, then same species and size
+function scoreBreed(pets, ownPets) {
+  for (const pet of pets) {
+    const sameBreed = ownPets.find(own => own.type === pet.type && own.breed && own.breed === pet.breed);
+    if (sameBreed) {
+      return { points: WEIGHTS.breed, reason: `Same breed as ${sameBreed.name} (${pet.breed})` };
+    }
+  }
+  for (const pet of pets) {
+    const sameSize = ownPets.find(own => own.type === pet.type && own.size && own.size === pet.size);
+    if (sameSize) {
+      return { points: WEIGHTS.breed / 2, reason: `Same size as ${sameSize.name} (${pet.size})` };
+    }
+  }
+  return { points: 0, reason: 'No breed or size in common' };
+}
+
+function scoreInterests(candidate, currentUser) {
+  const own = new Set((currentUser.interests || []).map(interest => interest.toLowerCase()));
+  const shared = (candidate.interests || []).filter(interest => own.has(interest.toLowerCase()));
+
+  if (own.size === 0) {
+    return { points: 0, reason: 'No interests on your profile' };
+  }
+  return {
+    points: WEIGHTS.interests * Math.min(1, shared.length / Math.min(own.size, 3)),
+    reason: shared.length > 0 ? `Shared interests: ${shared.join(', ')}` : 'No shared interests'
+  };
+}
+
+function scoreActivity(candidate, now) {
+  if (!candidate.lastActive) {
+    return { points: 0, reason: 'Never active' };
+  }
+  const days = (now - new Date(candidate.lastActive)) / DAY_MS;
+  const freshness = days <= 1 ? 1 : Math.max(0, 1 - days / ACTIVITY_WINDOW_DAYS);
+  return {
+    points: WEIGHTS.activity * freshness,
+    reason: days <= 1 ? 'Active today' : `Active ${Math.floor(days)} days ago`
+  };
+}
+
+function scoreVerification(candidate) {
+  const verified = candidate.isVerified || candidate.idVerificationStatus === 'approved';
+  return verified
+    ? { points: WEIGHTS.verification, reason: 'Verified' }
+    : { points: 0, reason: 'Not verified' };
+}
+
+function scoreCompleteness(candidate, pets) {
+  const checks = {
+    photo: !!candidate.profilePicture || (candidate.profileImages || []).length > 0,
+    bio: !!candidate.bio,
+    interests: (candidate.interests || []).length > 0,
+    petPhotos: pets.some(pet => (pet.images || []).length > 0),
+    petDetails: pets.some(pet => pet.breed && (pet.birthDate || typeof pet.age === 'number'))
+  };
+  const missing = Object.keys(checks).filter(check => !checks[check]);
+  const complete = Object.keys(checks).length - missing.length;
+  return {
+    points: WEIGHTS.completeness * complete / Object.keys(checks).length,
+    reason: missing.length === 0 ? 'Complete profile' : `Missing ${missing.join(', ')}`
+  };
+}
+
+// Score one candidate card for the current user.
+// options: { pet (for pet cards), distanceMiles, distanceHidden, maxDistance, now }
+// Returns { score, breakdown } where breakdown has { points, max, reason } per factor.
+function scoreCandidate(currentUser, candidate, options = {}) {
+  const now = options.now || new Date();
+  const preferences = currentUser.preferences || {};
+  const ownPets = (currentUser.pets || []).filter(pet => pet.isActive);
+  const pets = candidatePets(candidate, options.pet);
+
+  const factors = {
+    distance: scoreDistance(options.distanceMiles, options.maxDistance, options.distanceHidden),
+    species: scoreSpecies(pets, preferences, ownPets),
+    breed: scoreBreed(pets, ownPets),
+    interests: scoreInterests(candidate, currentUser),
+    activity: scoreActivity(candidate, now),
+    verification: scoreVerification(candidate),
+    completeness: scoreCompleteness(candidate, pets)
+  };
+
+  const breakdown = {};
+  let score = 0;
+  for (const [factor, { points, reason }] of Object.entries(factors)) {
+    breakdown[factor] = { points: round(points), max: WEIGHTS[factor], reason };
+    score += points;
+  }
+
+  return { score: round(score), breakdown };
+}
+
+module.exports = {
+  WEIGHTS,
+  petMatchesPreferences,
+  scoreCandidate
+};
@@ -0,0 +1,64 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Backblaze B2 storage driver, using B2's S3-compatible API.
+// Needs B2_KEY_ID, B2_APP_KEY, B2_BUCKET_NAME and B2_ENDPOINT
+// (e.g. https://s3.us-west-004.backblazeb2.com). Public URLs are built from
+// B2_PUBLIC_URL when set, otherwise from the bucket's friendly download URL.
+class B2Storage {
+  constructor(options = {}) {
+    this.name = 'b2';
+    this.bucket = options.bucket || process.env.B2_BUCKET_NAME;
+    this.endpoint = options.endpoint || process.env.B2_ENDPOINT;
+
+    if (!this.bucket || !this.endpoint) {
+      throw new Error('B2 storage requires B2_BUCKET_NAME and B2_ENDPOINT');
+    }
+
+    // s3.<region>.backblazeb2.com
+    const regionMatch = this.endpoint.match(/s3\.([a-z0-9-]+)\.backblazeb2\.com/);
+    this.region = options.region || process.env.B2_REGION || (regionMatch ? regionMatch[1] : 'us-west-004');
+
+    this.publicBaseUrl = (options.publicBaseUrl || process.env.B2_PUBLIC_URL ||
+      `https://f${this.region.split('-').pop()}.backblazeb2.com/file/${this.bucket}`).replace(/\/$/, '');
+
+    this.client = options.client || new S3Client({
+      endpoint: this.endpoint,
+      region: this.region,
+      credentials: {
+        accessKeyId: options.keyId || process.env.B2_KEY_ID,
+        secretAccessKey: options.appKey || process.env.B2_APP_KEY
+      }
+    });
+  }
+
+  async put(key, body, options = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: options.contentType,
+      CacheControl: options.cacheControl
+    }));
+    return {
+      key,
+      size: body.length,
+      contentType: options.contentType,
+      url: this.getPublicUrl(key)
+    };
+  }
+
+  async get(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  getPublicUrl(key) {
+    return `${this.publicBaseUrl}/${key}`;
+  }
+}
+
+module.exports = B2Storage;
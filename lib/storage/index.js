@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Pluggable file storage.
+//
+// Every driver implements:
+//   put(key, buffer, { contentType })  -> { key, size, contentType, url }
+//   get(key)                           -> Buffer
+//   remove(key)
+//   getPublicUrl(key)                  -> string
+//
+// STORAGE_DRIVER selects the driver ('local' or 'b2'). Without it, B2 is used
+// when its credentials and endpoint are configured and local disk otherwise.
+// Keys starting with private/ hold sensitive files (ID documents) and must only
+// be read back through the server, never linked to directly.
+
+// Drivers are loaded on demand so the S3 SDK is only required when B2 is used
+const drivers = {
+  local: () => require('./local'),
+  b2: () => require('./b2')
+};
+
+function selectDriver() {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+  if (process.env.B2_KEY_ID && process.env.B2_APP_KEY && process.env.B2_BUCKET_NAME && process.env.B2_ENDPOINT) {
+    return 'b2';
+  }
+  return 'local';
+}
+
+function createStorage(driverName = selectDriver(), options = {}) {
+  if (!drivers[driverName]) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  const Driver = drivers[driverName]();
+  return new Driver(options);
+}
+
+// Build a unique, unguessable storage key, e.g. images/<userId>/<random>.jpg
+function generateKey(prefix, extension) {
+  const id = crypto.randomBytes(16).toString('hex');
+  return `${prefix}/${id}${extension ? `.${extension.replace(/^\./, '')}` : ''}`;
+}
+
+module.exports = {
+  createStorage,
+  generateKey
+};
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Filesystem storage driver for development.
+// Files live under STORAGE_LOCAL_DIR (default ./uploads). Public files go to
+// its public/ folder, which the app serves at /uploads (see server.js); keys
+// under private/ are stored outside it and can only be read back through get().
+// URLs are root-relative (/uploads/...) unless STORAGE_PUBLIC_URL is set, so
+// the ones saved with a photo keep working whatever host serves the app.
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_DIR || 'uploads');
+    this.publicDir = path.join(this.root, 'public');
+    this.publicBaseUrl = (options.publicBaseUrl || process.env.STORAGE_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+  }
+
+  resolve(key) {
+    const baseDir = key.startsWith('private/') ? this.root : this.publicDir;
+    const filePath = path.resolve(baseDir, key);
+    // Refuse keys that would escape their folder
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body, options = {}) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return {
+      key,
+      size: body.length,
+      contentType: options.contentType,
+      url: this.getPublicUrl(key)
+    };
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getPublicUrl(key) {
+    return `${this.publicBaseUrl}/${key}`;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,184 @@
+const Swipe = require('../models/Swipe');
+const SwipeRequest = require('../models/SwipeRequest');
+const Match = require('../models/Match');
+
+// Swipe recording and match creation.
+//
+// Both are safe to retry and to race: a swipe is one upserted document per
+// (swiper, target) pair, and a match is one upserted document per pair of
+// users, so concurrent or repeated requests converge on the same records.
+// Callers get flags telling them whether this call actually changed anything,
+// so side effects (activities, stats, notifications) happen exactly once.
+
+const LIKE_ACTIONS = ['like', 'superlike'];
+const DUPLICATE_KEY = 11000;
+const IDEMPOTENCY_KEY_TTL = 24 * 60 * 60 * 1000; // 1 day, in milliseconds
+
+// An idempotency key sent again with a different target or action
+class IdempotencyKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyKeyError';
+    this.code = 'idempotency_key_reused';
+    this.status = 422;
+  }
+}
+
+// Run an upsert, retrying once if a concurrent upsert inserted the same
+// document first (MongoDB reports that as a duplicate key error)
+async function upsertWithRetry(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return operation();
+  }
+}
+
+// Create the match for two users if it doesn't exist yet.
+// Resolves to { match, created } where created is true for exactly one caller.
+async function createMatch(userIdA, userIdB) {
+  const pairKey = Match.getPairKey(userIdA, userIdB);
+
+  const result = await upsertWithRetry(() => Match.findOneAndUpdate(
+    { pairKey },
+    { $setOnInsert: { userIds: [userIdA, userIdB], isActive: true } },
+    { upsert: true, new: true, rawResult: true }
+  ));
+
+  return {
+    match: result.value,
+    created: !result.lastErrorObject.updatedExisting
+  };
+}
+
+// Record a swipe and create the match if it completes a mutual like.
+// With an idempotencyKey, a repeat of an earlier request returns that
+// request's outcome without recording anything, and a key already used for a
+// different swipe rejects with an IdempotencyKeyError.
+// Resolves to { action, isMatch, swipeChanged, matchCreated, replayed }.
+async function recordSwipe({ swiperId, targetUserId, profileId, action, idempotencyKey }) {
+  if (!idempotencyKey) {
+    return applySwipe({ swiperId, targetUserId, profileId, action });
+  }
+
+  // Claim the key for this request; new: false hands back an earlier claim
+  const previous = await upsertWithRetry(() => SwipeRequest.findOneAndUpdate(
+    { swiperId, idempotencyKey },
+    { $setOnInsert: { targetUserId, action, expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL) } },
+    { upsert: true, new: false }
+  ).lean());
+
+  if (previous) {
+    if (!previous.targetUserId.equals(targetUserId) || previous.action !== action) {
+      throw new IdempotencyKeyError('This idempotency key was already used for a different swipe');
+    }
+    return {
+      action,
+      isMatch: LIKE_ACTIONS.includes(action) && await Match.areMatched(swiperId, targetUserId),
+      swipeChanged: false,
+      matchCreated: false,
+      replayed: true
+    };
+  }
+
+  try {
+    return await applySwipe({ swiperId, targetUserId, profileId, action });
+  } catch (error) {
+    // Free the key so the client can retry the request
+    await SwipeRequest.deleteOne({ swiperId, idempotencyKey });
+    throw error;
+  }
+}
+
+// Write the swipe and create the match if it completes a mutual like
+async function applySwipe({ swiperId, targetUserId, profileId, action }) {
+  // Only a new swipe or a changed decision is written, so a retry doesn't make
+  // an old swipe the latest one (which undo would act on). A changed decision
+  // didn't create any match that already exists.
+  let swipeChanged = true;
+  try {
+    await upsertWithRetry(() => Swipe.updateOne(
+      { swiperId, targetUserId, action: { $ne: action } },
+      { $set: { profileId, action, createdMatch: false } },
+      { upsert: true }
+    ));
+  } catch (error) {
+    // The upsert ran into the existing swipe, which already has this action
+    if (error.code !== DUPLICATE_KEY) throw error;
+    swipeChanged = false;
+  }
+
+  const outcome = {
+    action,
+    isMatch: false,
+    swipeChanged,
+    matchCreated: false,
+    replayed: false
+  };
+
+  if (!LIKE_ACTIONS.includes(action)) return outcome;
+
+  // Both sides write their swipe before checking for the other's, so when two
+  // users like each other at the same moment at least one of them sees it
+  const mutualLike = await Swipe.exists({
+    swiperId: targetUserId,
+    targetUserId: swiperId,
+    action: { $in: LIKE_ACTIONS }
+  });
+  if (!mutualLike) return outcome;
+
+  const { match, created } = await createMatch(swiperId, targetUserId);
+  outcome.isMatch = match.isActive;
+  outcome.matchCreated = created;
+
+  // Remember which swipe completed the match so undoing it can remove the match
+  if (created) {
+    await Swipe.updateOne({ swiperId, targetUserId }, { $set: { createdMatch: true } });
+  }
+  return outcome;
+}
+
+// Find a user's most recent swipe, the one undo acts on.
+// Only swipes made after `since` (the user's previous undo) qualify, so undo
+// can't walk back through the whole history. Null if there is none.
+function findLastSwipe(swiperId, since) {
+  const query = { swiperId };
+  if (since) query.updatedAt = { $gt: since };
+
+  return Swipe.findOne(query).sort({ updatedAt: -1 }).lean();
+}
+
+// Remove a swipe found by findLastSwipe, and the match it created if that
+// match is still active (one ended by an unmatch or a block stays ended).
+// Resolves to { swipe, matchRemoved }, or null if the swipe changed since.
+async function undoSwipe(latest) {
+  // Delete by the exact version we found, in case a concurrent swipe replaced it
+  const swipe = await Swipe.findOneAndDelete({ _id: latest._id, updatedAt: latest.updatedAt }).lean();
+  if (!swipe) return null;
+
+  let matchRemoved = false;
+  if (swipe.createdMatch) {
+    const result = await Match.deleteOne({ pairKey: Match.getPairKey(swipe.swiperId, swipe.targetUserId), isActive: true });
+    matchRemoved = result.deletedCount > 0;
+  }
+
+  return { swipe, matchRemoved };
+}
+
+// Remove a user's most recent swipe (see findLastSwipe and undoSwipe).
+// Resolves to { swipe, matchRemoved }, or null if there is nothing to undo.
+async function undoLastSwipe(swiperId, since) {
+  const latest = await findLastSwipe(swiperId, since);
+  return latest && undoSwipe(latest);
+}
+
+module.exports = {
+  LIKE_ACTIONS,
+  IdempotencyKeyError,
+  createMatch,
+  recordSwipe,
+  findLastSwipe,
+  undoSwipe,
+  undoLastSwipe
+};
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Record of every action taken through the admin/moderation API
+const auditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actorRole: { type: String, enum: ['user', 'moderator', 'admin'] },
+  action: { type: String, required: true },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (email verification, password reset).
+// Only a SHA-256 hash of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, type: 1 });
+// MongoDB removes tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a token for a user, replacing any unused ones of the same type.
+// Returns the raw token to put in the emailed link.
+authTokenSchema.statics.issue = async function (userId, type, ttlSeconds) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.deleteMany({ userId, type, usedAt: null });
+  await this.create({
+    userId,
+    type,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+  return token;
+};
+
+// Atomically mark a valid token as used. Resolves to the token document, or null
+// if it doesn't exist, has expired or was already used.
+authTokenSchema.statics.consume = function (token, type) {
+  return this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One user blocking another. Blocks hide both users from each other
+// (discovery, messaging, conversation history) regardless of who blocked whom.
+const blockSchema = new mongoose.Schema({
+  blockerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  blockedId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+// "Who blocked me" side of the two-way lookup
+blockSchema.index({ blockedId: 1 });
+
+// IDs of everyone the user has blocked or been blocked by
+blockSchema.statics.getBlockedUserIds = async function (userId) {
+  const blocks = await this.find({ $or: [{ blockerId: userId }, { blockedId: userId }] })
+    .select('blockerId blockedId')
+    .lean();
+  return blocks.map(block => (block.blockerId.equals(userId) ? block.blockedId : block.blockerId));
+};
+
+// Helper to check whether either user has blocked the other
+blockSchema.statics.isBlockedBetween = async function (userIdA, userIdB) {
+  return !!(await this.exists({
+    $or: [
+      { blockerId: userIdA, blockedId: userIdB },
+      { blockerId: userIdB, blockedId: userIdA }
+    ]
+  }));
+};
+
+module.exports = mongoose.model('Block', blockSchema);
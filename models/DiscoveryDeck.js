@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A user's discovery deck (see the deck routes in server.js), kept here when
+// Redis isn't available so cursors keep paging through the same deck.
+const discoveryDeckSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  deck: { type: mongoose.Schema.Types.Mixed, required: true },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Expired decks are cleaned up by MongoDB
+discoveryDeckSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DiscoveryDeck', discoveryDeckSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A mutual like between two users. Each pair has a single match document,
+// identified by their sorted user IDs (see getPairKey).
+const matchSchema = new mongoose.Schema({
+  pairKey: { type: String, required: true, unique: true },
+  userIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    validate: ids => ids.length === 2
+  },
+  isActive: { type: Boolean, default: true },
+  unmatchedAt: Date,
+  unmatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// A user's matches (multikey on userIds)
+matchSchema.index({ userIds: 1, isActive: 1, createdAt: -1 });
+
+matchSchema.statics.getPairKey = function (userIdA, userIdB) {
+  return [userIdA.toString(), userIdB.toString()].sort().join('_');
+};
+
+// Helper to check two users have an active match
+matchSchema.statics.areMatched = async function (userIdA, userIdB) {
+  return !!(await this.exists({ pairKey: this.getPairKey(userIdA, userIdB), isActive: true }));
+};
+
+module.exports = mongoose.model('Match', matchSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Direct messages between two users. Every pair of users shares a single
+// thread, identified by their sorted user IDs (see getThreadId).
+const messageSchema = new mongoose.Schema({
+  threadId: { type: String, required: true },
+  senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  message: { type: String, required: true, trim: true, maxlength: 2000 },
+
+  // Read receipts
+  isRead: { type: Boolean, default: false },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Conversation history is paged newest-first by _id
+messageSchema.index({ threadId: 1, _id: -1 });
+// Unread counts per recipient
+messageSchema.index({ recipientId: 1, isRead: 1 });
+// Thread list lookups
+messageSchema.index({ senderId: 1, createdAt: -1 });
+messageSchema.index({ recipientId: 1, createdAt: -1 });
+
+messageSchema.statics.getThreadId = function (userIdA, userIdB) {
+  return [userIdA.toString(), userIdB.toString()].sort().join('_');
+};
+
+module.exports = mongoose.model('Message', messageSchema);
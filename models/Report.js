@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const REPORT_CATEGORIES = [
+  'spam',
+  'scam',
+  'harassment',
+  'inappropriate_content',
+  'fake_profile',
+  'underage',
+  'animal_welfare',
+  'other'
+];
+
+// A user reporting another user. Open reports make up the moderation queue.
+const reportSchema = new mongoose.Schema({
+  reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reportedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  category: { type: String, enum: REPORT_CATEGORIES, required: true },
+  details: { type: String, trim: true, maxlength: 2000 },
+
+  // Moderation
+  status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open' },
+  resolution: { type: String, trim: true, maxlength: 1000 },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+// The moderation queue, oldest first
+reportSchema.index({ status: 1, createdAt: 1 });
+// Reports against a user, and duplicate checks
+reportSchema.index({ reportedUserId: 1, status: 1 });
+reportSchema.index({ reporterId: 1, reportedUserId: 1, status: 1 });
+
+reportSchema.statics.CATEGORIES = REPORT_CATEGORIES;
+
+module.exports = mongoose.model('Report', reportSchema);
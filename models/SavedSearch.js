@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A named set of /api/matches/filtered filters that a background job re-runs
+// to alert the user about new profiles.
+const savedSearchSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  filters: { type: mongoose.Schema.Types.Mixed, default: {} }, // Validated by lib/filters.js; radius lives here
+  center: { // Searched around this point, or the user's own location when unset
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+  },
+
+  // Alerts
+  alertsEnabled: { type: Boolean, default: true },
+  emailDigest: { type: Boolean, default: false },
+  lastRunAt: Date, // Alerts cover profiles created since the last run
+  lastNewMatchCount: { type: Number, default: 0 },
+  pendingDigest: [{ // New profiles waiting for the next email digest
+    userId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    foundAt: { type: Date, default: Date.now }
+  }],
+  lastDigestAt: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+// The alerts job picks the searches that are due
+savedSearchSchema.index({ alertsEnabled: 1, lastRunAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
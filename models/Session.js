@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Holds the hash of its current refresh token, which is
+// rotated on every refresh. Redis caches active sessions; this is the durable copy.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: String, // Detects reuse of a rotated refresh token
+  rotatedAt: Date,
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are cleaned up by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
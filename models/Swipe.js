@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One user's decision on another user. A user is swiped at most once by the
+// same swiper; swiping on one of their pet cards counts for the whole user.
+const swipeSchema = new mongoose.Schema({
+  swiperId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  profileId: String, // The card that was swiped: "<userId>" or "<userId>_<petId>"
+  action: { type: String, enum: ['like', 'pass', 'superlike'], required: true },
+  createdMatch: { type: Boolean, default: false } // This swipe completed a mutual like
+}, {
+  timestamps: true
+});
+
+// One swipe per pair; also serves "has X swiped Y" and discovery exclusion lookups
+swipeSchema.index({ swiperId: 1, targetUserId: 1 }, { unique: true });
+// Mutual-like checks and "who liked me"
+swipeSchema.index({ targetUserId: 1, action: 1 });
+// Swipe history, newest first (undo works on the latest)
+swipeSchema.index({ swiperId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Swipe', swipeSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A swipe request sent with an idempotency key, kept so a repeat of the same
+// request replays its outcome instead of swiping again (see lib/swipes.js).
+const swipeRequestSchema = new mongoose.Schema({
+  swiperId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  idempotencyKey: { type: String, required: true },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ['like', 'pass', 'superlike'], required: true },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A key belongs to one request of one swiper
+swipeRequestSchema.index({ swiperId: 1, idempotencyKey: 1 }, { unique: true });
+// MongoDB removes keys once they expire
+swipeRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SwipeRequest', swipeRequestSchema);
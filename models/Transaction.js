@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// One membership payment attempt with any provider, and the ledger that
+// membership is computed from (see lib/payments/membership.js).
+//
+// A payment is one document per (provider, providerReference): the Stripe
+// PaymentIntent, PayPal order or Square payment id. Declines that never got a
+// reference from the provider are still recorded, without one.
+const STATUSES = ['pending', 'succeeded', 'failed', 'refunded', 'disputed'];
+
+// The statuses a payment attempt can be recorded over. Refunds and disputes
+// only move through transition(), so a retried success can't undo them.
+const RECORDABLE_FROM = {
+  pending: ['failed'],
+  succeeded: ['pending', 'failed'],
+  failed: ['pending']
+};
+
+const DUPLICATE_KEY = 11000;
+
+const transactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  provider: { type: String, enum: ['stripe', 'paypal', 'square', 'legacy'], required: true },
+  providerReference: String,
+  captureId: String, // PayPal's capture, which refunds and disputes refer to
+  plan: { type: String, enum: ['monthly', 'yearly', 'lifetime'], required: true },
+  amount: Number, // In cents
+  currency: String,
+  status: { type: String, enum: STATUSES, required: true },
+  paidAt: Date, // When the payment first succeeded; membership periods start here
+  failureCode: String,
+  failureMessage: String,
+  paymentDetails: {
+    cardBrand: String,
+    last4: String,
+    receiptUrl: String
+  },
+  rawPayload: mongoose.Schema.Types.Mixed, // The provider's last word on the payment, for support
+  history: [{
+    _id: false,
+    status: { type: String, enum: STATUSES },
+    at: { type: Date, default: Date.now },
+    reason: String
+  }]
+}, {
+  timestamps: true
+});
+
+transactionSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+transactionSchema.index({ captureId: 1 }, { sparse: true });
+// Payment history and membership computation
+transactionSchema.index({ userId: 1, createdAt: -1 });
+// Admin ledger
+transactionSchema.index({ status: 1, createdAt: -1 });
+
+// Record a payment attempt as pending, succeeded or failed. keys is
+// { provider, providerReference, userId }; fields are set along with the status
+// (reason goes into the history only). Safe to retry and to race: the first
+// call creates the payment, later ones move it on if RECORDABLE_FROM allows.
+// Resolves to { transaction, created }, or null if the payment is already in
+// a status it can't move from, or belongs to another user.
+transactionSchema.statics.record = async function (keys, status, fields = {}) {
+  const { provider, providerReference, userId } = keys;
+  const { reason, ...values } = fields;
+  const at = new Date();
+  const entry = { status, at, reason };
+  if (status === 'succeeded') values.paidAt = at;
+
+  if (!providerReference) {
+    const transaction = await this.create({ userId, provider, status, ...values, history: [entry] });
+    return { transaction, created: true };
+  }
+
+  const insert = () => this.findOneAndUpdate(
+    { provider, providerReference },
+    { $setOnInsert: { userId, provider, providerReference, status, ...values, history: [entry] } },
+    { upsert: true, new: true, rawResult: true }
+  );
+
+  let result;
+  try {
+    result = await insert();
+  } catch (error) {
+    // A concurrent call inserted it first
+    if (error.code !== DUPLICATE_KEY) throw error;
+    result = await insert();
+  }
+
+  if (!result.lastErrorObject.updatedExisting) {
+    return { transaction: result.value, created: true };
+  }
+
+  const transaction = await this.transition(
+    { provider, providerReference, ...(userId ? { userId } : {}) },
+    RECORDABLE_FROM[status],
+    status,
+    { reason, ...values }
+  );
+  return transaction ? { transaction, created: false } : null;
+};
+
+// Move one payment from one of the statuses in from to status, e.g. a refund
+// from ['succeeded', 'disputed'] to 'refunded'. Resolves to the updated
+// transaction, or null if no payment matching filter was in those statuses.
+transactionSchema.statics.transition = function (filter, from, status, fields = {}) {
+  const { reason, ...values } = fields;
+  return this.findOneAndUpdate(
+    { ...filter, status: { $in: from } },
+    { $set: { status, ...values }, $push: { history: { status, at: new Date(), reason } } },
+    { new: true }
+  );
+};
+
+transactionSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Transaction', transactionSchema);
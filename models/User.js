@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// Enhanced User Schema
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  password: { type: String }, // bcrypt hash, optional for OAuth users
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  name: { type: String, required: true },
+  username: { type: String, unique: true, sparse: true, default: null },
+  age: { type: Number },
+  birthday: { type: Date },
+  gender: { type: String, enum: ['male', 'female', 'other'] },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    // Not required at signup; user can set later from match filters or profile
+    coordinates: { type: [Number], required: false }, // [longitude, latitude]
+    address: { type: String },
+    city: { type: String },
+    state: { type: String },
+    country: { type: String }
+  },
+  // Stored coordinates are fuzzed with this offset (see lib/location.js)
+  locationJitter: { type: [Number], default: undefined },
+  hideDistance: { type: Boolean, default: false }, // Don't show other users how far away I am
+  // Travel mode (premium): a temporary location discovery runs from until
+  // expiresAt. Other users still see and search by location above.
+  travelLocation: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+    city: { type: String },
+    state: { type: String },
+    country: { type: String },
+    expiresAt: Date
+  },
+  preferences: {
+    ageRange: { min: Number, max: Number }, // pet age in years
+    distance: { type: Number, default: 10 }, // in miles
+    petType: { type: String, enum: ['any', 'dog', 'cat', 'bird', 'fish', 'other'], default: 'dog' }
+  },
+  pets: [{
+    name: String,
+    type: String, // species, see lib/pets.js
+    breed: String,
+    age: Number, // legacy - use birthDate
+    birthDate: Date,
+    description: String,
+    personality: [String],
+    size: { type: String, enum: ['small', 'medium', 'large', 'extra_large'] },
+    vaccinated: Boolean,
+    spayedNeutered: Boolean,
+    temperament: [String],
+    images: [String],
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  profilePicture: String,
+  coverPhoto: String,
+  profileImages: [String],
+  bio: String,
+  interests: [String],
+  favoriteAnimal: String,
+  
+  // Social media links
+  instagram: String,
+  facebook: String,
+  twitter: String,
+  
+  // Account status
+  isSubscribed: { type: Boolean, default: false },
+  isVerified: { type: Boolean, default: false },
+  lastActive: { type: Date, default: Date.now },
+  
+  // ID Verification
+  idVerificationStatus: { 
+    type: String, 
+    enum: ['not_submitted', 'pending', 'approved', 'rejected'], 
+    default: 'not_submitted' 
+  },
+  idVerificationUploadedAt: Date,
+  idVerificationRejectionReason: String,
+  
+  // Access control
+  role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+  accountStatus: { type: String, enum: ['active', 'suspended', 'banned'], default: 'active' },
+  accountStatusReason: String,
+  suspendedUntil: Date,
+  
+  // OAuth info
+  googleId: String,
+  
+  // Points and badges
+  points: { type: Number, default: 0 },
+  badges: [String],
+  
+  // User statistics for dashboard
+  totalMatches: { type: Number, default: 0 },
+  messagesCount: { type: Number, default: 0 },
+  profileViews: { type: Number, default: 0 },
+
+  // User activity tracking
+    recentActivity: [{
+    type: {
+      type: String,
+      enum: ['match', 'message', 'points_earned', 'profile_updated', 'verification_completed', 'verification_submitted', 'verification_rejected', 'membership', 'login', 'pet_added', 'swipe_like', 'swipe_pass', 'superlike_received', 'saved_search_match'],
+      required: true
+    },
+    description: { type: String, required: true },
+    relatedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    relatedUserName: String,
+    pointsEarned: Number,
+    timestamp: { type: Date, default: Date.now }
+  }],
+  
+  // Membership fields
+  membershipType: { type: String, enum: ['free', 'premium'], default: 'free' },
+  membershipStatus: { type: String, enum: ['active', 'cancelled', 'expired'], default: 'active' },
+  membershipPlan: { type: String, enum: ['monthly', 'yearly', 'lifetime'] },
+  membershipStartDate: Date,
+  membershipEndDate: Date,
+  membershipCancelledAt: Date,
+  membershipGraceEndsAt: Date, // Set when a renewal failed; premium lasts until then
+  membershipReminderSentFor: Date, // The end date the last renewal reminder was about
+  paymentMethod: String,
+  lastTransactionId: String,
+  
+  // ID Verification fields
+  idVerificationDocuments: [{
+    filename: String,
+    originalName: String,
+    path: String,
+    key: String, // Storage key (private/verification/...)
+    contentType: String,
+    size: Number,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  idVerificationSubmittedAt: Date,
+  idVerificationApprovedAt: Date,
+  idVerificationAttempts: { type: Number, default: 0 },
+  idVerificationReviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  idVerificationReviewedAt: Date,
+  
+  // Badges system
+  badges: [{
+    type: String,
+    name: String,
+    description: String,
+    icon: String,
+    color: String,
+    earnedAt: { type: Date, default: Date.now }
+  }],
+  
+  // Daily superlike allowance (day is the UTC date, YYYY-MM-DD)
+  superlikeUsage: {
+    day: String,
+    used: { type: Number, default: 0 }
+  },
+  lastSwipeUndoAt: Date,
+  
+  // Swipes and matches live in their own collections (models/Swipe.js, models/Match.js).
+  // Older documents may still carry embedded swipedProfiles/matches arrays until
+  // scripts/migrate-swipes.js has been run.
+}, {
+  timestamps: true
+});
+
+// Create geospatial index for location-based queries
+userSchema.index({ location: '2dsphere' });
+// Membership expiry and renewal reminders
+userSchema.index({ membershipType: 1, membershipEndDate: 1 });
+
+module.exports = mongoose.model('User', userSchema);
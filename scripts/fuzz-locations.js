@@ -0,0 +1,72 @@
+// One-off migration: replace the raw GPS coordinates stored before location
+// fuzzing with fuzzed ones (see lib/location.js), giving each user their
+// permanent jitter.
+//
+// Safe to re-run: fuzzing is repeatable for a user's jitter, so coordinates
+// that are already fuzzed come out unchanged.
+//
+// Usage: node scripts/fuzz-locations.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const locationPrivacy = require('../lib/location');
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`📍 Fuzzing stored locations${dryRun ? ' (dry run)' : ''}...`);
+
+  const cursor = User.collection.find(
+    { 'location.coordinates.1': { $exists: true } },
+    { projection: { location: 1, locationJitter: 1 } }
+  );
+
+  const stats = { users: 0, updated: 0 };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length > 0 && !dryRun) {
+      await User.collection.bulkWrite(ops, { ordered: false });
+    }
+    ops = [];
+  };
+
+  for await (const user of cursor) {
+    stats.users++;
+    const jitter = user.locationJitter && user.locationJitter.length === 2
+      ? user.locationJitter
+      : locationPrivacy.createJitter();
+    const coordinates = locationPrivacy.fuzzCoordinates(user.location.coordinates, jitter);
+
+    if (coordinates[0] === user.location.coordinates[0] && coordinates[1] === user.location.coordinates[1]) {
+      continue;
+    }
+
+    stats.updated++;
+    ops.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { 'location.coordinates': coordinates, locationJitter: jitter } }
+      }
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`🎉 Done: ${stats.users} user(s) with a location, ${stats.updated} ${dryRun ? 'to update' : 'updated'}`);
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+// One-off migration: move base64 data URL images out of MongoDB into file storage.
+//
+// Uploads every data URL found in profilePicture, coverPhoto, profileImages and
+// pets[].images to the configured storage driver and replaces it with the public URL.
+//
+// Usage: node scripts/migrate-base64-images.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { createStorage, generateKey } = require('../lib/storage');
+
+const DATA_URL_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,/i;
+const dryRun = process.argv.includes('--dry-run');
+
+function parseDataUrl(value) {
+  const match = typeof value === 'string' && value.match(DATA_URL_PATTERN);
+  if (!match) return null;
+  return {
+    contentType: match[1].toLowerCase(),
+    buffer: Buffer.from(value.slice(match[0].length), 'base64')
+  };
+}
+
+async function migrateImage(storage, userId, value, folder, stats) {
+  const image = parseDataUrl(value);
+  if (!image) return value;
+
+  stats.images++;
+  stats.bytes += image.buffer.length;
+  if (dryRun) return value;
+
+  const key = generateKey(`images/${userId}/${folder}`, image.contentType.split('/')[1]);
+  const stored = await storage.put(key, image.buffer, {
+    contentType: image.contentType,
+    cacheControl: 'public, max-age=31536000, immutable'
+  });
+  return stored.url;
+}
+
+async function migrateUser(storage, user, stats) {
+  const update = {};
+
+  const profilePicture = await migrateImage(storage, user._id, user.profilePicture, 'profile', stats);
+  if (profilePicture !== user.profilePicture) update.profilePicture = profilePicture;
+
+  const coverPhoto = await migrateImage(storage, user._id, user.coverPhoto, 'cover', stats);
+  if (coverPhoto !== user.coverPhoto) update.coverPhoto = coverPhoto;
+
+  if (Array.isArray(user.profileImages)) {
+    const profileImages = [];
+    for (const image of user.profileImages) {
+      profileImages.push(await migrateImage(storage, user._id, image, 'gallery', stats));
+    }
+    if (profileImages.some((image, index) => image !== user.profileImages[index])) {
+      update.profileImages = profileImages;
+    }
+  }
+
+  for (const [petIndex, pet] of (user.pets || []).entries()) {
+    const images = [];
+    for (const image of pet.images || []) {
+      images.push(await migrateImage(storage, user._id, image, `pets/${pet._id}`, stats));
+    }
+    if (images.some((image, index) => image !== pet.images[index])) {
+      update[`pets.${petIndex}.images`] = images;
+    }
+  }
+
+  if (Object.keys(update).length === 0 || dryRun) return false;
+
+  // Raw collection update so timestamps and validators are left alone
+  await User.collection.updateOne({ _id: user._id }, { $set: update });
+  return true;
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const storage = createStorage();
+  console.log(`🗄️ Migrating base64 images to ${storage.name} storage${dryRun ? ' (dry run)' : ''}...`);
+
+  const dataUrlQuery = { $regex: '^data:image/' };
+  const cursor = User.collection.find({
+    $or: [
+      { profilePicture: dataUrlQuery },
+      { coverPhoto: dataUrlQuery },
+      { profileImages: dataUrlQuery },
+      { 'pets.images': dataUrlQuery }
+    ]
+  }, {
+    projection: { profilePicture: 1, coverPhoto: 1, profileImages: 1, pets: 1, email: 1 }
+  });
+
+  const stats = { users: 0, updated: 0, failed: 0, images: 0, bytes: 0 };
+
+  for await (const user of cursor) {
+    stats.users++;
+    try {
+      if (await migrateUser(storage, user, stats)) {
+        stats.updated++;
+        console.log(`✅ Migrated images for ${user.email}`);
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Error migrating ${user.email}:`, error.message);
+    }
+  }
+
+  console.log(`🎉 Done: ${stats.images} image(s), ${(stats.bytes / 1024 / 1024).toFixed(1)}MB across ${stats.users} user(s); ${stats.updated} updated, ${stats.failed} failed`);
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
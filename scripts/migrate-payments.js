@@ -0,0 +1,120 @@
+// One-off migration: backfill the Transaction ledger from the membership
+// fields premium members had before it existed, so membership can be
+// computed from it.
+//
+// - Each premium member gets a succeeded transaction for their plan, paid at
+//   their membership start date. Stripe payments keep their PaymentIntent id
+//   so later refunds and disputes find them; everything else is recorded with
+//   the "legacy" provider, under the user's last transaction id or
+//   "legacy-<userId>".
+// - Members without a membershipEndDate (memberships from before end dates
+//   were stored) get the one their plan gives them, since membership checks
+//   treat a missing end date as no membership.
+//
+// Safe to re-run: transactions are only inserted, keyed on provider and
+// reference, and end dates are only filled in where missing.
+//
+// Usage: node scripts/migrate-payments.js [--dry-run]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { getPlan, computeMembership } = require('../lib/payments');
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`💳 Backfilling the payment ledger${dryRun ? ' (dry run)' : ''}...`);
+
+  const stats = { users: 0, inserted: 0, endDates: 0, skipped: 0 };
+  let transactionOps = [];
+  let userOps = [];
+
+  const flush = async () => {
+    if (!dryRun && transactionOps.length > 0) {
+      const result = await Transaction.bulkWrite(transactionOps, { ordered: false });
+      stats.inserted += result.upsertedCount;
+    } else if (dryRun) {
+      stats.inserted += transactionOps.length;
+    }
+    if (!dryRun && userOps.length > 0) {
+      await User.bulkWrite(userOps, { ordered: false });
+    }
+    transactionOps = [];
+    userOps = [];
+  };
+
+  const users = User.collection.find(
+    { membershipType: 'premium' },
+    { projection: { membershipPlan: 1, membershipStartDate: 1, membershipEndDate: 1, paymentMethod: 1, lastTransactionId: 1, createdAt: 1 } }
+  );
+
+  for await (const user of users) {
+    const plan = getPlan(user.membershipPlan);
+    if (!plan) {
+      console.warn(`⚠️  Premium user ${user._id} has no plan, skipped`);
+      stats.skipped++;
+      continue;
+    }
+
+    stats.users++;
+    const isStripe = user.paymentMethod === 'stripe' && /^pi_/.test(user.lastTransactionId || '');
+    const paidAt = user.membershipStartDate || user.createdAt || new Date();
+    const transaction = {
+      userId: user._id,
+      provider: isStripe ? 'stripe' : 'legacy',
+      providerReference: isStripe ? user.lastTransactionId : (user.lastTransactionId || `legacy-${user._id}`),
+      plan: plan.id,
+      amount: isStripe ? plan.amount : undefined,
+      currency: plan.currency,
+      status: 'succeeded',
+      paidAt,
+      history: [{ status: 'succeeded', at: paidAt, reason: 'migrated' }],
+      createdAt: paidAt,
+      updatedAt: paidAt
+    };
+
+    // Keep the original dates rather than stamping the migration time
+    transactionOps.push({
+      updateOne: {
+        filter: { provider: transaction.provider, providerReference: transaction.providerReference },
+        update: { $setOnInsert: transaction },
+        upsert: true,
+        timestamps: false
+      }
+    });
+
+    if (!user.membershipEndDate) {
+      const { endDate } = computeMembership([transaction], paidAt);
+      userOps.push({
+        updateOne: { filter: { _id: user._id, membershipEndDate: null }, update: { $set: { membershipEndDate: endDate } } }
+      });
+      stats.endDates++;
+    }
+
+    if (transactionOps.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`📦 Read ${stats.users} premium member(s)`);
+  if (stats.skipped > 0) {
+    console.log(`⚠️  Skipped ${stats.skipped} premium member(s) without a plan`);
+  }
+  console.log(`📅 ${stats.endDates} membership end date(s) ${dryRun ? 'to fill in' : 'filled in'}`);
+  console.log(`🎉 Done: ${stats.inserted} transaction(s) ${dryRun ? 'to insert' : 'inserted'}`);
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
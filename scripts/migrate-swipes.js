@@ -0,0 +1,148 @@
+// One-off migration: move embedded swipedProfiles and matches arrays out of
+// User documents into the Swipe and Match collections.
+//
+// Safe to re-run: records that already exist in the new collections (including
+// swipes made after the new code was deployed) are left as they are. Once a
+// user's data is copied, the embedded arrays are removed from their document
+// unless --keep-embedded is passed.
+//
+// Usage: node scripts/migrate-swipes.js [--dry-run] [--keep-embedded]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Swipe = require('../models/Swipe');
+const Match = require('../models/Match');
+
+const dryRun = process.argv.includes('--dry-run');
+const keepEmbedded = process.argv.includes('--keep-embedded');
+
+const isObjectId = value => mongoose.Types.ObjectId.isValid(value) && String(value).length === 24;
+
+async function migrateUser(user, stats) {
+  // Later swipes on the same user win, like they did in the embedded array
+  const latestSwipes = new Map();
+  for (const swipe of user.swipedProfiles || []) {
+    const targetUserId = swipe.profileId && String(swipe.profileId).split('_')[0];
+    if (!isObjectId(targetUserId) || targetUserId === user._id.toString() || !swipe.action) {
+      stats.skipped++;
+      continue;
+    }
+    latestSwipes.set(targetUserId, swipe);
+  }
+
+  const swipeOps = [...latestSwipes.entries()].map(([targetUserId, swipe]) => {
+    const timestamp = swipe.timestamp || new Date();
+    return {
+      updateOne: {
+        filter: { swiperId: user._id, targetUserId: new mongoose.Types.ObjectId(targetUserId) },
+        update: {
+          $setOnInsert: {
+            profileId: String(swipe.profileId),
+            action: swipe.action,
+            createdAt: timestamp,
+            updatedAt: timestamp
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  const matchOps = [];
+  for (const match of user.matches || []) {
+    if (!isObjectId(match.matchedUserId) || match.matchedUserId.equals(user._id)) {
+      stats.skipped++;
+      continue;
+    }
+    const timestamp = match.timestamp || new Date();
+    const pairKey = Match.getPairKey(user._id, match.matchedUserId);
+
+    matchOps.push({
+      updateOne: {
+        filter: { pairKey },
+        update: {
+          $setOnInsert: {
+            userIds: [user._id, match.matchedUserId],
+            isActive: match.isActive !== false,
+            createdAt: timestamp,
+            updatedAt: timestamp
+          }
+        },
+        upsert: true
+      }
+    });
+
+    // A match either side has deactivated stays inactive
+    if (match.isActive === false) {
+      matchOps.push({
+        updateOne: { filter: { pairKey }, update: { $set: { isActive: false } } }
+      });
+    }
+  }
+
+  stats.swipes += swipeOps.length;
+  stats.matches += matchOps.filter(op => op.updateOne.upsert).length;
+  if (dryRun) return;
+
+  // Raw collection writes so the original timestamps are kept
+  if (swipeOps.length > 0) {
+    const result = await Swipe.collection.bulkWrite(swipeOps, { ordered: false });
+    stats.swipesInserted += result.upsertedCount;
+  }
+  if (matchOps.length > 0) {
+    const result = await Match.collection.bulkWrite(matchOps, { ordered: true });
+    stats.matchesInserted += result.upsertedCount;
+  }
+
+  if (!keepEmbedded) {
+    await User.collection.updateOne({ _id: user._id }, { $unset: { swipedProfiles: '', matches: '' } });
+  }
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🔀 Migrating embedded swipes and matches${dryRun ? ' (dry run)' : ''}...`);
+
+  // Unique indexes must exist before upserting, or re-runs could duplicate
+  if (!dryRun) {
+    await Swipe.syncIndexes();
+    await Match.syncIndexes();
+  }
+
+  const cursor = User.collection.find({
+    $or: [
+      { 'swipedProfiles.0': { $exists: true } },
+      { 'matches.0': { $exists: true } }
+    ]
+  }, {
+    projection: { swipedProfiles: 1, matches: 1, email: 1 }
+  });
+
+  const stats = { users: 0, failed: 0, swipes: 0, matches: 0, swipesInserted: 0, matchesInserted: 0, skipped: 0 };
+
+  for await (const user of cursor) {
+    stats.users++;
+    try {
+      await migrateUser(user, stats);
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Error migrating ${user.email}:`, error.message);
+    }
+  }
+
+  console.log(`🎉 Done: ${stats.users} user(s), ${stats.swipes} swipe(s) and ${stats.matches} match record(s) found; ` +
+    `${stats.swipesInserted} swipe(s) and ${stats.matchesInserted} match(es) created, ${stats.skipped} invalid entries skipped, ${stats.failed} failed`);
+  await mongoose.disconnect();
+}
+
+run().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
@@ -6,14 +6,24 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const requestIp = require('request-ip');
 const axios = require('axios');
-const geolib = require('geolib');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
 const multer = require('multer');
 const path = require('path');
-const paypal = require('paypal-rest-sdk');
-const { Client, Environment } = require('square');
 const redis = require('redis');
+const realtime = require('./lib/realtime');
+const { createStorage, generateKey } = require('./lib/storage');
+const { processImage, imageVariants, ImageProcessingError } = require('./lib/images');
+const petOptions = require('./lib/pets');
+const recommendations = require('./lib/recommendations');
+const swipes = require('./lib/swipes');
+const filterOptions = require('./lib/filters');
+const locationPrivacy = require('./lib/location');
+const { getPlan, computeMembership, getMembershipStatus, hasPremium, PaymentError, StripePayments, PayPalPayments, SquarePayments } = require('./lib/payments');
+const { createMailer } = require('./lib/mailer');
+const emailTemplates = require('./lib/mailer/templates');
 require('dotenv').config();
 
 const app = express();
@@ -22,6 +32,7 @@ const PORT = process.env.PORT || 8000;
 // Graceful shutdown handler
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  realtime.close();
   if (redisClient) {
     redisClient.quit();
   }
@@ -30,6 +41,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  realtime.close();
   if (redisClient) {
     redisClient.quit();
   }
@@ -165,18 +177,14 @@ app.set('trust proxy', 1); // Trust first proxy (Koyeb load balancer)
 // Google OAuth client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// Initialize PayPal
-paypal.configure({
-  'mode': process.env.NODE_ENV === 'production' ? 'live' : 'sandbox',
-  'client_id': process.env.PAYPAL_CLIENT_ID,
-  'client_secret': process.env.PAYPAL_CLIENT_SECRET
-});
+// Initialize PayPal (payments are turned off until it's configured)
+const paypalPayments = PayPalPayments.isConfigured() ? new PayPalPayments() : null;
 
-// Initialize Square client
-const squareClient = new Client({
-  accessToken: process.env.SQUARE_ACCESS_TOKEN,
-  environment: process.env.NODE_ENV === 'production' ? Environment.Production : Environment.Sandbox
-});
+// Initialize Stripe (payments are turned off until it's configured)
+const stripePayments = StripePayments.isConfigured() ? new StripePayments() : null;
+
+// Initialize Square (payments are turned off until it's configured)
+const squarePayments = SquarePayments.isConfigured() ? new SquarePayments() : null;
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -184,22 +192,49 @@ const upload = multer({
   storage: storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
+    // Quick check only - the real type is sniffed from the file contents later
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new ImageProcessingError('Only image files are allowed', 'UNSUPPORTED_FORMAT'), false);
     }
   }
 });
 
+// File storage for uploads (local disk in development, Backblaze B2 in production)
+const fileStorage = createStorage();
+console.log(`🗄️ File storage driver: ${fileStorage.name}`);
+
+// Outgoing email (SMTP in production, console or file driver locally)
+const mailer = createMailer();
+console.log(`📧 Mail driver: ${mailer.name}`);
+if (!mailer.enabled) {
+  console.warn('⚠️  No SMTP server configured (SMTP_HOST): email sign-up and password reset are disabled');
+}
+
 // Middleware
 app.use(helmet());
 app.use(compression());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are verified against the exact bytes that were sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(requestIp.mw());
 
+// Serve locally stored public uploads (private files live outside this folder)
+if (fileStorage.name === 'local') {
+  app.use('/uploads', express.static(fileStorage.publicDir, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -321,140 +356,18 @@ if (process.env.MONGODB_URI) {
   console.log('ℹ️ No MongoDB URI provided, app will run without database');
 }
 
-// Enhanced User Schema
-const userSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  password: { type: String }, // Optional for OAuth users
-  name: { type: String, required: true },
-  username: { type: String, unique: true, sparse: true, default: null },
-  age: { type: Number },
-  birthday: { type: Date },
-  gender: { type: String, enum: ['male', 'female', 'other'] },
-  location: {
-    type: { type: String, enum: ['Point'], default: 'Point' },
-    // Not required at signup; user can set later from match filters or profile
-    coordinates: { type: [Number], required: false }, // [longitude, latitude]
-    address: { type: String },
-    city: { type: String },
-    state: { type: String },
-    country: { type: String }
-  },
-  preferences: {
-    ageRange: { min: Number, max: Number },
-    distance: { type: Number, default: 10 }, // in miles
-    petType: { type: String, enum: ['dog', 'cat', 'bird', 'fish', 'other'], default: 'dog' }
-  },
-  pets: [{
-    name: String,
-    type: String,
-    breed: String,
-    age: Number,
-    description: String,
-    images: [String],
-    isActive: { type: Boolean, default: true }
-  }],
-  profilePicture: String,
-  coverPhoto: String,
-  profileImages: [String],
-  bio: String,
-  interests: [String],
-  favoriteAnimal: String,
-  
-  // Social media links
-  instagram: String,
-  facebook: String,
-  twitter: String,
-  
-  // Account status
-  isSubscribed: { type: Boolean, default: false },
-  isVerified: { type: Boolean, default: false },
-  lastActive: { type: Date, default: Date.now },
-  
-  // ID Verification
-  idVerificationStatus: { 
-    type: String, 
-    enum: ['not_submitted', 'pending', 'approved', 'rejected'], 
-    default: 'not_submitted' 
-  },
-  idVerificationUploadedAt: Date,
-  idVerificationRejectionReason: String,
-  
-  // OAuth info
-  googleId: String,
-  
-  // Points and badges
-  points: { type: Number, default: 0 },
-  badges: [String],
-  
-  // User statistics for dashboard
-  totalMatches: { type: Number, default: 0 },
-  messagesCount: { type: Number, default: 0 },
-  profileViews: { type: Number, default: 0 },
-
-  // User activity tracking
-    recentActivity: [{
-    type: {
-      type: String,
-      enum: ['match', 'message', 'points_earned', 'profile_updated', 'verification_completed', 'verification_submitted', 'membership', 'login', 'pet_added', 'swipe_like', 'swipe_pass'],
-      required: true
-    },
-    description: { type: String, required: true },
-    relatedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    relatedUserName: String,
-    pointsEarned: Number,
-    timestamp: { type: Date, default: Date.now }
-  }],
-  
-  // Membership fields
-  membershipType: { type: String, enum: ['free', 'premium'], default: 'free' },
-  membershipStatus: { type: String, enum: ['active', 'cancelled', 'expired'], default: 'active' },
-  membershipPlan: { type: String, enum: ['monthly', 'yearly', 'lifetime'] },
-  membershipStartDate: Date,
-  membershipEndDate: Date,
-  membershipCancelledAt: Date,
-  paymentMethod: String,
-  lastTransactionId: String,
-  
-  // ID Verification fields
-  idVerificationDocuments: [{
-    filename: String,
-    originalName: String,
-    path: String,
-    size: Number,
-    uploadedAt: { type: Date, default: Date.now }
-  }],
-  idVerificationSubmittedAt: Date,
-  idVerificationApprovedAt: Date,
-  
-  // Badges system
-  badges: [{
-    type: String,
-    name: String,
-    description: String,
-    icon: String,
-    color: String,
-    earnedAt: { type: Date, default: Date.now }
-  }],
-  
-  // Matching data
-  swipedProfiles: [{
-    profileId: mongoose.Schema.Types.ObjectId,
-    action: { type: String, enum: ['like', 'pass', 'superlike'] },
-    timestamp: { type: Date, default: Date.now }
-  }],
-  matches: [{
-    matchedUserId: mongoose.Schema.Types.ObjectId,
-    timestamp: { type: Date, default: Date.now },
-    isActive: { type: Boolean, default: true }
-  }]
-}, {
-  timestamps: true
-});
-
-// Create geospatial index for location-based queries
-userSchema.index({ location: '2dsphere' });
-
-const User = mongoose.model('User', userSchema);
+const User = require('./models/User');
+const Message = require('./models/Message');
+const AuditLog = require('./models/AuditLog');
+const AuthToken = require('./models/AuthToken');
+const Session = require('./models/Session');
+const Swipe = require('./models/Swipe');
+const Match = require('./models/Match');
+const Block = require('./models/Block');
+const Report = require('./models/Report');
+const Transaction = require('./models/Transaction');
+const SavedSearch = require('./models/SavedSearch');
+const DiscoveryDeck = require('./models/DiscoveryDeck');
 
 // IP Geolocation service
 async function getLocationFromIP(ip) {
@@ -495,24 +408,221 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+      // Expired tokens get a 401 so clients know to call /api/auth/refresh
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired', code: 'token_expired' });
+      }
+      return res.status(403).json({ error: 'Invalid token', code: 'invalid_token' });
+    }
+    
+    try {
+      // Tokens from before sessions existed have no sid and simply run out
+      if (user.sid && !(await isSessionActive(user.sid))) {
+        return res.status(401).json({ error: 'Session has been revoked', code: 'session_revoked' });
+      }
+      
+      // Suspended and banned accounts lose API access even with a valid token
+      const accountStatus = await getAccountStatus(user.userId);
+      if (accountStatus.status !== 'active') {
+        return res.status(403).json({
+          error: accountStatus.status === 'banned' ? 'Account banned' : 'Account suspended',
+          accountStatus: accountStatus.status,
+          reason: accountStatus.reason,
+          suspendedUntil: accountStatus.suspendedUntil
+        });
+      }
+    } catch (error) {
+      // Without the check we can't tell a revoked or banned account apart, so don't let it through
+      console.error('Account status check error:', error);
+      return res.status(503).json({ error: 'Authentication is temporarily unavailable', code: 'auth_unavailable' });
     }
+    
     req.user = user;
     next();
   });
 };
 
-// Helper function to generate JWT token
-const generateToken = (userId, email) => {
+// Role hierarchy: each role can do everything the roles below it can
+const ROLE_LEVELS = { user: 0, moderator: 1, admin: 2 };
+
+// Middleware to require a minimum role (use after authenticateToken).
+// Roles are read from the database so changes apply without a new token.
+const requireRole = (role) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const userRole = user.role || 'user';
+    if (ROLE_LEVELS[userRole] < ROLE_LEVELS[role]) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    
+    req.user.role = userRole;
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+// Get a user's account status, cached for a minute since every request checks it.
+// Expired suspensions are treated (and stored) as active again.
+async function getAccountStatus(userId) {
+  const cacheKey = `user:${userId}:status`;
+  const cached = await cacheUtils.get(cacheKey);
+  if (cached) return cached;
+  
+  const user = await User.findById(userId).select('accountStatus accountStatusReason suspendedUntil').lean();
+  let accountStatus = {
+    status: (user && user.accountStatus) || 'active',
+    reason: user ? user.accountStatusReason : undefined,
+    suspendedUntil: user ? user.suspendedUntil : undefined
+  };
+  
+  if (accountStatus.status === 'suspended' && accountStatus.suspendedUntil && accountStatus.suspendedUntil <= new Date()) {
+    await User.findByIdAndUpdate(userId, {
+      accountStatus: 'active',
+      $unset: { accountStatusReason: 1, suspendedUntil: 1 }
+    });
+    accountStatus = { status: 'active' };
+  }
+  
+  await cacheUtils.set(cacheKey, accountStatus, 60);
+  return accountStatus;
+}
+
+// Helper function to write an admin/moderator action to the audit log
+const recordAuditLog = async (req, action, targetUserId, details = {}) => {
+  try {
+    await AuditLog.create({
+      actorId: req.user.userId,
+      actorRole: req.user.role,
+      action,
+      targetUserId,
+      details,
+      ipAddress: req.clientIp,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+  }
+};
+
+// ==================== SESSIONS ====================
+// Short-lived JWT access tokens are paired with opaque refresh tokens
+// ("<sessionId>.<secret>") that rotate on every use. Sessions are stored in
+// MongoDB and cached in Redis; a revoked session's access tokens stop working
+// within SESSION_CACHE_TTL even though they haven't expired yet. MongoDB stays
+// the source of truth: rotation has to be a single atomic compare-and-swap, and
+// sessions must survive a Redis flush, so Redis only serves the per-request
+// session check.
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // 15 minutes, in seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // 30 days, in seconds
+const REFRESH_REUSE_GRACE = (parseInt(process.env.REFRESH_REUSE_GRACE) || 10) * 1000; // Concurrent refreshes from one device, in ms
+const SESSION_CACHE_TTL = 60; // seconds
+
+// Helper function to generate JWT access token
+const generateToken = (userId, email, sessionId) => {
   return jwt.sign(
-    { userId, email },
+    { userId, email, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const hashRefreshToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Helper function to turn a user agent into a readable device name
+function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+  
+  if (!browser && !system) return 'Unknown device';
+  return [browser && browser[0], system && `on ${system[0]}`].filter(Boolean).join(' ');
+}
+
+// Start a session for a freshly authenticated user and return its tokens
+const createSession = async (req, user) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const userAgent = req.get('User-Agent') || '';
+  
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashRefreshToken(secret),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.clientIp,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+  });
+  
+  await cacheUtils.set(`session:${session._id}`, { active: true }, SESSION_CACHE_TTL);
+  
+  return {
+    accessToken: generateToken(user._id, user.email, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Check a session is neither revoked nor expired (Redis first, MongoDB as fallback)
+async function isSessionActive(sessionId) {
+  const cacheKey = `session:${sessionId}`;
+  const cached = await cacheUtils.get(cacheKey);
+  if (cached) return cached.active;
+  
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+  const active = !!session && !session.revokedAt && session.expiresAt > new Date();
+  
+  await cacheUtils.set(cacheKey, { active }, active ? SESSION_CACHE_TTL : ACCESS_TOKEN_TTL);
+  return active;
+}
+
+// Revoke sessions matching a query and make sure the cache agrees
+const revokeSessions = async (query, reason) => {
+  const sessions = await Session.find({ ...query, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+  
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
   );
+  
+  for (const session of sessions) {
+    await cacheUtils.set(`session:${session._id}`, { active: false }, ACCESS_TOKEN_TTL);
+  }
+  
+  return sessions.length;
+};
+
+// Helper function to sign out every device of a user (optionally keeping one)
+const revokeAllSessions = (userId, reason, exceptSessionId) => {
+  const query = { userId };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  return revokeSessions(query, reason);
 };
 
+// Split a refresh token into its session ID and secret, or null if malformed
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
 // Helper functions to update user statistics
 const updateUserStats = async (userId, statType, increment = 1) => {
   try {
@@ -572,8 +682,150 @@ const addUserActivity = async (userId, type, description, options = {}) => {
   }
 };
 
+// Helper function to store processed image variants and return the public URL
+// of the full-size variant (the only URL kept on documents)
+const storeImageVariants = async (userId, variants, folder) => {
+  const baseKey = generateKey(`images/${userId}/${folder}`);
+  let fullUrl;
+  
+  for (const [name, buffer] of Object.entries(variants)) {
+    const stored = await fileStorage.put(`${baseKey}-${name}.webp`, buffer, {
+      contentType: 'image/webp',
+      cacheControl: 'public, max-age=31536000, immutable'
+    });
+    if (name === 'full') fullUrl = stored.url;
+  }
+  
+  return fullUrl;
+};
+
+// Helper function to validate, clean (EXIF/GPS stripped) and store an uploaded image.
+// Throws an ImageProcessingError for files that aren't acceptable images.
+const storeUploadedImage = async (userId, file, folder) => {
+  const variants = await processImage(file.buffer);
+  return storeImageVariants(userId, variants, folder);
+};
+
+// Helper function to delete a stored image (and its variants) by URL. URLs that
+// don't point at our storage (Google avatars, stock photos) are left alone.
+const removeStoredImage = async (url) => {
+  const baseUrl = fileStorage.getPublicUrl('');
+  if (!url || !url.startsWith(baseUrl)) return;
+  
+  const urls = url.endsWith('-full.webp') ? Object.values(imageVariants(url)) : [url];
+  for (const variantUrl of urls) {
+    try {
+      await fileStorage.remove(variantUrl.slice(baseUrl.length));
+    } catch (error) {
+      console.error(`Failed to remove stored image ${variantUrl}:`, error.message);
+    }
+  }
+};
+
 // ==================== AUTHENTICATION ROUTES ====================
 
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60; // 24 hours, in seconds
+const PASSWORD_RESET_TTL = 60 * 60; // 1 hour, in seconds
+const BCRYPT_ROUNDS = 12;
+const FRONTEND_URL = (process.env.FRONTEND_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Compared against when a login email doesn't exist, so response times don't reveal it
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('pethoria-dummy-password', BCRYPT_ROUNDS);
+
+// Middleware for routes that only work if we can email the user
+const requireEmail = (req, res, next) => {
+  if (!mailer.enabled) {
+    return res.status(503).json({ success: false, message: 'Email sign-in is unavailable right now', code: 'email_unavailable' });
+  }
+  next();
+};
+
+// Helper function to generate a unique username from a display name
+const generateUniqueUsername = async (name) => {
+  const baseUsername = name.toLowerCase().replace(/[^a-z0-9]/g, '') || 'pethorian';
+  let username = baseUsername;
+  let counter = 1;
+  
+  while (await User.findOne({ username })) {
+    username = `${baseUsername}${counter}`;
+    counter++;
+  }
+  
+  return username;
+};
+
+// Helper function to format the user returned by the auth routes
+function formatAuthUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    profilePicture: user.profilePicture,
+    isSubscribed: user.isSubscribed,
+    points: user.points,
+    emailVerified: !!user.emailVerified,
+    hasPassword: !!user.password,
+    hasGoogle: !!user.googleId
+  };
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+}
+
+// Returns an error message, or null if the password is acceptable
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  if (password.length > 128) {
+    return 'Password must be at most 128 characters';
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  return null;
+}
+
+// Helper function to email a verification link. Failures are logged, not thrown,
+// so a mail outage doesn't block sign-up.
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await AuthToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL);
+    await mailer.send({
+      to: user.email,
+      ...emailTemplates.verifyEmail({
+        name: user.name,
+        url: `${FRONTEND_URL}/verify-email?token=${token}`
+      })
+    });
+  } catch (error) {
+    console.error(`Error sending verification email to user ${user._id}:`, error);
+  }
+};
+
+// Helper function to tell an account's owner that someone tried to register
+// their address again, with a link to reset (or set) their password
+const sendAccountExistsEmail = async (user) => {
+  try {
+    const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL);
+    await mailer.send({
+      to: user.email,
+      ...emailTemplates.accountExists({
+        name: user.name,
+        url: `${FRONTEND_URL}/reset-password?token=${token}`,
+        usesGoogle: !user.password
+      })
+    });
+  } catch (error) {
+    console.error(`Error sending account exists email to user ${user._id}:`, error);
+  }
+};
+
 // Google OAuth authentication
 app.post('/api/auth/google', async (req, res) => {
   try {
@@ -602,33 +854,57 @@ app.post('/api/auth/google', async (req, res) => {
       });
     }
 
-    // Check if user already exists
-    let user = await User.findOne({ 
-      $or: [{ email }, { googleId }] 
-    });
+    // Check if user already exists. An account is only found (and linked) by
+    // email when Google has verified the address; otherwise anyone who can put
+    // that address on a Google account could sign in to it.
+    let user = await User.findOne({ googleId });
+    if (!user && payload.email_verified) {
+      user = await User.findOne({ email });
+    } else if (!user && await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists. Sign in with your password, or verify the address with Google first.',
+        code: 'email_not_verified'
+      });
+    }
 
     if (user) {
-      // Update existing user
+      const accountStatus = await getAccountStatus(user._id);
+      if (accountStatus.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: accountStatus.status === 'banned' ? 'This account has been banned' : 'This account is suspended',
+          accountStatus: accountStatus.status,
+          reason: accountStatus.reason,
+          suspendedUntil: accountStatus.suspendedUntil
+        });
+      }
+      
+      // Update existing user (this also links Google to email/password accounts)
       user.googleId = googleId;
       user.lastActive = new Date();
       if (picture && !user.profilePicture) {
         user.profilePicture = picture;
       }
+      // A password set on an address nobody had verified can't be trusted
+      // once Google proves who owns it, nor can the sessions it signed in
+      const clearedPassword = payload.email_verified && !user.emailVerified && !!user.password;
+      if (payload.email_verified && !user.emailVerified) {
+        user.password = undefined;
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
       await user.save();
       
+      if (clearedPassword) {
+        await revokeAllSessions(user._id, 'google_linked');
+      }
+      
       // Add login activity
       await addUserActivity(user._id, 'login', 'Signed in to PeThoria');
     } else {
       // Generate a unique username for new users
-      const baseUsername = name.toLowerCase().replace(/[^a-z0-9]/g, '');
-      let username = baseUsername;
-      let counter = 1;
-      
-      // Check if username exists and generate a unique one
-      while (await User.findOne({ username })) {
-        username = `${baseUsername}${counter}`;
-        counter++;
-      }
+      const username = await generateUniqueUsername(name);
       
       // Create new user WITHOUT setting location at signup
       user = new User({
@@ -636,6 +912,8 @@ app.post('/api/auth/google', async (req, res) => {
         name,
         username,
         googleId,
+        emailVerified: !!payload.email_verified,
+        emailVerifiedAt: payload.email_verified ? new Date() : undefined,
         profilePicture: picture,
         points: 50, // Welcome bonus
         lastActive: new Date()
@@ -648,21 +926,16 @@ app.post('/api/auth/google', async (req, res) => {
       await addUserActivity(user._id, 'profile_updated', 'Profile created successfully');
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.email);
+    // Start a session for this device
+    const session = await createSession(req, user);
 
     res.json({
       success: true,
       message: 'Authentication successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        profilePicture: user.profilePicture,
-        isSubscribed: user.isSubscribed,
-        points: user.points
-      }
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: formatAuthUser(user)
     });
 
   } catch (error) {
@@ -687,12 +960,14 @@ app.post('/api/auth/google', async (req, res) => {
           }
           await existingUser.save();
           
-          const token = generateToken(existingUser._id, existingUser.email);
+          const session = await createSession(req, existingUser);
           
           return res.json({
             success: true,
             message: 'Authentication successful',
-            token,
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
             user: {
               id: existingUser._id,
               email: existingUser.email,
@@ -715,398 +990,4509 @@ app.post('/api/auth/google', async (req, res) => {
   }
 });
 
-// ==================== PROFILE ROUTES ====================
+// Register with email and password.
+// A taken address gets the same answer as a new one (its owner is emailed
+// instead), so registering doesn't reveal which emails have accounts. The
+// client signs in with /api/auth/login afterwards.
+const REGISTERED_RESPONSE = {
+  success: true,
+  message: 'Check your email to verify your address, then sign in.'
+};
 
-// Get user profile
-app.get('/api/profile/me', authenticateToken, async (req, res) => {
+app.post('/api/auth/register', requireEmail, async (req, res) => {
   try {
-    const cacheKey = `user:${req.user.userId}:profile`;
+    const email = normalizeEmail(req.body.email);
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { password } = req.body;
     
-    // Try to get from cache first
-    const cachedProfile = await cacheUtils.get(cacheKey);
-    if (cachedProfile) {
-      console.log('📦 Profile served from Redis cache');
-      return res.json(cachedProfile);
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email address is required' });
     }
-
-    // If not in cache, fetch from database
-    const user = await User.findById(req.user.userId).select('-password');
     
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+    if (!name || name.length > 100) {
+      return res.status(400).json({ success: false, message: 'Name is required' });
     }
-
-    const profileData = {
-      success: true,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        username: user.username,
-        age: user.age,
-        birthday: user.birthday,
-        gender: user.gender,
-        bio: user.bio,
-        profilePicture: user.profilePicture,
-        coverPhoto: user.coverPhoto,
-        location: user.location?.address,
-        interests: user.interests,
-        favoriteAnimal: user.favoriteAnimal,
-        instagram: user.instagram,
-        facebook: user.facebook,
-        twitter: user.twitter,
-        isSubscribed: user.isSubscribed,
-        isVerified: user.isVerified,
-        points: user.points,
-        badges: user.badges,
-        petCount: user.pets?.length || 0,
-        idVerificationStatus: user.idVerificationStatus,
-        idVerificationUploadedAt: user.idVerificationUploadedAt,
-        idVerificationRejectionReason: user.idVerificationRejectionReason,
-        createdAt: user.createdAt,
-        lastActive: user.lastActive
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+    
+    // Hashed either way so both answers take as long
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    
+    const existing = await User.findOne({ email });
+    if (existing) {
+      if (existing.accountStatus !== 'banned') {
+        await sendAccountExistsEmail(existing);
       }
-    };
-
-    // Cache the profile for 5 minutes
-    await cacheUtils.set(cacheKey, profileData, 300);
-    console.log('💾 Profile cached in Redis');
-
-    res.json(profileData);
-
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to get profile' 
+      return res.status(201).json(REGISTERED_RESPONSE);
+    }
+    
+    const user = new User({
+      email,
+      name,
+      username: await generateUniqueUsername(name),
+      password: passwordHash,
+      emailVerified: false,
+      points: 50, // Welcome bonus
+      lastActive: new Date()
     });
+    
+    await user.save();
+    
+    // Add welcome activities for new users
+    await addUserActivity(user._id, 'points_earned', 'Welcome bonus points earned!', { pointsEarned: 50 });
+    await addUserActivity(user._id, 'profile_updated', 'Profile created successfully');
+    
+    await sendVerificationEmail(user);
+    
+    res.status(201).json(REGISTERED_RESPONSE);
+    
+  } catch (error) {
+    console.error('Register error:', error);
+    
+    // A concurrent registration took the address first
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
+      return res.status(201).json(REGISTERED_RESPONSE);
+    }
+    
+    res.status(500).json({ success: false, message: 'Registration failed' });
   }
 });
 
-// Get user statistics for dashboard
-app.get('/api/profile/stats', authenticateToken, async (req, res) => {
+// Sign in with email and password
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
     
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
+    if (!email || typeof password !== 'string' || !password) {
+      return res.status(400).json({ success: false, message: 'Email and password are required' });
+    }
+    
+    const user = await User.findOne({ email });
+    
+    // Google-only accounts get the same answer as a wrong password, so the
+    // response doesn't reveal which emails are registered. The reset email
+    // tells them to sign in with Google instead.
+    const passwordMatches = await bcrypt.compare(password, user && user.password ? user.password : DUMMY_PASSWORD_HASH);
+    
+    if (!user || !user.password || !passwordMatches) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+    
+    const accountStatus = await getAccountStatus(user._id);
+    if (accountStatus.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: accountStatus.status === 'banned' ? 'This account has been banned' : 'This account is suspended',
+        accountStatus: accountStatus.status,
+        reason: accountStatus.reason,
+        suspendedUntil: accountStatus.suspendedUntil
       });
     }
+    
+    user.lastActive = new Date();
+    await user.save();
+    
+    await addUserActivity(user._id, 'login', 'Signed in to PeThoria');
+    
+    const session = await createSession(req, user);
+    
+    res.json({
+      success: true,
+      message: 'Authentication successful',
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: formatAuthUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ success: false, message: 'Authentication failed' });
+  }
+});
 
-    // Calculate user statistics
-    const stats = {
-      points: user.points || 0,
-      totalMatches: user.totalMatches || 0,
-      messagesCount: user.messagesCount || 0,
-      profileViews: user.profileViews || 0,
-      memberSince: user.createdAt ? new Date(user.createdAt).getFullYear() : new Date().getFullYear(),
-      verificationStatus: user.idVerificationStatus || 'not_submitted',
-      badges: user.badges?.length || 0,
-      petCount: user.pets?.length || 0,
-      lastActive: user.lastActive,
-      joinDate: user.createdAt
-    };
-
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Verification token is required' });
+    }
+    
+    const authToken = await AuthToken.consume(token, 'email_verification');
+    
+    if (!authToken) {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      authToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    await cacheUtils.clearUserCache(user._id);
+    
     res.json({
       success: true,
-      stats: stats
+      message: 'Email verified successfully',
+      user: formatAuthUser(user)
     });
-
+    
   } catch (error) {
-    console.error('Get user stats error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to get user statistics' 
-    });
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify email' });
   }
 });
 
-// Get user's recent activity
-app.get('/api/profile/activity', authenticateToken, async (req, res) => {
+// Send a new verification email to the signed-in user
+app.post('/api/auth/resend-verification', authenticateToken, requireEmail, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId)
-      .select('recentActivity')
-      .populate('recentActivity.relatedUserId', 'name profilePicture');
+    const user = await User.findById(req.user.userId);
     
     if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
-
-    // Sort activities by timestamp (newest first) and limit to 10
-    const activities = (user.recentActivity || [])
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 10)
-      .map(activity => ({
-        type: activity.type,
-        description: activity.description,
-        relatedUserName: activity.relatedUserName,
-        pointsEarned: activity.pointsEarned,
-        timestamp: activity.timestamp,
-        timeAgo: getTimeAgo(activity.timestamp)
-      }));
-
+    
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Your email is already verified' });
+    }
+    
+    await sendVerificationEmail(user);
+    
     res.json({
       success: true,
-      activities: activities
+      message: 'Verification email sent'
     });
-
+    
   } catch (error) {
-    console.error('Get user activity error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to get user activity' 
-    });
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send verification email' });
   }
 });
 
-// Helper function to format time ago
-function getTimeAgo(timestamp) {
-  const now = new Date();
-  const activityTime = new Date(timestamp);
-  const diffInMinutes = Math.floor((now - activityTime) / (1000 * 60));
-  
-  if (diffInMinutes < 1) return 'Just now';
-  if (diffInMinutes < 60) return `${diffInMinutes} minute${diffInMinutes !== 1 ? 's' : ''} ago`;
-  
-  const diffInHours = Math.floor(diffInMinutes / 60);
-  if (diffInHours < 24) return `${diffInHours} hour${diffInHours !== 1 ? 's' : ''} ago`;
-  
-  const diffInDays = Math.floor(diffInHours / 24);
-  if (diffInDays < 7) return `${diffInDays} day${diffInDays !== 1 ? 's' : ''} ago`;
-  
-  return activityTime.toLocaleDateString();
-}
-
-// Update user profile
-app.put('/api/profile/update', authenticateToken, upload.single('profilePicture'), async (req, res) => {
+// Email a one-time password reset link. Always succeeds so it can't be used
+// to find out which emails have accounts.
+app.post('/api/auth/forgot-password', requireEmail, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const updateData = {};
-
-    // Handle text fields
-    const allowedFields = [
-      'name', 'username', 'age', 'birthday', 'gender', 'bio', 
-      'interests', 'favoriteAnimal', 'instagram', 'facebook', 'twitter'
-    ];
-
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
-      }
-    });
-
-    // Handle interests array
-    if (req.body.interests) {
-      if (typeof req.body.interests === 'string') {
-        updateData.interests = req.body.interests.split(',').map(i => i.trim());
-      } else if (Array.isArray(req.body.interests)) {
-        updateData.interests = req.body.interests;
-      }
-    }
-
-    // Handle file upload
-    if (req.file) {
-      // For now, we'll store as base64 - in production, use cloud storage
-      const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-      updateData.profilePicture = base64Image;
+    const email = normalizeEmail(req.body.email);
+    
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email address is required' });
     }
-
-    // Update last active
-    updateData.lastActive = new Date();
-
-    const user = await User.findByIdAndUpdate(
-      userId,
-      updateData,
-      { new: true, select: '-password' }
-    );
-
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
+    
+    const user = await User.findOne({ email });
+    
+    if (user && user.accountStatus !== 'banned') {
+      const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL);
+      await mailer.send({
+        to: user.email,
+        ...emailTemplates.passwordReset({
+          name: user.name,
+          url: `${FRONTEND_URL}/reset-password?token=${token}`,
+          usesGoogle: !user.password
+        })
       });
     }
-
-    // Add profile update activity
-    await addUserActivity(userId, 'profile_updated', 'Profile information updated');
-
-    // Clear user cache after profile update
-    await cacheUtils.clearUserCache(userId);
-    console.log('🗑️ User cache cleared after profile update');
-
+    
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        profilePicture: user.profilePicture,
-        bio: user.bio,
-        interests: user.interests
-      }
+      message: 'If an account exists for that email, a reset link is on its way'
     });
-
-  } catch (error) {
-    console.error('Update profile error:', error);
     
-    if (error.code === 11000) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Username already taken' 
-      });
-    }
-
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to update profile' 
-    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send password reset email' });
   }
 });
 
-// Upload cover photo
-app.put('/api/profile/cover-photo', authenticateToken, upload.single('coverPhoto'), async (req, res) => {
+// Set a new password with the token from the reset email.
+// This is also how Google users add a password to their account.
+app.post('/api/auth/reset-password', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Cover photo file is required' 
-      });
+    const { token, password } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Reset token is required' });
     }
-
-    // Convert to base64 for storage
-    const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { 
-        coverPhoto: base64Image,
-        lastActive: new Date()
-      },
-      { new: true, select: 'coverPhoto' }
-    );
-
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+    
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    
+    if (!authToken) {
+      return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+    }
+    
+    const user = await User.findById(authToken.userId);
+    
     if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
-
+    
+    // Following the emailed link proves the user owns the address
+    user.password = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    
+    // Whoever had the old password shouldn't stay signed in
+    await revokeAllSessions(user._id, 'password_reset');
+    
+    await mailer.send({ to: user.email, ...emailTemplates.passwordChanged({ name: user.name }) })
+      .catch(error => console.error(`Error sending password changed email to user ${user._id}:`, error));
+    
     res.json({
       success: true,
-      message: 'Cover photo updated successfully',
-      coverPhoto: user.coverPhoto
+      message: 'Password updated. You can now sign in with your email and password.'
     });
-
+    
   } catch (error) {
-    console.error('Cover photo upload error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to update cover photo' 
-    });
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset password' });
   }
 });
 
-// Submit ID verification
-app.post('/api/profile/submit-id-verification', authenticateToken, upload.array('idDocuments', 2), async (req, res) => {
+// Set or change the signed-in user's password. Google users without a password
+// can add one here; changing an existing password requires the current one.
+app.post('/api/auth/set-password', authenticateToken, async (req, res) => {
   try {
-    if (!req.files || req.files.length !== 2) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please upload both front and back of your ID' 
-      });
+    const { currentPassword, password } = req.body;
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
     }
-
-    // In production, upload files to cloud storage and store URLs
-    // For now, we'll just update the verification status
     
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      {
-        idVerificationStatus: 'pending',
-        idVerificationUploadedAt: new Date(),
-        idVerificationRejectionReason: null,
-        lastActive: new Date()
-      },
-      { new: true, select: 'idVerificationStatus idVerificationUploadedAt' }
-    );
-
+    const user = await User.findById(req.user.userId);
+    
     if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
-
-    // Add ID verification activity
-    await addUserActivity(req.user.userId, 'verification_completed', 'ID verification documents submitted');
-
+    
+    if (user.password) {
+      if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+      }
+    } else if (!user.emailVerified) {
+      // Linking a password to an account needs a verified email first
+      return res.status(403).json({ success: false, message: 'Verify your email before adding a password' });
+    }
+    
+    const isLinking = !user.password;
+    user.password = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await user.save();
+    
+    // Changing a password signs out every other device
+    if (!isLinking) {
+      await revokeAllSessions(user._id, 'password_changed', req.user.sid);
+    }
+    
+    await mailer.send({ to: user.email, ...emailTemplates.passwordChanged({ name: user.name }) })
+      .catch(error => console.error(`Error sending password changed email to user ${user._id}:`, error));
+    
     res.json({
       success: true,
-      message: 'ID verification submitted successfully',
-      idVerificationStatus: user.idVerificationStatus,
-      submittedAt: user.idVerificationUploadedAt
+      message: isLinking ? 'Password added. You can now also sign in with your email.' : 'Password changed successfully',
+      user: formatAuthUser(user)
     });
-
+    
   } catch (error) {
-    console.error('ID verification submission error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to submit ID verification' 
-    });
+    console.error('Set password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to set password' });
   }
 });
 
-// ==================== EXISTING ROUTES ====================
-
-// Get user's location from IP
-app.get('/api/location/ip', async (req, res) => {
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated: the one sent is spent and a new one is returned.
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const clientIp = req.clientIp;
-    const location = await getLocationFromIP(clientIp);
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    
+    if (!parsed) {
+      return res.status(400).json({ success: false, message: 'A valid refresh token is required', code: 'invalid_refresh_token' });
+    }
+    
+    const tokenHash = hashRefreshToken(parsed.secret);
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    
+    // Rotate atomically so the same refresh token can only be spent once
+    const session = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        refreshTokenHash: hashRefreshToken(newSecret),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ipAddress: req.clientIp,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL * 1000)
+      },
+      { new: true }
+    );
+    
+    if (!session) {
+      const existing = await Session.findById(parsed.sessionId);
+      
+      // An already-rotated token is being replayed. Right after rotation that's
+      // just two tabs refreshing at once; later it means the token leaked.
+      if (existing && !existing.revokedAt && existing.previousTokenHash === tokenHash) {
+        if (now - existing.rotatedAt > REFRESH_REUSE_GRACE) {
+          await revokeSessions({ _id: existing._id }, 'refresh_token_reuse');
+          console.log(`⚠️ Refresh token reuse detected, revoked session ${existing._id}`);
+        }
+      }
+      
+      return res.status(401).json({ success: false, message: 'Session expired. Please sign in again.', code: 'invalid_refresh_token' });
+    }
+    
+    const user = await User.findById(session.userId).select('email');
+    const accountStatus = user ? await getAccountStatus(user._id) : null;
+    
+    if (!user || accountStatus.status !== 'active') {
+      await revokeSessions({ _id: session._id }, user ? accountStatus.status : 'user_deleted');
+      return res.status(401).json({ success: false, message: 'Session expired. Please sign in again.', code: 'invalid_refresh_token' });
+    }
+    
+    await cacheUtils.set(`session:${session._id}`, { active: true }, SESSION_CACHE_TTL);
+    
+    res.json({
+      success: true,
+      token: generateToken(user._id, user.email, session._id),
+      refreshToken: `${session._id}.${newSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Failed to refresh session' });
+  }
+});
+
+// Sign out this device. Accepts the refresh token, or an access token even
+// if it has already expired.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    let sessionId = null;
+    
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (parsed) {
+      const session = await Session.findById(parsed.sessionId).select('refreshTokenHash');
+      if (session && session.refreshTokenHash === hashRefreshToken(parsed.secret)) {
+        sessionId = session._id;
+      }
+    } else {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+      try {
+        const payload = token && jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+        sessionId = payload && payload.sid;
+      } catch (error) {
+        // Invalid token - nothing to sign out
+      }
+    }
+    
+    if (sessionId) {
+      await revokeSessions({ _id: sessionId }, 'logout');
+    }
+    
+    res.json({
+      success: true,
+      message: 'Signed out successfully'
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Failed to sign out' });
+  }
+});
+
+// Sign out every device, optionally keeping this one ({ keepCurrent: true })
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true && req.user.sid;
+    const revoked = await revokeAllSessions(req.user.userId, 'logout_all', keepCurrent ? req.user.sid : undefined);
+    
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+      sessionsRevoked: revoked
+    });
+    
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ success: false, message: 'Failed to sign out of all devices' });
+  }
+});
+
+// List the devices the user is signed in on
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        lastUsed: getTimeAgo(session.lastUsedAt),
+        isCurrent: session._id.toString() === String(req.user.sid)
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get sessions' });
+  }
+});
+
+// Sign out one device
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid session ID' });
+    }
+    
+    const revoked = await revokeSessions({ _id: req.params.sessionId, userId: req.user.userId }, 'revoked_by_user');
+    
+    if (revoked === 0) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Failed to sign out device' });
+  }
+});
+
+// ==================== PROFILE ROUTES ====================
+
+// Get user profile
+app.get('/api/profile/me', authenticateToken, async (req, res) => {
+  try {
+    const cacheKey = `user:${req.user.userId}:profile`;
+    
+    // Try to get from cache first
+    const cachedProfile = await cacheUtils.get(cacheKey);
+    if (cachedProfile) {
+      console.log('📦 Profile served from Redis cache');
+      return res.json(cachedProfile);
+    }
+
+    // If not in cache, fetch from database
+    const user = await User.findById(req.user.userId).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    const profileData = {
+      success: true,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        username: user.username,
+        age: user.age,
+        birthday: user.birthday,
+        gender: user.gender,
+        bio: user.bio,
+        profilePicture: user.profilePicture,
+        coverPhoto: user.coverPhoto,
+        location: user.location?.address,
+        interests: user.interests,
+        favoriteAnimal: user.favoriteAnimal,
+        instagram: user.instagram,
+        facebook: user.facebook,
+        twitter: user.twitter,
+        isSubscribed: user.isSubscribed,
+        isVerified: user.isVerified,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        points: user.points,
+        badges: user.badges,
+        petCount: user.pets?.length || 0,
+        hideDistance: !!user.hideDistance,
+        idVerificationStatus: user.idVerificationStatus,
+        idVerificationUploadedAt: user.idVerificationUploadedAt,
+        idVerificationRejectionReason: user.idVerificationRejectionReason,
+        createdAt: user.createdAt,
+        lastActive: user.lastActive
+      }
+    };
+
+    // Cache the profile for 5 minutes
+    await cacheUtils.set(cacheKey, profileData, 300);
+    console.log('💾 Profile cached in Redis');
+
+    res.json(profileData);
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to get profile' 
+    });
+  }
+});
+
+// Get user statistics for dashboard
+app.get('/api/profile/stats', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    // Calculate user statistics
+    const stats = {
+      points: user.points || 0,
+      totalMatches: user.totalMatches || 0,
+      messagesCount: user.messagesCount || 0,
+      profileViews: user.profileViews || 0,
+      memberSince: user.createdAt ? new Date(user.createdAt).getFullYear() : new Date().getFullYear(),
+      verificationStatus: user.idVerificationStatus || 'not_submitted',
+      badges: user.badges?.length || 0,
+      petCount: user.pets?.length || 0,
+      lastActive: user.lastActive,
+      joinDate: user.createdAt
+    };
+
+    res.json({
+      success: true,
+      stats: stats
+    });
+
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to get user statistics' 
+    });
+  }
+});
+
+// Get user's recent activity
+app.get('/api/profile/activity', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('recentActivity')
+      .populate('recentActivity.relatedUserId', 'name profilePicture');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    // Sort activities by timestamp (newest first) and limit to 10
+    const activities = (user.recentActivity || [])
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 10)
+      .map(activity => ({
+        type: activity.type,
+        description: activity.description,
+        relatedUserName: activity.relatedUserName,
+        pointsEarned: activity.pointsEarned,
+        timestamp: activity.timestamp,
+        timeAgo: getTimeAgo(activity.timestamp)
+      }));
+
+    res.json({
+      success: true,
+      activities: activities
+    });
+
+  } catch (error) {
+    console.error('Get user activity error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to get user activity' 
+    });
+  }
+});
+
+// Helper function to format time ago
+function getTimeAgo(timestamp) {
+  const now = new Date();
+  const activityTime = new Date(timestamp);
+  const diffInMinutes = Math.floor((now - activityTime) / (1000 * 60));
+  
+  if (diffInMinutes < 1) return 'Just now';
+  if (diffInMinutes < 60) return `${diffInMinutes} minute${diffInMinutes !== 1 ? 's' : ''} ago`;
+  
+  const diffInHours = Math.floor(diffInMinutes / 60);
+  if (diffInHours < 24) return `${diffInHours} hour${diffInHours !== 1 ? 's' : ''} ago`;
+  
+  const diffInDays = Math.floor(diffInHours / 24);
+  if (diffInDays < 7) return `${diffInDays} day${diffInDays !== 1 ? 's' : ''} ago`;
+  
+  return activityTime.toLocaleDateString();
+}
+
+// Update user profile
+app.put('/api/profile/update', authenticateToken, upload.single('profilePicture'), async (req, res) => {
+  // The new picture is stored before the update, so it is removed again if the update fails
+  let storedPicture = null;
+  
+  try {
+    const userId = req.user.userId;
+    const updateData = {};
+
+    // Handle text fields
+    const allowedFields = [
+      'name', 'username', 'age', 'birthday', 'gender', 'bio', 
+      'interests', 'favoriteAnimal', 'instagram', 'facebook', 'twitter'
+    ];
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    // Handle interests array
+    if (req.body.interests) {
+      if (typeof req.body.interests === 'string') {
+        updateData.interests = req.body.interests.split(',').map(i => i.trim());
+      } else if (Array.isArray(req.body.interests)) {
+        updateData.interests = req.body.interests;
+      }
+    }
+
+    // Handle file upload
+    if (req.file) {
+      storedPicture = await storeUploadedImage(userId, req.file, 'profile');
+      updateData.profilePicture = storedPicture;
+    }
+
+    // Update last active
+    updateData.lastActive = new Date();
+
+    const previous = req.file ? await User.findById(userId).select('profilePicture') : null;
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      updateData,
+      { new: true, select: '-password' }
+    );
+
+    if (!user) {
+      await removeStoredImage(storedPicture);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+    storedPicture = null;
+
+    if (previous && previous.profilePicture !== user.profilePicture) {
+      await removeStoredImage(previous.profilePicture);
+    }
+
+    // Add profile update activity
+    await addUserActivity(userId, 'profile_updated', 'Profile information updated');
+
+    // Clear user cache after profile update
+    await cacheUtils.clearUserCache(userId);
+    console.log('🗑️ User cache cleared after profile update');
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        profilePicture: user.profilePicture,
+        profilePictureVariants: imageVariants(user.profilePicture),
+        bio: user.bio,
+        interests: user.interests
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    
+    await removeStoredImage(storedPicture);
+    
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Username already taken' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update profile' 
+    });
+  }
+});
+
+// Upload cover photo
+app.put('/api/profile/cover-photo', authenticateToken, upload.single('coverPhoto'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cover photo file is required' 
+      });
+    }
+
+    const coverPhotoUrl = await storeUploadedImage(req.user.userId, req.file, 'cover');
+
+    // The old document is returned so the replaced photo can be removed
+    const previous = await User.findByIdAndUpdate(
+      req.user.userId,
+      { 
+        coverPhoto: coverPhotoUrl,
+        lastActive: new Date()
+      },
+      { select: 'coverPhoto' }
+    );
+
+    if (!previous) {
+      await removeStoredImage(coverPhotoUrl);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    await removeStoredImage(previous.coverPhoto);
+    await cacheUtils.clearUserCache(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Cover photo updated successfully',
+      coverPhoto: coverPhotoUrl,
+      coverPhotoVariants: imageVariants(coverPhotoUrl)
+    });
+
+  } catch (error) {
+    console.error('Cover photo upload error:', error);
+    
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update cover photo' 
+    });
+  }
+});
+
+const MAX_PROFILE_IMAGES = 6;
+
+// Add photos to the profile gallery shown on match cards
+app.post('/api/profile/images', authenticateToken, upload.array('images', MAX_PROFILE_IMAGES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'At least one image is required' 
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('profileImages');
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found' 
+      });
+    }
+
+    if ((user.profileImages || []).length + req.files.length > MAX_PROFILE_IMAGES) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `You can have at most ${MAX_PROFILE_IMAGES} profile photos` 
+      });
+    }
+
+    // Process every photo before storing any, so one bad file rejects the whole upload
+    const processed = [];
+    for (const file of req.files) {
+      processed.push(await processImage(file.buffer));
+    }
+
+    const urls = [];
+    for (const variants of processed) {
+      urls.push(await storeImageVariants(req.user.userId, variants, 'gallery'));
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      req.user.userId,
+      { 
+        $push: { profileImages: { $each: urls } },
+        lastActive: new Date()
+      },
+      { new: true, select: 'profileImages' }
+    );
+
+    await cacheUtils.clearUserCache(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Photos added successfully',
+      profileImages: updated.profileImages,
+      profileImageVariants: updated.profileImages.map(imageVariants)
+    });
+
+  } catch (error) {
+    console.error('Profile images upload error:', error);
+    
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to upload photos' 
+    });
+  }
+});
+
+// Remove a photo from the profile gallery
+app.delete('/api/profile/images', authenticateToken, async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Image URL is required' 
+      });
+    }
+
+    const previous = await User.findOneAndUpdate(
+      { _id: req.user.userId, profileImages: url },
+      { $pull: { profileImages: url } },
+      { select: 'profileImages' }
+    );
+
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Image not found' 
+      });
+    }
+
+    await removeStoredImage(url);
+    await cacheUtils.clearUserCache(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Photo removed successfully',
+      profileImages: previous.profileImages.filter(image => image !== url)
+    });
+
+  } catch (error) {
+    console.error('Profile image delete error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to remove photo' 
+    });
+  }
+});
+
+// ==================== PET ROUTES ====================
+
+const MAX_PETS = 10;
+const MAX_PET_IMAGES = 6;
+
+// Helper function to format a pet for the frontend
+function formatPet(pet) {
+  return {
+    id: pet._id,
+    name: pet.name,
+    species: pet.type,
+    breed: pet.breed,
+    birthDate: pet.birthDate,
+    age: petOptions.getPetAge(pet),
+    description: pet.description,
+    personality: pet.personality || [],
+    size: pet.size,
+    vaccinated: pet.vaccinated,
+    spayedNeutered: pet.spayedNeutered,
+    temperament: pet.temperament || [],
+    images: pet.images || [],
+    imageVariants: (pet.images || []).map(imageVariants),
+    isActive: pet.isActive,
+    createdAt: pet.createdAt
+  };
+}
+
+// Load the current user and one of their pets. Sends the error response and
+// returns an empty object on failure.
+async function loadOwnedPet(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.petId)) {
+    res.status(400).json({ error: 'Invalid pet ID' });
+    return {};
+  }
+  
+  const user = await User.findById(req.user.userId).select('name pets');
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return {};
+  }
+  
+  const pet = user.pets.id(req.params.petId);
+  if (!pet) {
+    res.status(404).json({ error: 'Pet not found' });
+    return {};
+  }
+  
+  return { user, pet };
+}
+
+// Species, breeds, sizes and temperaments for the pet form
+app.get('/api/pets/options', (req, res) => {
+  res.json({
+    success: true,
+    species: petOptions.SPECIES,
+    breeds: petOptions.BREEDS,
+    sizes: petOptions.SIZES,
+    temperaments: petOptions.TEMPERAMENTS
+  });
+});
+
+// List the current user's pets in display order
+app.get('/api/pets', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('pets');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      pets: user.pets.map(formatPet)
+    });
+  } catch (error) {
+    console.error('Get pets error:', error);
+    res.status(500).json({ error: 'Failed to get pets' });
+  }
+});
+
+// Add a pet
+app.post('/api/pets', authenticateToken, async (req, res) => {
+  try {
+    const { errors, values } = petOptions.validatePetInput(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid pet details', details: errors });
+    }
+    
+    const user = await User.findById(req.user.userId).select('pets');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.pets.length >= MAX_PETS) {
+      return res.status(400).json({ error: `You can add at most ${MAX_PETS} pets` });
+    }
+    
+    user.pets.push({ ...values, images: [] });
+    await user.save();
+    
+    const pet = user.pets[user.pets.length - 1];
+    
+    await addUserActivity(user._id, 'pet_added', `Added ${pet.name} to your pets`);
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Pet added successfully',
+      pet: formatPet(pet)
+    });
+  } catch (error) {
+    console.error('Add pet error:', error);
+    res.status(500).json({ error: 'Failed to add pet' });
+  }
+});
+
+// Reorder pets - body: { petIds: [...] } listing every pet in the new order
+app.put('/api/pets/order', authenticateToken, async (req, res) => {
+  try {
+    const { petIds } = req.body;
+    
+    if (!Array.isArray(petIds)) {
+      return res.status(400).json({ error: 'petIds must be an array' });
+    }
+    
+    const user = await User.findById(req.user.userId).select('pets');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const currentIds = user.pets.map(pet => pet._id.toString());
+    const requestedIds = petIds.map(String);
+    const isPermutation = requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every(id => currentIds.includes(id));
+    
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'petIds must list each of your pets exactly once' });
+    }
+    
+    user.pets = requestedIds.map(id => user.pets.id(id).toObject());
+    await user.save();
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      pets: user.pets.map(formatPet)
+    });
+  } catch (error) {
+    console.error('Reorder pets error:', error);
+    res.status(500).json({ error: 'Failed to reorder pets' });
+  }
+});
+
+// Update a pet (any subset of fields, including isActive to deactivate it)
+app.put('/api/pets/:petId', authenticateToken, async (req, res) => {
+  try {
+    const { user, pet } = await loadOwnedPet(req, res);
+    if (!pet) return;
+    
+    const { errors, values } = petOptions.validatePetInput(req.body, { partial: true, currentSpecies: pet.type });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid pet details', details: errors });
+    }
+    
+    pet.set(values);
+    await user.save();
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      message: 'Pet updated successfully',
+      pet: formatPet(pet)
+    });
+  } catch (error) {
+    console.error('Update pet error:', error);
+    res.status(500).json({ error: 'Failed to update pet' });
+  }
+});
+
+// Delete a pet and its photos
+app.delete('/api/pets/:petId', authenticateToken, async (req, res) => {
+  try {
+    const { user, pet } = await loadOwnedPet(req, res);
+    if (!pet) return;
+    
+    const images = [...(pet.images || [])];
+    user.pets.pull(pet._id);
+    await user.save();
+    
+    for (const url of images) {
+      await removeStoredImage(url);
+    }
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      message: 'Pet deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete pet error:', error);
+    res.status(500).json({ error: 'Failed to delete pet' });
+  }
+});
+
+// Add photos to a pet's gallery
+app.post('/api/pets/:petId/images', authenticateToken, upload.array('images', MAX_PET_IMAGES), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
+    }
+    
+    const { user, pet } = await loadOwnedPet(req, res);
+    if (!pet) return;
+    
+    if ((pet.images || []).length + req.files.length > MAX_PET_IMAGES) {
+      return res.status(400).json({ error: `Each pet can have at most ${MAX_PET_IMAGES} photos` });
+    }
+    
+    // Process every photo before storing any, so one bad file rejects the whole upload
+    const processed = [];
+    for (const file of req.files) {
+      processed.push(await processImage(file.buffer));
+    }
+    
+    const urls = [];
+    for (const variants of processed) {
+      urls.push(await storeImageVariants(user._id, variants, `pets/${pet._id}`));
+    }
+    
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'pets._id': pet._id },
+      { $push: { 'pets.$.images': { $each: urls } } },
+      { new: true, select: 'pets' }
+    );
+    
+    if (!updated) {
+      // The pet was deleted while the photos were processing
+      for (const url of urls) {
+        await removeStoredImage(url);
+      }
+      return res.status(404).json({ error: 'Pet not found' });
+    }
+    
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      message: 'Photos added successfully',
+      pet: formatPet(updated.pets.id(pet._id))
+    });
+  } catch (error) {
+    console.error('Pet images upload error:', error);
+    
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    
+    res.status(500).json({ error: 'Failed to upload pet photos' });
+  }
+});
+
+// Reorder a pet's photos - body: { images: [...] } listing every photo URL in the new order
+app.put('/api/pets/:petId/images/order', authenticateToken, async (req, res) => {
+  try {
+    const { images } = req.body;
+    
+    if (!Array.isArray(images)) {
+      return res.status(400).json({ error: 'images must be an array' });
+    }
+    
+    const { user, pet } = await loadOwnedPet(req, res);
+    if (!pet) return;
+    
+    const current = pet.images || [];
+    const isPermutation = images.length === current.length &&
+      new Set(images).size === images.length &&
+      images.every(url => current.includes(url));
+    
+    if (!isPermutation) {
+      return res.status(400).json({ error: 'images must list each of the pet\'s photos exactly once' });
+    }
+    
+    pet.images = images;
+    await user.save();
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      pet: formatPet(pet)
+    });
+  } catch (error) {
+    console.error('Reorder pet images error:', error);
+    res.status(500).json({ error: 'Failed to reorder pet photos' });
+  }
+});
+
+// Remove a photo from a pet's gallery - body: { url }
+app.delete('/api/pets/:petId/images', authenticateToken, async (req, res) => {
+  try {
+    const { url } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ error: 'Image URL is required' });
+    }
+    
+    const { user, pet } = await loadOwnedPet(req, res);
+    if (!pet) return;
+    
+    if (!(pet.images || []).includes(url)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    pet.images.pull(url);
+    await user.save();
+    
+    await removeStoredImage(url);
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      message: 'Photo removed successfully',
+      pet: formatPet(pet)
+    });
+  } catch (error) {
+    console.error('Delete pet image error:', error);
+    res.status(500).json({ error: 'Failed to remove pet photo' });
+  }
+});
+
+// ==================== EXISTING ROUTES ====================
+
+// Get user's location from IP
+app.get('/api/location/ip', async (req, res) => {
+  try {
+    const clientIp = req.clientIp;
+    const location = await getLocationFromIP(clientIp);
+    
+    res.json({
+      success: true,
+      location: location,
+      ip: clientIp
+    });
+  } catch (error) {
+    console.error('Location from IP error:', error);
+    res.status(500).json({ error: 'Failed to get location from IP' });
+  }
+});
+
+// Update user location
+// Only fuzzed coordinates are stored (see lib/location.js), never the raw GPS fix.
+app.post('/api/location/update', authenticateToken, async (req, res) => {
+  try {
+    const { latitude, longitude, address, city, state, country } = req.body;
+    const coordinates = parseCoordinates(latitude, longitude);
+    
+    if (!coordinates) {
+      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    }
+    
+    const existing = await User.findById(req.user.userId).select('locationJitter');
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Keep the same jitter across moves so it can't be averaged out
+    const jitter = existing.locationJitter && existing.locationJitter.length === 2
+      ? existing.locationJitter
+      : locationPrivacy.createJitter();
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      {
+        locationJitter: jitter,
+        location: {
+          type: 'Point',
+          coordinates: locationPrivacy.fuzzCoordinates(coordinates, jitter),
+          address: address || '',
+          city: city || '',
+          state: state || '',
+          country: country || ''
+        }
+      },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      location: user.location
+    });
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Get location privacy settings
+app.get('/api/location/privacy', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('hideDistance');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      hideDistance: !!user.hideDistance
+    });
+  } catch (error) {
+    console.error('Get location privacy error:', error);
+    res.status(500).json({ error: 'Failed to get location privacy settings' });
+  }
+});
+
+// Update location privacy settings
+// Body: { hideDistance }
+app.put('/api/location/privacy', authenticateToken, async (req, res) => {
+  try {
+    const { hideDistance } = req.body;
+    
+    if (typeof hideDistance !== 'boolean') {
+      return res.status(400).json({ error: 'hideDistance must be true or false' });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { hideDistance },
+      { new: true }
+    ).select('hideDistance');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await cacheUtils.clearUserCache(user._id);
+    
+    res.json({
+      success: true,
+      hideDistance: user.hideDistance
+    });
+  } catch (error) {
+    console.error('Update location privacy error:', error);
+    res.status(500).json({ error: 'Failed to update location privacy settings' });
+  }
+});
+
+// ==================== TRAVEL MODE ====================
+// Premium members can browse from another place for a while (e.g. before a
+// trip). Discovery uses the travel location until it expires or the
+// membership lapses; the user's own location is kept for how others see them.
+
+const TRAVEL_DEFAULT_DAYS = 7;
+const TRAVEL_MAX_DAYS = 30;
+
+// Helper function to get the location discovery runs from: an active travel
+// location, else the user's own.
+// Returns { source: 'travel' | 'home', coordinates: [lng, lat], city, state, country, expiresAt } or null.
+function getBrowsingLocation(user, now = new Date()) {
+  if (!user) return null;
+  
+  const travel = user.travelLocation;
+  if (travel && travel.coordinates && travel.coordinates.length === 2 &&
+      travel.expiresAt > now && isPremiumMember(user)) {
+    return {
+      source: 'travel',
+      coordinates: [...travel.coordinates],
+      city: travel.city || '',
+      state: travel.state || '',
+      country: travel.country || '',
+      expiresAt: travel.expiresAt
+    };
+  }
+  
+  const home = user.location;
+  if (home && home.coordinates && home.coordinates.length === 2) {
+    return {
+      source: 'home',
+      coordinates: [...home.coordinates],
+      city: home.city || '',
+      state: home.state || '',
+      country: home.country || '',
+      expiresAt: null
+    };
+  }
+  
+  return null;
+}
+
+// Helper function to describe a browsing location in API responses
+function formatBrowsingLocation(location) {
+  if (!location) return null;
+  return {
+    source: location.source,
+    latitude: location.coordinates[1],
+    longitude: location.coordinates[0],
+    city: location.city || '',
+    state: location.state || '',
+    country: location.country || '',
+    expiresAt: location.expiresAt || null
+  };
+}
+
+// Get the current travel location and where discovery is browsing from
+app.get('/api/location/travel', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(`location travelLocation ${PREMIUM_FIELDS}`);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const browsingLocation = getBrowsingLocation(user);
+    
+    res.json({
+      success: true,
+      travelLocation: browsingLocation && browsingLocation.source === 'travel' ? formatBrowsingLocation(browsingLocation) : null,
+      browsingLocation: formatBrowsingLocation(browsingLocation)
+    });
+  } catch (error) {
+    console.error('Get travel location error:', error);
+    res.status(500).json({ error: 'Failed to get travel location' });
+  }
+});
+
+// Set a travel location (premium)
+// Body: { latitude, longitude, city, state, country, days }
+app.put('/api/location/travel', authenticateToken, async (req, res) => {
+  try {
+    const { latitude, longitude, city, state, country } = req.body;
+    const errors = [];
+    
+    const coordinates = parseCoordinates(latitude, longitude);
+    if (!coordinates) {
+      errors.push('latitude and longitude are required and must be valid coordinates');
+    }
+    
+    const days = req.body.days === undefined ? TRAVEL_DEFAULT_DAYS : Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > TRAVEL_MAX_DAYS) {
+      errors.push(`days must be a whole number from 1 to ${TRAVEL_MAX_DAYS}`);
+    }
+    
+    for (const [field, value] of Object.entries({ city, state, country })) {
+      if (value !== undefined && (typeof value !== 'string' || value.length > 100)) {
+        errors.push(`${field} must be text of up to 100 characters`);
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid travel location', details: errors });
+    }
+    
+    const user = await User.findById(req.user.userId).select(`location travelLocation ${PREMIUM_FIELDS}`);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!isPremiumMember(user)) {
+      return res.status(403).json({ error: 'Travel mode is a premium feature', code: 'premium_required' });
+    }
+    
+    user.travelLocation = {
+      type: 'Point',
+      coordinates,
+      city: (city || '').trim(),
+      state: (state || '').trim(),
+      country: (country || '').trim(),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    };
+    await user.save();
+    
+    // The deck was built around the old location
+    await dropDeck(user._id);
+    
+    const browsingLocation = formatBrowsingLocation(getBrowsingLocation(user));
+    
+    res.json({
+      success: true,
+      travelLocation: browsingLocation,
+      browsingLocation
+    });
+  } catch (error) {
+    console.error('Set travel location error:', error);
+    res.status(500).json({ error: 'Failed to set travel location' });
+  }
+});
+
+// Go back to browsing from the user's own location
+app.delete('/api/location/travel', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $unset: { travelLocation: '' } },
+      { new: true }
+    ).select(`location ${PREMIUM_FIELDS}`);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await dropDeck(user._id);
+    
+    res.json({
+      success: true,
+      travelLocation: null,
+      browsingLocation: formatBrowsingLocation(getBrowsingLocation(user))
+    });
+  } catch (error) {
+    console.error('Clear travel location error:', error);
+    res.status(500).json({ error: 'Failed to clear travel location' });
+  }
+});
+
+// Ranked discovery feed. Candidates within the user's preferred distance with
+// a pet of the preferred species and age are scored by lib/recommendations.js,
+// best first, and each card carries the breakdown of its score.
+// ?distance can narrow the stored preference but not widen it.
+const RECOMMENDATION_POOL_SIZE = 200; // Nearest candidates considered for ranking
+const MAX_PREFERENCE_DISTANCE = 100; // miles
+
+// Helper function to get the search radius in miles for a discovery request
+function getDiscoveryDistance(currentUser, requested) {
+  const preferredDistance = (currentUser.preferences && currentUser.preferences.distance) || 10;
+  const requestedDistance = parseFloat(requested);
+  return requestedDistance > 0 ? Math.min(requestedDistance, preferredDistance) : preferredDistance;
+}
+
+// Helper function to find discovery candidates matching query, skipping
+// anyone already swiped (one indexed lookup per candidate instead of loading
+// the whole swipe history). With maxDistance, only candidates within that
+// many miles of center ([lng, lat]) are returned, nearest first; otherwise
+// the most recently active come first.
+function findDiscoveryCandidates(currentUser, query, { maxDistance, center, limit }) {
+  const firstStages = maxDistance ? [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: center },
+        distanceField: 'distanceMeters',
+        maxDistance: maxDistance * 1609.34, // Convert miles to meters
+        query,
+        spherical: true
+      }
+    }
+  ] : [
+    { $match: query },
+    { $sort: { lastActive: -1 } }
+  ];
+  
+  return User.aggregate([
+    ...firstStages,
+    {
+      $lookup: {
+        from: Swipe.collection.name,
+        let: { candidateId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [
+            { $eq: ['$swiperId', currentUser._id] },
+            { $eq: ['$targetUserId', '$$candidateId'] }
+          ] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'existingSwipe'
+      }
+    },
+    { $match: { existingSwipe: { $size: 0 } } },
+    { $limit: limit },
+    { $project: { existingSwipe: 0, password: 0, idVerificationDocuments: 0, recentActivity: 0, locationJitter: 0 } }
+  ]);
+}
+
+// Helper function to find and score discovery cards around center ([lng, lat]).
+// Looks at up to poolSize of the nearest candidates not in excludeUserIds and
+// returns their cards best first, plus whether there may be more candidates.
+// People who superliked the user come first, whatever their score.
+async function buildDiscoveryCards(currentUser, { type, center, maxDistance, excludeUserIds = [], poolSize = RECOMMENDATION_POOL_SIZE }) {
+  const preferences = currentUser.preferences || {};
+  const blockedIds = await Block.getBlockedUserIds(currentUser._id);
+  const excludedIds = [...excludeUserIds.map(id => new mongoose.Types.ObjectId(id)), ...blockedIds];
+  
+  const query = {
+    _id: { 
+      $ne: currentUser._id,
+      $nin: excludedIds
+    },
+    lastActive: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Active in last 30 days
+  };
+  
+  if (preferences.petType && preferences.petType !== 'any') {
+    query.pets = { $elemMatch: { type: preferences.petType, isActive: true } };
+  }
+  
+  const superlikerIds = await Swipe.distinct('swiperId', { targetUserId: currentUser._id, action: 'superlike' });
+  const superlikers = superlikerIds.length > 0
+    ? await findDiscoveryCandidates(currentUser, { ...query, _id: { ...query._id, $in: superlikerIds } }, { maxDistance, center, limit: superlikerIds.length })
+    : [];
+  const superlikerSet = new Set(superlikers.map(user => user._id.toString()));
+  
+  const others = await findDiscoveryCandidates(currentUser, {
+    ...query,
+    _id: { $ne: currentUser._id, $nin: [...excludedIds, ...superlikers.map(user => user._id)] }
+  }, { maxDistance, center, limit: poolSize });
+  
+  const nearbyUsers = [...superlikers, ...others];
+  const now = new Date();
+  
+  const cards = nearbyUsers.map(user => {
+    const distanceInMiles = user.distanceMeters * 0.000621371;
+    // Score on the rounded distance so the breakdown can't reveal more than the card
+    const scoreOptions = {
+      distanceMiles: user.hideDistance ? null : locationPrivacy.roundDistance(distanceInMiles),
+      distanceHidden: !!user.hideDistance,
+      maxDistance,
+      now
+    };
+    const distanceLabel = user.hideDistance ? 'Distance hidden' : `${locationPrivacy.formatDistance(distanceInMiles)} away`;
+    const matchingPets = (user.pets || []).filter(pet => pet.isActive && recommendations.petMatchesPreferences(pet, preferences));
+    
+    if (matchingPets.length === 0) return [];
+    
+    if (type === 'pets') {
+      // Return pet profiles
+      return matchingPets.map(pet => {
+        const { score, breakdown } = recommendations.scoreCandidate(currentUser, user, { ...scoreOptions, pet });
+        return {
+          id: `${user._id}_${pet._id}`,
+          userId: user._id,
+          name: pet.name,
+          age: petOptions.getPetAge(pet),
+          type: pet.type,
+          breed: pet.breed,
+          size: pet.size,
+          personality: pet.personality || [],
+          temperament: pet.temperament || [],
+          vaccinated: pet.vaccinated,
+          spayedNeutered: pet.spayedNeutered,
+          bio: pet.description,
+          images: pet.images,
+          location: distanceLabel,
+          ownerName: user.name,
+          isVerified: user.isSubscribed,
+          hasSubscription: user.isSubscribed,
+          superlikedYou: superlikerSet.has(user._id.toString()),
+          score,
+          scoreBreakdown: breakdown
+        };
+      });
+    }
+    
+    // Return owner profiles
+    const { score, breakdown } = recommendations.scoreCandidate(currentUser, user, scoreOptions);
+    return {
+      id: user._id,
+      userId: user._id,
+      name: user.name,
+      age: user.age,
+      bio: user.bio,
+      images: user.profileImages,
+      location: distanceLabel,
+      petCount: (user.pets || []).length,
+      isVerified: user.isSubscribed,
+      hasSubscription: user.isSubscribed,
+      superlikedYou: superlikerSet.has(user._id.toString()),
+      score,
+      scoreBreakdown: breakdown
+    };
+  }).flat();
+  
+  cards.sort((a, b) => (b.superlikedYou - a.superlikedYou) || (b.score - a.score));
+  
+  return {
+    cards,
+    userIds: nearbyUsers.map(user => user._id),
+    poolExhausted: others.length < poolSize
+  };
+}
+
+async function getRecommendations(req, res) {
+  try {
+    const { type = 'pets' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const currentUser = await User.findById(req.user.userId);
+    const browsingLocation = getBrowsingLocation(currentUser);
+    
+    if (!browsingLocation) {
+      return res.status(400).json({ error: 'User location not set' });
+    }
+    
+    const preferences = currentUser.preferences || {};
+    const maxDistance = getDiscoveryDistance(currentUser, req.query.distance);
+    const { cards } = await buildDiscoveryCards(currentUser, {
+      type,
+      center: browsingLocation.coordinates,
+      maxDistance,
+      poolSize: Math.min(limit * 5, RECOMMENDATION_POOL_SIZE)
+    });
+    const ranked = cards.slice(0, limit);
+    
+    res.json({
+      success: true,
+      profiles: ranked,
+      total: ranked.length,
+      preferences: {
+        distance: maxDistance,
+        petType: preferences.petType || 'any',
+        ageRange: preferences.ageRange || null
+      },
+      location: formatBrowsingLocation(browsingLocation),
+      weights: recommendations.WEIGHTS
+    });
+  } catch (error) {
+    console.error('Get nearby profiles error:', error);
+    res.status(500).json({ error: 'Failed to get nearby profiles' });
+  }
+}
+
+app.get('/api/matches/nearby', authenticateToken, getRecommendations);
+app.get('/api/matches/recommendations', authenticateToken, getRecommendations);
+
+// ==================== DISCOVERY DECK ====================
+// The deck is the user's ranked card list, built in pool-sized chunks and kept
+// in Redis (MongoDB without it) so pages are stable and never repeat a card.
+// Clients page through it with an opaque cursor. When the remaining cards drop
+// below a page, the next chunk is built in the background so it's ready for
+// the next request. A cursor for a deck that has expired or been replaced is
+// refused with 410 (code deck_expired), and one for a different search, or
+// from before a move, with 409 (code deck_changed); either way the client
+// starts again without a cursor.
+
+const DECK_TTL = 30 * 60; // 30 minutes, in seconds
+const DECK_MAX_PAGE = 50;
+const deckRefills = new Set(); // userIds with a background refill running on this instance
+
+const deckCacheKey = (userId) => `deck:${userId}`;
+
+// Load the user's deck (Redis first, MongoDB as fallback)
+async function loadDeck(userId) {
+  const cached = await cacheUtils.get(deckCacheKey(userId));
+  if (cached) return cached;
+  
+  const stored = await DiscoveryDeck.findOne({ userId, expiresAt: { $gt: new Date() } }).lean();
+  return stored ? stored.deck : null;
+}
+
+// Save the user's deck to Redis, or to MongoDB when Redis isn't available
+async function saveDeck(userId, deck) {
+  if (await cacheUtils.set(deckCacheKey(userId), deck, DECK_TTL)) return;
+  
+  await DiscoveryDeck.updateOne(
+    { userId },
+    { deck, expiresAt: new Date(Date.now() + DECK_TTL * 1000) },
+    { upsert: true }
+  );
+}
+
+// Throw the user's deck away so the next page builds a fresh one
+async function dropDeck(userId) {
+  await cacheUtils.del(deckCacheKey(userId));
+  await DiscoveryDeck.deleteOne({ userId });
+}
+
+function encodeDeckCursor(deckId, offset) {
+  return Buffer.from(JSON.stringify({ d: deckId, o: offset })).toString('base64url');
+}
+
+function decodeDeckCursor(cursor) {
+  try {
+    const { d, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return typeof d === 'string' && Number.isInteger(o) && o >= 0 ? { deckId: d, offset: o } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build the next chunk of cards and append it to the deck
+async function extendDeck(currentUser, deck) {
+  const { cards, userIds, poolExhausted } = await buildDiscoveryCards(currentUser, {
+    type: deck.type,
+    center: deck.location.coordinates,
+    maxDistance: deck.maxDistance,
+    excludeUserIds: deck.userIds
+  });
+  const known = new Set(deck.cards.map(card => String(card.id)));
+  
+  deck.cards.push(...cards.filter(card => !known.has(String(card.id))));
+  deck.userIds.push(...userIds.map(String));
+  deck.poolExhausted = poolExhausted;
+  return deck;
+}
+
+// Precompute the next chunk after the response has gone out
+function refillDeckInBackground(currentUser, deck) {
+  const userId = currentUser._id.toString();
+  if (deckRefills.has(userId)) return;
+  
+  deckRefills.add(userId);
+  setImmediate(async () => {
+    try {
+      await extendDeck(currentUser, deck);
+      
+      // Don't overwrite a deck that was reset while we were building
+      const latest = await loadDeck(userId);
+      if (latest && latest.id === deck.id) {
+        await saveDeck(userId, deck);
+      }
+    } catch (error) {
+      console.error(`Error precomputing deck for user ${userId}:`, error);
+    } finally {
+      deckRefills.delete(userId);
+    }
+  });
+}
+
+// Get the next page of discovery cards
+// ?type=pets|owners, ?limit, ?distance (narrows the preference), ?cursor from the previous page
+app.get('/api/matches/deck', authenticateToken, async (req, res) => {
+  try {
+    const { type = 'pets' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), DECK_MAX_PAGE);
+    
+    if (!['pets', 'owners'].includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Use pets or owners' });
+    }
+    
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeDeckCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    const browsingLocation = getBrowsingLocation(currentUser);
+    
+    if (!browsingLocation) {
+      return res.status(400).json({ error: 'User location not set' });
+    }
+    
+    const maxDistance = getDiscoveryDistance(currentUser, req.query.distance);
+    let deck = null;
+    let offset = 0;
+    
+    if (cursor) {
+      deck = await loadDeck(currentUser._id);
+      
+      if (!deck || deck.id !== cursor.deckId) {
+        return res.status(410).json({ error: 'This deck has expired. Start again without a cursor.', code: 'deck_expired' });
+      }
+      
+      // A changed search, or a move (or travel ending), needs a new deck
+      const sameSearch = deck.type === type && deck.maxDistance === maxDistance &&
+        deck.location && deck.location.source === browsingLocation.source &&
+        deck.location.coordinates.join() === browsingLocation.coordinates.join();
+      if (!sameSearch) {
+        return res.status(409).json({ error: 'Your search or location has changed. Start again without a cursor.', code: 'deck_changed' });
+      }
+      
+      offset = cursor.offset;
+    } else {
+      deck = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        location: browsingLocation,
+        maxDistance,
+        cards: [],
+        userIds: [],
+        poolExhausted: false,
+        createdAt: new Date()
+      };
+    }
+    
+    // Make sure there's a full page to hand out
+    if (deck.cards.length - offset < limit && !deck.poolExhausted) {
+      await extendDeck(currentUser, deck);
+    }
+    
+    // Skip anyone swiped since the deck was built (e.g. from another device)
+    const recentSwipes = await Swipe.find({
+      swiperId: currentUser._id,
+      createdAt: { $gte: new Date(deck.createdAt) }
+    }).select('targetUserId').lean();
+    const swipedIds = new Set(recentSwipes.map(swipe => String(swipe.targetUserId)));
+    const page = [];
+    while (offset < deck.cards.length && page.length < limit) {
+      const card = deck.cards[offset++];
+      if (!swipedIds.has(String(card.userId))) {
+        page.push(card);
+      }
+    }
+    
+    const hasMore = offset < deck.cards.length || !deck.poolExhausted;
+    await saveDeck(currentUser._id, deck);
+    
+    if (hasMore && deck.cards.length - offset < limit && !deck.poolExhausted) {
+      refillDeckInBackground(currentUser, deck);
+    }
+    
+    const response = {
+      success: true,
+      cards: page,
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeDeckCursor(deck.id, offset) : null,
+      exhausted: !hasMore,
+      distance: maxDistance,
+      location: formatBrowsingLocation(browsingLocation)
+    };
+    
+    if (!hasMore) {
+      const suggestedDistance = Math.min(maxDistance * 2, MAX_PREFERENCE_DISTANCE);
+      response.suggestion = suggestedDistance > maxDistance ? {
+        message: `You've seen everyone within ${maxDistance} miles. Widen your search radius to see more.`,
+        currentDistance: maxDistance,
+        suggestedDistance
+      } : {
+        message: `You've seen everyone within ${maxDistance} miles. Check back later for new profiles.`,
+        currentDistance: maxDistance,
+        suggestedDistance: null
+      };
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Get deck error:', error);
+    res.status(500).json({ error: 'Failed to get discovery deck' });
+  }
+});
+
+// ==================== SUPERLIKES & UNDO ====================
+
+// Superlikes per UTC day, by membership
+const SUPERLIKE_DAILY_LIMITS = { free: 1, premium: 5 };
+
+// Premium checks read the live status from the membership dates, so a lapsed
+// membership stops counting before the expiry job has caught up with it.
+// Users need PREMIUM_FIELDS selected.
+const PREMIUM_FIELDS = 'membershipType membershipStatus membershipEndDate membershipGraceEndsAt';
+const isPremiumMember = (user) => hasPremium(user);
+
+const getUtcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Helper function to describe a user's superlike allowance for today
+function getSuperlikeAllowance(user) {
+  const today = getUtcDay();
+  const limit = SUPERLIKE_DAILY_LIMITS[isPremiumMember(user) ? 'premium' : 'free'];
+  const usage = user.superlikeUsage || {};
+  const used = usage.day === today ? usage.used : 0;
+  const resetsAt = new Date(`${today}T00:00:00.000Z`);
+  resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+  
+  return { limit, used, remaining: Math.max(0, limit - used), resetsAt };
+}
+
+// Atomically take one superlike from today's allowance. False when used up.
+const consumeSuperlike = async (userId, limit) => {
+  const today = getUtcDay();
+  
+  // Start a fresh count on the first superlike of the day
+  await User.updateOne(
+    { _id: userId, 'superlikeUsage.day': { $ne: today } },
+    { $set: { superlikeUsage: { day: today, used: 0 } } }
+  );
+  const result = await User.updateOne(
+    { _id: userId, 'superlikeUsage.day': today, 'superlikeUsage.used': { $lt: limit } },
+    { $inc: { 'superlikeUsage.used': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give back a superlike taken today (the swipe was a retry or failed).
+// Undoing a superlike doesn't give it back: its recipient was already notified.
+const refundSuperlike = async (userId) => {
+  await User.updateOne(
+    { _id: userId, 'superlikeUsage.day': getUtcDay(), 'superlikeUsage.used': { $gt: 0 } },
+    { $inc: { 'superlikeUsage.used': -1 } }
+  );
+};
+
+// Get today's superlike allowance
+app.get('/api/matches/superlikes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(`${PREMIUM_FIELDS} superlikeUsage`);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      superlikes: getSuperlikeAllowance(user)
+    });
+  } catch (error) {
+    console.error('Get superlikes error:', error);
+    res.status(500).json({ error: 'Failed to get superlike allowance' });
+  }
+});
+
+// Undo the last swipe (premium). Reverts the swipe and any match it created.
+// Only one step back: a swipe made before the previous undo can't be undone.
+app.post('/api/matches/undo', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(`${PREMIUM_FIELDS} lastSwipeUndoAt`);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!isPremiumMember(user)) {
+      return res.status(403).json({ error: 'Undo is a premium feature', code: 'premium_required' });
+    }
+    
+    // Claim the undo first so two concurrent requests can't each undo a swipe
+    const previousUndoAt = user.lastSwipeUndoAt || null;
+    const claimed = await User.updateOne(
+      { _id: user._id, lastSwipeUndoAt: previousUndoAt },
+      { $set: { lastSwipeUndoAt: new Date() } }
+    );
+    
+    if (claimed.modifiedCount !== 1) {
+      return res.status(409).json({ error: 'Another undo is already in progress' });
+    }
+    
+    const releaseUndo = () => User.updateOne({ _id: user._id }, { $set: { lastSwipeUndoAt: previousUndoAt } });
+    const latest = await swipes.findLastSwipe(user._id, previousUndoAt);
+    
+    // Undoing a swipe on someone who blocked you (or whom you blocked) would
+    // let the two of you match again
+    if (latest && await Block.isBlockedBetween(user._id, latest.targetUserId)) {
+      await releaseUndo();
+      return res.status(403).json({ error: 'You cannot undo a swipe on this user' });
+    }
+    
+    const result = latest && await swipes.undoSwipe(latest);
+    
+    if (!result) {
+      await releaseUndo();
+      return res.status(404).json({ error: 'No swipe to undo' });
+    }
+    
+    const { swipe, matchRemoved } = result;
+    
+    if (matchRemoved) {
+      await updateUserStats(user._id, 'totalMatches', -1);
+      await updateUserStats(swipe.targetUserId, 'totalMatches', -1);
+      
+      realtime.publish(user._id, 'match:removed', { userId: swipe.targetUserId });
+      realtime.publish(swipe.targetUserId, 'match:removed', { userId: user._id });
+    }
+    
+    res.json({
+      success: true,
+      undone: {
+        profileId: swipe.profileId,
+        userId: swipe.targetUserId,
+        action: swipe.action
+      },
+      matchRemoved
+    });
+  } catch (error) {
+    console.error('Undo swipe error:', error);
+    res.status(500).json({ error: 'Failed to undo swipe' });
+  }
+});
+
+// Record swipe action
+// profileId is a card ID: a user ID, or "<userId>_<petId>" for pet cards.
+// Safe to retry: repeating a swipe changes nothing, and an optional
+// Idempotency-Key header (or idempotencyKey field) replays the original outcome.
+// Sending a key again for a different swipe is rejected with a 422.
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+app.post('/api/matches/swipe', authenticateToken, async (req, res) => {
+  try {
+    const { profileId, action } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    
+    if (typeof profileId !== 'string' || !['like', 'pass', 'superlike'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid profile ID or action' });
+    }
+    
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return res.status(400).json({ error: `Idempotency key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+    }
+    
+    const targetUserId = profileId.split('_')[0];
+    if (!mongoose.Types.ObjectId.isValid(targetUserId) || targetUserId === req.user.userId) {
+      return res.status(400).json({ error: 'Invalid profile ID or action' });
+    }
+    
+    const [currentUser, targetUser] = await Promise.all([
+      User.findById(req.user.userId).select(`name profilePicture ${PREMIUM_FIELDS} superlikeUsage`),
+      User.findById(targetUserId).select('name profilePicture')
+    ]);
+    
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!targetUser) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    
+    if (await Block.isBlockedBetween(currentUser._id, targetUser._id)) {
+      return res.status(403).json({ error: 'You cannot swipe on this user' });
+    }
+    
+    // Superlikes come out of a daily allowance (re-sending one that was already
+    // recorded, e.g. a retry, doesn't cost another)
+    let superlikeConsumed = false;
+    if (action === 'superlike') {
+      const existing = await Swipe.findOne({ swiperId: currentUser._id, targetUserId: targetUser._id }).select('action').lean();
+      
+      if (!existing || existing.action !== 'superlike') {
+        const allowance = getSuperlikeAllowance(currentUser);
+        superlikeConsumed = await consumeSuperlike(currentUser._id, allowance.limit);
+        
+        if (!superlikeConsumed) {
+          return res.status(429).json({
+            error: isPremiumMember(currentUser)
+              ? 'You have used all of your superlikes for today'
+              : 'You have used your free superlike for today. Upgrade to premium for more.',
+            code: 'superlike_limit',
+            superlikes: { ...allowance, used: allowance.limit, remaining: 0 }
+          });
+        }
+      }
+    }
+    
+    let result;
+    try {
+      result = await swipes.recordSwipe({
+        swiperId: currentUser._id,
+        targetUserId: targetUser._id,
+        profileId,
+        action,
+        idempotencyKey
+      });
+    } catch (error) {
+      if (superlikeConsumed) await refundSuperlike(currentUser._id);
+      throw error;
+    }
+    
+    if (superlikeConsumed && !result.swipeChanged) {
+      await refundSuperlike(currentUser._id);
+    }
+    
+    // Track swipe activity (only when the decision actually changed)
+    if (result.swipeChanged && action === 'like') {
+      await addUserActivity(currentUser._id, 'swipe_like', 'Liked a profile');
+    } else if (result.swipeChanged && action === 'pass') {
+      await addUserActivity(currentUser._id, 'swipe_pass', 'Passed on a profile');
+    }
+    
+    // Let the recipient know, and put the sender at the top of their deck
+    if (result.swipeChanged && action === 'superlike') {
+      await addUserActivity(targetUser._id, 'superlike_received', `${currentUser.name} superliked you`, {
+        relatedUserId: currentUser._id,
+        relatedUserName: currentUser.name
+      });
+      realtime.publish(targetUser._id, 'superlike:received', {
+        userId: currentUser._id,
+        name: currentUser.name,
+        profilePicture: currentUser.profilePicture
+      });
+      await dropDeck(targetUser._id);
+    }
+    
+    // Only the request that created the match announces it
+    if (result.matchCreated) {
+      // Update match statistics for both users
+      await incrementTotalMatches(currentUser._id);
+      await incrementTotalMatches(targetUser._id);
+      
+      // Add match activities for both users
+      await addUserActivity(currentUser._id, 'match', `New match with ${targetUser.name}`, { 
+        relatedUserId: targetUser._id, 
+        relatedUserName: targetUser.name 
+      });
+      await addUserActivity(targetUser._id, 'match', `New match with ${currentUser.name}`, { 
+        relatedUserId: currentUser._id, 
+        relatedUserName: currentUser.name 
+      });
+      
+      // Push the match to both users in real time
+      realtime.publish(currentUser._id, 'match:new', {
+        userId: targetUser._id,
+        name: targetUser.name,
+        profilePicture: targetUser.profilePicture
+      });
+      realtime.publish(targetUser._id, 'match:new', {
+        userId: currentUser._id,
+        name: currentUser.name,
+        profilePicture: currentUser.profilePicture
+      });
+    }
+    
+    const response = {
+      success: true,
+      isMatch: result.isMatch,
+      action: result.action,
+      ...(result.replayed && { replayed: true })
+    };
+    
+    if (action === 'superlike') {
+      const updated = await User.findById(currentUser._id).select(`${PREMIUM_FIELDS} superlikeUsage`);
+      response.superlikesRemaining = getSuperlikeAllowance(updated).remaining;
+    }
+    
+    res.json(response);
+  } catch (error) {
+    if (error instanceof swipes.IdempotencyKeyError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    
+    console.error('Swipe action error:', error);
+    res.status(500).json({ error: 'Failed to record swipe action' });
+  }
+});
+
+// Get user's matches
+// Optional ?filter=new (no messages yet) or ?filter=awaiting_reply (last message is theirs)
+app.get('/api/matches', authenticateToken, async (req, res) => {
+  try {
+    const { filter = 'all' } = req.query;
+    
+    if (!['all', 'new', 'awaiting_reply'].includes(filter)) {
+      return res.status(400).json({ error: 'Invalid filter. Use all, new or awaiting_reply' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId).select('_id');
+    
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const matchRecords = await Match.find({ userIds: currentUser._id, isActive: true }).lean();
+    const otherUserIds = matchRecords.map(match => match.userIds.find(id => !id.equals(currentUser._id)));
+    const otherUsers = await User.find({ _id: { $in: otherUserIds } })
+      .select('name profileImages profilePicture lastActive');
+    const usersById = new Map(otherUsers.map(user => [user._id.toString(), user]));
+    
+    // Skip matches whose user no longer exists
+    const activeMatches = matchRecords
+      .map((match, index) => ({ matchedUserId: usersById.get(otherUserIds[index].toString()), timestamp: match.createdAt }))
+      .filter(match => match.matchedUserId);
+    
+    // One aggregation for every thread instead of a query per match
+    const threadIds = activeMatches.map(match => Message.getThreadId(currentUser._id, match.matchedUserId._id));
+    const summaries = threadIds.length > 0 ? await Message.aggregate([
+      { $match: { threadId: { $in: threadIds } } },
+      { $sort: { threadId: 1, _id: -1 } },
+      threadSummaryStage(currentUser._id)
+    ]) : [];
+    const summariesByThread = new Map(summaries.map(summary => [summary._id, summary]));
+    
+    let matches = activeMatches.map((match, index) => {
+      const matchedUser = match.matchedUserId;
+      const summary = summariesByThread.get(threadIds[index]);
+      const lastMessage = summary ? summary.lastMessage : null;
+      
+      return {
+        id: matchedUser._id,
+        name: matchedUser.name,
+        image: matchedUser.profileImages[0] || matchedUser.profilePicture || '',
+        timestamp: match.timestamp,
+        lastActive: matchedUser.lastActive,
+        threadId: threadIds[index],
+        lastMessage: lastMessage ? {
+          text: lastMessage.message,
+          senderId: lastMessage.senderId,
+          isMine: lastMessage.senderId.equals(currentUser._id),
+          timestamp: lastMessage.createdAt
+        } : null,
+        unreadCount: summary ? summary.unreadCount : 0,
+        lastActivityAt: lastMessage ? lastMessage.createdAt : match.timestamp
+      };
+    });
+    
+    if (filter === 'new') {
+      matches = matches.filter(match => !match.lastMessage);
+    } else if (filter === 'awaiting_reply') {
+      matches = matches.filter(match => match.lastMessage && !match.lastMessage.isMine);
+    }
+    
+    // Most recent activity (last message, or the match itself) first
+    matches.sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+    
+    res.json({
+      success: true,
+      matches: matches,
+      totalUnread: matches.reduce((sum, match) => sum + match.unreadCount, 0),
+      filter: filter
+    });
+  } catch (error) {
+    console.error('Get matches error:', error);
+    res.status(500).json({ error: 'Failed to get matches' });
+  }
+});
+
+// ==================== UNMATCH, BLOCK & REPORT ====================
+
+// Helper function to load the other user of a user-to-user action (:id).
+// Sends the error response and returns null on failure.
+async function loadOtherUser(req, res) {
+  const { id } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return null;
+  }
+  
+  if (id === req.user.userId.toString()) {
+    res.status(400).json({ error: 'You cannot do this to your own account' });
+    return null;
+  }
+  
+  const user = await User.findById(id).select('name profilePicture');
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  
+  return user;
+}
+
+// Helper function to end an active match between two users
+const endMatch = async (userId, otherUserId) => {
+  const result = await Match.updateOne(
+    { pairKey: Match.getPairKey(userId, otherUserId), isActive: true },
+    { isActive: false, unmatchedAt: new Date(), unmatchedBy: userId }
+  );
+  
+  if (result.modifiedCount > 0) {
+    realtime.publish(otherUserId, 'match:removed', { userId });
+  }
+  return result.modifiedCount > 0;
+};
+
+// Helper function to block a user: ends any match and drops both discovery decks
+const blockUser = async (blockerId, blockedId) => {
+  try {
+    await Block.updateOne(
+      { blockerId, blockedId },
+      { $setOnInsert: { blockerId, blockedId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request created the same block
+    if (error.code !== 11000) throw error;
+  }
+  
+  await endMatch(blockerId, blockedId);
+  await dropDeck(blockerId);
+  await dropDeck(blockedId);
+};
+
+// Unmatch a user (:id is the matched user's ID)
+app.post('/api/matches/:id/unmatch', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    
+    const currentUserId = new mongoose.Types.ObjectId(req.user.userId);
+    const ended = await endMatch(currentUserId, new mongoose.Types.ObjectId(req.params.id));
+    
+    if (!ended) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Unmatched successfully'
+    });
+  } catch (error) {
+    console.error('Unmatch error:', error);
+    res.status(500).json({ error: 'Failed to unmatch' });
+  }
+});
+
+// Block a user
+app.post('/api/users/:id/block', authenticateToken, async (req, res) => {
+  try {
+    const otherUser = await loadOtherUser(req, res);
+    if (!otherUser) return;
+    
+    await blockUser(new mongoose.Types.ObjectId(req.user.userId), otherUser._id);
+    
+    res.json({
+      success: true,
+      message: `${otherUser.name} has been blocked`
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user (an ended match is not restored)
+app.delete('/api/users/:id/block', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    
+    const result = await Block.deleteOne({ blockerId: req.user.userId, blockedId: req.params.id });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+    
+    await dropDeck(req.user.userId);
+    
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+// List the users the current user has blocked
+app.get('/api/users/blocked', authenticateToken, async (req, res) => {
+  try {
+    const blocks = await Block.find({ blockerId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .populate('blockedId', 'name profilePicture');
+    
+    res.json({
+      success: true,
+      blocked: blocks.filter(block => block.blockedId).map(block => ({
+        id: block.blockedId._id,
+        name: block.blockedId.name,
+        profilePicture: block.blockedId.profilePicture,
+        blockedAt: block.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ error: 'Failed to get blocked users' });
+  }
+});
+
+// Report a user to the moderators
+// Body: { category, details, block } - block: true also blocks them
+app.post('/api/users/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const { category, details, block } = req.body;
+    
+    if (!Report.CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of ${Report.CATEGORIES.join(', ')}` });
+    }
+    
+    if (details !== undefined && typeof details !== 'string') {
+      return res.status(400).json({ error: 'Details must be text' });
+    }
+    
+    const text = (details || '').trim();
+    if (text.length > 2000) {
+      return res.status(400).json({ error: 'Details cannot be longer than 2000 characters' });
+    }
+    if (category === 'other' && !text) {
+      return res.status(400).json({ error: 'Please describe the problem' });
+    }
+    
+    const otherUser = await loadOtherUser(req, res);
+    if (!otherUser) return;
+    
+    const reporterId = new mongoose.Types.ObjectId(req.user.userId);
+    const alreadyReported = await Report.exists({ reporterId, reportedUserId: otherUser._id, status: 'open' });
+    
+    if (alreadyReported) {
+      return res.status(409).json({ error: 'You have already reported this user. Our moderators are looking into it.' });
+    }
+    
+    const report = await Report.create({
+      reporterId,
+      reportedUserId: otherUser._id,
+      category,
+      details: text
+    });
+    
+    if (block === true) {
+      await blockUser(reporterId, otherUser._id);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for letting us know. Our moderators will review your report.',
+      reportId: report._id,
+      blocked: block === true
+    });
+  } catch (error) {
+    console.error('Report user error:', error);
+    res.status(500).json({ error: 'Failed to report user' });
+  }
+});
+
+// ==================== FILTERED MATCHING ====================
+
+const yearsAgo = (years, now) => new Date(now.getFullYear() - years, now.getMonth(), now.getDate());
+
+// Helper function to turn validated filters (see lib/filters.js) into a User query
+function buildMatchFilterQuery(filters, now = new Date()) {
+  const conditions = [];
+  
+  if (filters.city) conditions.push({ 'location.city': new RegExp(`^${escapeRegex(filters.city)}$`, 'i') });
+  if (filters.state) conditions.push({ 'location.state': new RegExp(`^${escapeRegex(filters.state)}$`, 'i') });
+  if (filters.ownerGender) conditions.push({ gender: { $in: filters.ownerGender } });
+  
+  if (filters.ownerAge) {
+    const { min = 18, max = 120 } = filters.ownerAge;
+    conditions.push({ $or: [
+      { age: { $gte: min, $lte: max } },
+      { age: null, birthday: { $gt: yearsAgo(max + 1, now), $lte: yearsAgo(min, now) } }
+    ] });
+  }
+  
+  if (filters.verifiedOnly) {
+    conditions.push({ $or: [{ isVerified: true }, { idVerificationStatus: 'approved' }] });
+  }
+  
+  if (filters.hasPhotos) {
+    conditions.push({ $or: [{ 'profileImages.0': { $exists: true } }, { profilePicture: { $nin: [null, ''] } }] });
+  }
+  
+  // Pet filters must all hold for the same pet
+  const pet = {};
+  if (filters.species) pet.type = { $in: filters.species };
+  if (filters.breed) pet.breed = { $in: filters.breed.map(breed => new RegExp(`^${escapeRegex(breed)}$`, 'i')) };
+  if (filters.size) pet.size = { $in: filters.size };
+  if (filters.temperament) pet.temperament = { $in: filters.temperament };
+  if (filters.petAge) {
+    // Pets with a birthDate, or only the legacy age field
+    pet.$or = filters.petAge.flatMap(group => {
+      const { min, max } = filterOptions.PET_AGE_GROUPS[group];
+      return [
+        { birthDate: { $gt: yearsAgo(max, now), $lte: yearsAgo(min, now) } },
+        { birthDate: null, age: { $gte: min, $lt: max } }
+      ];
+    });
+  }
+  if (Object.keys(pet).length > 0) {
+    conditions.push({ pets: { $elemMatch: { isActive: { $ne: false }, ...pet } } });
+  }
+  
+  const activeSince = filters.onlineRecently
+    ? new Date(now.getTime() - filterOptions.ONLINE_RECENTLY_HOURS * 60 * 60 * 1000)
+    : new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000); // Active in last 30 days
+  conditions.push({ lastActive: { $gte: activeSince } });
+  
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+const isRealUser = user => !!(user.isVerified && user.profileImages && user.profileImages.length > 0);
+
+// Helper function to run validated filters for a user around center ([lng, lat] or null).
+// Swiped and blocked users, and anyone in excludeUserIds, are left out.
+// createdAfter/createdUntil limit it to profiles created in that window.
+async function findFilteredMatches(currentUser, filters, center, { limit = 50, excludeUserIds = [], createdAfter, createdUntil } = {}) {
+  const blockedIds = await Block.getBlockedUserIds(currentUser._id);
+  const query = {
+    _id: { $ne: currentUser._id, $nin: [...blockedIds, ...excludeUserIds] },
+    ...buildMatchFilterQuery(filters)
+  };
+  if (createdAfter || createdUntil) {
+    query.createdAt = {
+      ...(createdAfter ? { $gt: createdAfter } : {}),
+      ...(createdUntil ? { $lte: createdUntil } : {})
+    };
+  }
+  
+  const matchingUsers = await findDiscoveryCandidates(currentUser, query, {
+    maxDistance: filters.radius,
+    center,
+    limit
+  });
+  
+  // Sort by real users first if prioritize is enabled (stable, so distance order is kept)
+  if (filters.prioritizeRealUsers) {
+    matchingUsers.sort((a, b) => isRealUser(b) - isRealUser(a));
+  }
+  
+  return matchingUsers;
+}
+
+// Helper function to format a filtered match for the frontend
+function formatFilteredMatch(user, filters, center) {
+  // Show the pet that matched the filters
+  const primaryPet = (user.pets || []).find(pet => filterOptions.petMatchesFilters({ isActive: true, ...pet }, filters)) || null;
+  const distance = center && user.location && user.location.coordinates && user.location.coordinates.length === 2 ?
+    calculateDistance(center[1], center[0], user.location.coordinates[1], user.location.coordinates[0]) :
+    null;
+  const petAge = primaryPet ? petOptions.getPetAge(primaryPet) : null;
+    
+  return {
+    id: user._id,
+    name: primaryPet ? primaryPet.name : user.name,
+    age: petAge !== null ? `${petAge} years` : 'Unknown age',
+    breed: primaryPet ? primaryPet.breed : 'Unknown breed',
+    petType: primaryPet ? primaryPet.type : 'unknown',
+    size: primaryPet ? primaryPet.size : null,
+    temperament: primaryPet ? (primaryPet.temperament || []) : [],
+    personality: primaryPet ? (primaryPet.personality || []) : [],
+    distance: locationPrivacy.describeDistance(distance, user),
+    images: user.profileImages && user.profileImages.length > 0 ? 
+      user.profileImages : ['https://images.unsplash.com/photo-1544568100-847a948585b9?w=400'],
+    owner: {
+      name: user.name,
+      gender: user.gender,
+      isMember: user.membershipType !== 'free',
+      isVerified: user.isVerified || false,
+      isReal: isRealUser(user)
+    },
+    lastSeen: user.lastActive ? formatTimeAgo(user.lastActive) : 'Unknown',
+    isRealUser: isRealUser(user)
+  };
+}
+
+// Helper function to validate a { latitude, longitude } pair from a request.
+// Returns [lng, lat], null when both are missing, or false when malformed.
+function parseCoordinates(latitude, longitude) {
+  if ((latitude === undefined || latitude === null) && (longitude === undefined || longitude === null)) {
+    return null;
+  }
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === null || longitude === null || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return false;
+  }
+  return [lng, lat];
+}
+
+// Enhanced filtered matching
+// Body: { latitude, longitude, filters } - see lib/filters.js for the filters.
+// radius searches around latitude/longitude, or where the user is browsing from
+// (their travel location if one is active). The response says which was used.
+app.post('/api/matches/filtered', authenticateToken, async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    const { errors, filters } = filterOptions.parseMatchFilters(req.body.filters || {});
+    
+    const coordinates = parseCoordinates(latitude, longitude);
+    if (coordinates === false) {
+      errors.push('latitude and longitude must be valid coordinates');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const location = coordinates ? { source: 'request', coordinates } : getBrowsingLocation(currentUser);
+    const center = location ? location.coordinates : null;
+    
+    if (filters.radius && !center) {
+      return res.status(400).json({ error: 'A location is required to search by radius' });
+    }
+    
+    const matchingUsers = await findFilteredMatches(currentUser, filters, center);
+    const formattedMatches = matchingUsers.map(user => formatFilteredMatch(user, filters, center));
+    
+    res.json({
+      success: true,
+      matches: formattedMatches,
+      count: formattedMatches.length,
+      filters: filters,
+      location: formatBrowsingLocation(location)
+    });
+    
+  } catch (error) {
+    console.error('Filtered matching error:', error);
+    res.status(500).json({ error: 'Failed to get filtered matches' });
+  }
+});
+
+// ==================== SAVED SEARCHES ====================
+// Users save named filter sets. A background job re-runs each search with
+// alerts on every SAVED_SEARCH_INTERVAL_MINUTES and tells the user about
+// matching profiles created since its last run: in-app right away, and by a
+// daily email digest if they asked for one. Saving a search (or changing its
+// criteria) starts the clock, so profiles that already matched never alert.
+
+const SAVED_SEARCH_LIMITS = { free: 3, premium: 20 };
+const SAVED_SEARCH_INTERVAL = (parseFloat(process.env.SAVED_SEARCH_INTERVAL_MINUTES) || 60) * 60 * 1000;
+// How often the job looks for due searches
+const SAVED_SEARCH_JOB_INTERVAL = (parseInt(process.env.SAVED_SEARCH_JOB_INTERVAL_SECONDS) || 5 * 60) * 1000;
+const SAVED_SEARCH_DIGEST_INTERVAL = 24 * 60 * 60 * 1000;
+const SAVED_SEARCH_MAX_PENDING_DIGEST = 50;
+
+// Helper function to format a saved search for the client
+function formatSavedSearch(search) {
+  const coordinates = search.center && search.center.coordinates;
+  return {
+    id: search._id,
+    name: search.name,
+    filters: search.filters || {},
+    radius: (search.filters && search.filters.radius) || null,
+    center: coordinates && coordinates.length === 2 ? { latitude: coordinates[1], longitude: coordinates[0] } : null,
+    alertsEnabled: search.alertsEnabled,
+    emailDigest: search.emailDigest,
+    lastRunAt: search.lastRunAt,
+    lastNewMatchCount: search.lastNewMatchCount,
+    createdAt: search.createdAt,
+    updatedAt: search.updatedAt
+  };
+}
+
+// Validate the fields of a saved search from a request body.
+// Returns { errors, values }; with partial: true only present fields are checked.
+function validateSavedSearchInput(body, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 60) {
+      errors.push('name must be 1-60 characters');
+    } else {
+      values.name = name;
+    }
+  } else if (!partial) {
+    errors.push('name is required');
+  }
+  
+  if (body.filters !== undefined || !partial) {
+    const parsed = filterOptions.parseMatchFilters(body.filters || {});
+    errors.push(...parsed.errors);
+    values.filters = parsed.filters;
+  }
+  
+  if (body.center !== undefined) {
+    if (body.center === null) {
+      values.center = undefined;
+    } else {
+      const coordinates = typeof body.center === 'object' ? parseCoordinates(body.center.latitude, body.center.longitude) : false;
+      if (!coordinates) {
+        errors.push('center must be { latitude, longitude } or null');
+      } else {
+        values.center = { type: 'Point', coordinates };
+      }
+    }
+  }
+  
+  for (const field of ['alertsEnabled', 'emailDigest']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'boolean') {
+        errors.push(`${field} must be true or false`);
+      } else {
+        values[field] = body[field];
+      }
+    }
+  }
+  
+  return { errors, values };
+}
+
+// Helper function to get the point a saved search runs around ([lng, lat] or null)
+function getSavedSearchCenter(search, user) {
+  const coordinates = search.center && search.center.coordinates;
+  if (coordinates && coordinates.length === 2) return [...coordinates];
+  const location = getBrowsingLocation(user);
+  return location ? location.coordinates : null;
+}
+
+// Helper function to run a saved search. With { createdAfter, createdUntil }
+// only profiles created in that window are returned.
+async function findSavedSearchMatches(search, user, options = {}) {
+  const center = getSavedSearchCenter(search, user);
+  if (search.filters.radius && !center) return [];
+  
+  return findFilteredMatches(user, search.filters, center, {
+    createdAfter: options.createdAfter,
+    createdUntil: options.createdUntil
+  });
+}
+
+// List the current user's saved searches
+app.get('/api/searches', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(PREMIUM_FIELDS);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const searches = await SavedSearch.find({ userId: user._id }).sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      searches: searches.map(formatSavedSearch),
+      limit: SAVED_SEARCH_LIMITS[isPremiumMember(user) ? 'premium' : 'free']
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ error: 'Failed to get saved searches' });
+  }
+});
+
+// Save a search
+// Body: { name, filters, center: { latitude, longitude }, alertsEnabled, emailDigest }
+app.post('/api/searches', authenticateToken, async (req, res) => {
+  try {
+    const { errors, values } = validateSavedSearchInput(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid saved search', details: errors });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const limit = SAVED_SEARCH_LIMITS[isPremiumMember(user) ? 'premium' : 'free'];
+    const count = await SavedSearch.countDocuments({ userId: user._id });
+    
+    if (count >= limit) {
+      return res.status(403).json({
+        error: isPremiumMember(user)
+          ? `You can save up to ${limit} searches`
+          : `Free members can save up to ${limit} searches. Upgrade to premium for more.`,
+        code: 'saved_search_limit',
+        limit
+      });
+    }
+    
+    const search = new SavedSearch({ userId: user._id, ...values });
+    
+    if (search.filters.radius && !getSavedSearchCenter(search, user)) {
+      return res.status(400).json({ error: 'A center point or your location is required to search by radius' });
+    }
+    
+    // Alerts are for profiles created from now on
+    const matches = await findSavedSearchMatches(search, user);
+    search.lastRunAt = new Date();
+    await search.save();
+    
+    const center = getSavedSearchCenter(search, user);
+    
+    res.status(201).json({
+      success: true,
+      search: formatSavedSearch(search),
+      matches: matches.map(match => formatFilteredMatch(match, search.filters, center))
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// Update a saved search
+app.put('/api/searches/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid search ID' });
+    }
+    
+    const { errors, values } = validateSavedSearchInput(req.body, { partial: true });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid saved search', details: errors });
+    }
+    
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user.userId });
+    
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    const criteriaChanged = values.filters !== undefined || 'center' in values;
+    const alertsResumed = values.alertsEnabled === true && !search.alertsEnabled;
+    Object.assign(search, values);
+    
+    if (criteriaChanged) {
+      const user = await User.findById(req.user.userId);
+      
+      if (search.filters.radius && !getSavedSearchCenter(search, user)) {
+        return res.status(400).json({ error: 'A center point or your location is required to search by radius' });
+      }
+      
+      // New criteria restart the clock so the next alert isn't everyone
+      search.pendingDigest = [];
+    }
+    
+    // Nor is it everyone who joined while alerts were off
+    if (criteriaChanged || alertsResumed) {
+      search.lastRunAt = new Date();
+    }
+    
+    await search.save();
+    
+    res.json({
+      success: true,
+      search: formatSavedSearch(search)
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// Delete a saved search
+app.delete('/api/searches/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid search ID' });
+    }
+    
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, userId: req.user.userId });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// Run a saved search now
+app.get('/api/searches/:id/matches', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid search ID' });
+    }
+    
+    const [search, user] = await Promise.all([
+      SavedSearch.findOne({ _id: req.params.id, userId: req.user.userId }),
+      User.findById(req.user.userId)
+    ]);
+    
+    if (!search || !user) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    const center = getSavedSearchCenter(search, user);
+    const matches = await findSavedSearchMatches(search, user);
+    
+    res.json({
+      success: true,
+      search: formatSavedSearch(search),
+      matches: matches.map(match => formatFilteredMatch(match, search.filters, center)),
+      count: matches.length
+    });
+  } catch (error) {
+    console.error('Run saved search error:', error);
+    res.status(500).json({ error: 'Failed to run saved search' });
+  }
+});
+
+// Re-run one saved search and alert its owner about profiles created between
+// its previous run (search.lastRunAt) and this one (runAt). Each profile falls
+// in exactly one window, so it's reported once.
+async function checkSavedSearch(search, runAt) {
+  const user = await User.findById(search.userId);
+  if (!user || (user.accountStatus && user.accountStatus !== 'active')) return;
+  
+  const newMatches = await findSavedSearchMatches(search, user, {
+    createdAfter: search.lastRunAt || search.createdAt,
+    createdUntil: runAt
+  });
+  
+  const update = {
+    $set: { lastNewMatchCount: newMatches.length }
+  };
+  
+  if (newMatches.length > 0 && search.emailDigest) {
+    update.$push = {
+      pendingDigest: {
+        $each: newMatches.map(match => ({ userId: match._id, name: match.name, foundAt: new Date() })),
+        $slice: -SAVED_SEARCH_MAX_PENDING_DIGEST
+      }
+    };
+  }
+  
+  await SavedSearch.updateOne({ _id: search._id }, update);
+  
+  if (newMatches.length === 0) return;
+  
+  const label = `${newMatches.length} new ${newMatches.length === 1 ? 'match' : 'matches'} for "${search.name}"`;
+  await addUserActivity(user._id, 'saved_search_match', label);
+  
+  const center = getSavedSearchCenter(search, user);
+  realtime.publish(user._id, 'search:new_matches', {
+    searchId: search._id,
+    name: search.name,
+    count: newMatches.length,
+    matches: newMatches.slice(0, 5).map(match => formatFilteredMatch(match, search.filters, center))
+  });
+}
+
+// Email each user one digest of the new profiles across their saved searches
+async function sendSavedSearchDigests() {
+  // Leave the queues alone until there's a way to send them
+  if (!mailer.enabled) return;
+  
+  const cutoff = new Date(Date.now() - SAVED_SEARCH_DIGEST_INTERVAL);
+  const due = {
+    emailDigest: true,
+    'pendingDigest.0': { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: cutoff } }]
+  };
+  
+  const userIds = await SavedSearch.distinct('userId', due);
+  
+  for (const userId of userIds) {
+    try {
+      const user = await User.findById(userId).select('name email accountStatus');
+      if (!user || (user.accountStatus && user.accountStatus !== 'active')) continue;
+      
+      // Drain each search's queue atomically so no profile is emailed twice
+      const searches = [];
+      let search;
+      while ((search = await SavedSearch.findOneAndUpdate(
+        { ...due, userId },
+        { $set: { pendingDigest: [], lastDigestAt: new Date() } },
+        { new: false }
+      ))) {
+        searches.push({ name: search.name, profiles: search.pendingDigest.map(entry => entry.name) });
+      }
+      
+      if (searches.length === 0) continue;
+      
+      await mailer.send({
+        to: user.email,
+        ...emailTemplates.savedSearchDigest({ name: user.name, searches, url: `${FRONTEND_URL}/matches` })
+      });
+    } catch (error) {
+      console.error(`Error sending saved search digest to user ${userId}:`, error);
+    }
+  }
+}
+
+// One pass of the alerts job. Each due search is claimed before it runs, so
+// several server instances can run the job side by side.
+async function runSavedSearchAlerts() {
+  const cutoff = new Date(Date.now() - SAVED_SEARCH_INTERVAL);
+  
+  for (;;) {
+    const runAt = new Date();
+    // The claim returns the search as it was, so lastRunAt is still the previous run
+    const search = await SavedSearch.findOneAndUpdate(
+      { alertsEnabled: true, $or: [{ lastRunAt: null }, { lastRunAt: { $lte: cutoff } }] },
+      { $set: { lastRunAt: runAt } },
+      { sort: { lastRunAt: 1 }, new: false }
+    );
+    if (!search) break;
+    
+    try {
+      await checkSavedSearch(search, runAt);
+    } catch (error) {
+      console.error(`Error checking saved search ${search._id}:`, error);
+    }
+  }
+  
+  await sendSavedSearchDigests();
+}
+
+function startSavedSearchAlerts() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await runSavedSearchAlerts();
+    } catch (error) {
+      console.error('Saved search alerts error:', error);
+    } finally {
+      running = false;
+    }
+  }, SAVED_SEARCH_JOB_INTERVAL);
+  timer.unref();
+  
+  console.log(`🔔 Saved search alerts running every ${SAVED_SEARCH_INTERVAL / 60000} minutes`);
+}
+
+// Helper function to calculate distance between two points
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Helper function to format time ago
+function formatTimeAgo(date) {
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+  
+  if (diffMins < 60) return `${diffMins} min ago`;
+  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+  return date.toLocaleDateString();
+}
+
+// Update user preferences
+// These are enforced by the discovery feed, so reject anything it can't use
+app.post('/api/preferences/update', authenticateToken, async (req, res) => {
+  try {
+    const { distance, ageRange, petType } = req.body;
+    
+    const updateData = {};
+    const errors = [];
+    
+    if (distance !== undefined) {
+      const miles = Number(distance);
+      if (!Number.isFinite(miles) || miles < 1 || miles > MAX_PREFERENCE_DISTANCE) {
+        errors.push(`distance must be between 1 and ${MAX_PREFERENCE_DISTANCE} miles`);
+      } else {
+        updateData['preferences.distance'] = miles;
+      }
+    }
+    
+    if (ageRange !== undefined) {
+      if (ageRange === null) {
+        updateData['preferences.ageRange'] = {};
+      } else {
+        const min = ageRange.min === undefined || ageRange.min === null ? undefined : Number(ageRange.min);
+        const max = ageRange.max === undefined || ageRange.max === null ? undefined : Number(ageRange.max);
+        const isValidAge = value => value === undefined || (Number.isFinite(value) && value >= 0 && value <= 50);
+        
+        if (!isValidAge(min) || !isValidAge(max) || (min !== undefined && max !== undefined && min > max)) {
+          errors.push('ageRange must have min and max pet ages between 0 and 50, with min <= max');
+        } else {
+          updateData['preferences.ageRange'] = { min, max };
+        }
+      }
+    }
+    
+    if (petType !== undefined) {
+      if (petType !== 'any' && !petOptions.SPECIES.includes(petType)) {
+        errors.push(`petType must be any or one of ${petOptions.SPECIES.join(', ')}`);
+      } else {
+        updateData['preferences.petType'] = petType;
+      }
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid preferences', details: errors });
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      updateData,
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // The discovery deck was built for the old preferences
+    await dropDeck(user._id);
+    
+    res.json({
+      success: true,
+      preferences: user.preferences
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// ==================== PAYMENT PROCESSING ROUTES ====================
+
+// Days a membership keeps going after it ends when a renewal payment failed
+const MEMBERSHIP_GRACE_DAYS = Math.max(parseInt(process.env.MEMBERSHIP_GRACE_DAYS ?? '3') || 0, 0);
+// Days before the end that members are reminded to renew. A payment that's
+// declined from then on is a failed renewal.
+const MEMBERSHIP_REMINDER_DAYS = Math.max(parseInt(process.env.MEMBERSHIP_REMINDER_DAYS ?? '7') || 0, 0);
+
+const PREMIUM_BADGE = {
+  type: 'premium_member',
+  name: 'Premium Member',
+  description: 'Active premium subscription',
+  icon: 'fas fa-crown',
+  color: '#fbbf24'
+};
+
+// Bring a user's membership fields in line with their payment ledger. Every
+// change to a payment ends here; the fields on User are only a cache of what
+// the Transaction collection says (see lib/payments/membership.js). reason
+// describes the change for the activity feed. Resolves to the updated user.
+async function syncMembership(userId, reason) {
+  const [user, transactions] = await Promise.all([
+    User.findById(userId),
+    Transaction.find({ userId, status: { $in: ['succeeded', 'failed'] } })
+      .select('provider providerReference plan status paidAt failureCode createdAt')
+      .lean()
+  ]);
+  
+  if (!user) {
+    throw new PaymentError(`User ${userId} not found for membership update`, 'user_not_found', 404);
+  }
+  
+  const membership = computeMembership(transactions, new Date(), {
+    graceDays: MEMBERSHIP_GRACE_DAYS,
+    renewalWindowDays: MEMBERSHIP_REMINDER_DAYS
+  });
+  // What the user had as last recorded, not the live status: a membership
+  // that has just lapsed still needs to be ended and announced
+  const wasPremium = user.membershipType === 'premium' && user.membershipStatus === 'active';
+  const previousEndDate = user.membershipEndDate;
+  
+  // Cancelling ends what was paid for so far; paying again starts a new membership
+  const lastPaidAt = Math.max(...transactions
+    .filter(transaction => transaction.status === 'succeeded')
+    .map(transaction => new Date(transaction.paidAt || transaction.createdAt).getTime()));
+  const cancelled = !!(membership && user.membershipCancelledAt && user.membershipCancelledAt.getTime() >= lastPaidAt);
+  
+  if (membership) {
+    user.membershipPlan = membership.plan;
+    user.membershipStartDate = membership.startDate;
+    user.membershipEndDate = membership.endDate;
+    user.paymentMethod = membership.transaction.provider;
+    user.lastTransactionId = membership.transaction.providerReference;
+    user.membershipGraceEndsAt = membership.graceEndDate || undefined;
+  }
+  
+  if (membership && (membership.active || membership.inGrace) && !cancelled) {
+    user.membershipType = 'premium';
+    user.membershipStatus = 'active';
+    if (!user.badges.some(badge => badge.type === PREMIUM_BADGE.type)) {
+      user.badges.push({ ...PREMIUM_BADGE, earnedAt: new Date() });
+    }
+  } else {
+    user.membershipType = 'free';
+    if (membership || wasPremium) {
+      user.membershipStatus = membership && !cancelled ? 'expired' : 'cancelled';
+    }
+    user.badges = user.badges.filter(badge => badge.type !== PREMIUM_BADGE.type);
+  }
+  
+  await user.save();
+  await cacheUtils.clearUserCache(user._id);
+  
+  const isPremium = user.membershipType === 'premium';
+  const extended = isPremium && wasPremium && previousEndDate && membership.endDate > previousEndDate;
+  
+  if (isPremium && (!wasPremium || extended)) {
+    await addUserActivity(user._id, 'membership', `${extended ? 'Extended' : 'Activated'} ${membership.plan} premium membership (${reason})`);
+    realtime.publish(user._id, 'membership:activated', {
+      plan: membership.plan,
+      paymentMethod: membership.transaction.provider,
+      endDate: membership.endDate
+    });
+  } else if (wasPremium && !isPremium) {
+    await addUserActivity(user._id, 'membership', `Premium membership ended (${reason})`);
+    realtime.publish(user._id, 'membership:revoked', { reason });
+  }
+  
+  return user;
+}
+
+// Apply a refund or dispute to the payment matching filter, then recompute
+// the membership it paid for. Refunds and lost disputes end it; a dispute
+// puts it on hold until it's resolved. A won dispute makes the payment
+// succeeded again with its original paidAt, so the membership gets back the
+// period it paid for rather than starting a new one.
+async function applyPaymentReversal(filter, action, providerName) {
+  const moves = {
+    refund: { from: ['succeeded', 'disputed'], status: 'refunded' },
+    dispute: { from: ['succeeded'], status: 'disputed' },
+    dispute_resolved: { from: ['disputed'], status: action.sellerWon ? 'succeeded' : 'refunded' }
+  };
+  const { from, status } = moves[action.type];
+  
+  const fields = { reason: action.disputeId ? `${action.type} ${action.disputeId}` : action.type };
+  if (action.raw) fields.rawPayload = action.raw;
+  
+  const transaction = await Transaction.transition(filter, from, status, fields);
+  
+  if (transaction) {
+    await syncMembership(transaction.userId, `${providerName} payment ${status}`);
+  }
+  return transaction;
+}
+
+// A payment as its owner sees it
+function formatTransaction(transaction) {
+  const details = transaction.paymentDetails || {};
+  return {
+    id: transaction._id,
+    provider: transaction.provider,
+    reference: transaction.providerReference,
+    plan: transaction.plan,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    status: transaction.status,
+    paidAt: transaction.paidAt,
+    failureCode: transaction.failureCode,
+    failureMessage: transaction.failureMessage,
+    cardBrand: details.cardBrand,
+    last4: details.last4,
+    receiptUrl: details.receiptUrl,
+    createdAt: transaction.createdAt,
+    updatedAt: transaction.updatedAt
+  };
+}
+
+const MEMBERSHIP_FIELDS = `${PREMIUM_FIELDS} membershipPlan membershipStartDate membershipCancelledAt paymentMethod`;
+
+// status is the live one: 'active', 'grace', 'expired', 'cancelled' or 'none'
+function formatMembership(user) {
+  return {
+    type: user.membershipType,
+    status: getMembershipStatus(user),
+    isPremium: isPremiumMember(user),
+    plan: user.membershipPlan,
+    startDate: user.membershipStartDate,
+    endDate: user.membershipEndDate,
+    graceEndsAt: user.membershipGraceEndsAt,
+    cancelledAt: user.membershipCancelledAt,
+    paymentMethod: user.paymentMethod
+  };
+}
+
+// Stripe Payment Processing
+// Body: { plan }. Returns a PaymentIntent client secret for Stripe.js to
+// confirm; membership is activated by the webhook once the payment succeeds.
+app.post('/api/payments/stripe', authenticateToken, async (req, res) => {
+  try {
+    if (!stripePayments) {
+      return res.status(503).json({ error: 'Stripe payments are not available' });
+    }
+    
+    const plan = getPlan(req.body.plan);
+    
+    if (!plan) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    
+    const user = await User.findById(req.user.userId).select('email');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const payment = await stripePayments.createPaymentIntent(user, plan.id);
+    
+    await Transaction.record(
+      { provider: 'stripe', providerReference: payment.paymentIntentId, userId: user._id },
+      'pending',
+      { plan: plan.id, amount: plan.amount, currency: plan.currency }
+    );
+    
+    res.json({
+      success: true,
+      plan: plan.id,
+      ...payment
+    });
+    
+  } catch (error) {
+    console.error('Stripe payment error:', error);
+    res.status(500).json({ error: 'Payment processing failed' });
+  }
+});
+
+// Stripe Checkout
+// Body: { plan }. Returns the URL of a hosted Stripe Checkout page.
+app.post('/api/payments/stripe/checkout', authenticateToken, async (req, res) => {
+  try {
+    if (!stripePayments) {
+      return res.status(503).json({ error: 'Stripe payments are not available' });
+    }
+    
+    const plan = getPlan(req.body.plan);
+    
+    if (!plan) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    
+    const user = await User.findById(req.user.userId).select('email');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const session = await stripePayments.createCheckoutSession(user, plan.id, {
+      successUrl: `${FRONTEND_URL}/membership.html?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${FRONTEND_URL}/membership.html?checkout=cancelled`
+    });
+    
+    // Stripe only creates the PaymentIntent once the customer pays, so the
+    // payment is recorded under the session until the webhook links the two
+    await Transaction.record(
+      { provider: 'stripe', providerReference: session.sessionId, userId: user._id },
+      'pending',
+      { plan: plan.id, amount: plan.amount, currency: plan.currency }
+    );
+    
+    res.json({
+      success: true,
+      plan: plan.id,
+      ...session
+    });
+    
+  } catch (error) {
+    console.error('Stripe checkout error:', error);
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+});
+
+// Record what a verified Stripe event says about a payment
+async function applyStripeWebhookAction(action) {
+  const keys = { provider: 'stripe', providerReference: action.reference };
+  
+  if (action.type === 'checkout_completed') {
+    // From here on the payment_intent.* events update it
+    try {
+      await Transaction.updateOne({ ...keys, status: 'pending' }, { providerReference: action.paymentIntent });
+    } catch (error) {
+      // They got here first and recorded the PaymentIntent already
+      if (error.code !== 11000) throw error;
+      await Transaction.deleteOne({ ...keys, status: 'pending' });
+    }
+    return;
+  }
+  
+  if (action.type === 'checkout_expired') {
+    await Transaction.transition(keys, ['pending'], 'failed', {
+      failureCode: 'checkout_expired',
+      rawPayload: action.raw,
+      reason: 'checkout_expired'
+    });
+    return;
+  }
+  
+  if (action.type !== 'succeeded' && action.type !== 'failed') {
+    await applyPaymentReversal(keys, action, 'Stripe');
+    return;
+  }
+  
+  if (!mongoose.Types.ObjectId.isValid(action.userId)) {
+    throw new PaymentError(`Stripe payment ${action.reference} has an invalid user ID`, 'user_not_found', 404);
+  }
+  
+  const recorded = await Transaction.record({ ...keys, userId: action.userId }, action.type, {
+    plan: action.plan,
+    amount: action.amount,
+    currency: action.currency,
+    failureCode: action.failureCode,
+    failureMessage: action.failureMessage,
+    rawPayload: action.raw,
+    reason: action.failureCode
+  });
+  
+  // A failed renewal can start a grace period
+  if (recorded) {
+    await syncMembership(action.userId, action.type === 'succeeded' ? 'paid with Stripe' : 'Stripe payment failed');
+  }
+}
+
+// Stripe webhook - the only place Stripe payments activate a membership
+app.post('/api/webhooks/stripe', async (req, res) => {
+  if (!stripePayments) {
+    return res.status(503).json({ error: 'Stripe payments are not available' });
+  }
+  
+  let event;
+  try {
+    event = stripePayments.constructEvent(req.rawBody, req.get('stripe-signature'));
+  } catch (error) {
+    console.error('Stripe webhook rejected:', error.message);
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const action = stripePayments.getWebhookAction(event);
+    
+    if (action) {
+      await applyStripeWebhookAction(action);
+    }
+    
+    res.json({ received: true });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      // Retrying won't change the outcome, so acknowledge it
+      console.error(`Stripe event ${event.id} not applied:`, error.message);
+      return res.json({ received: true, applied: false, reason: error.code });
+    }
+    
+    // A 5xx makes Stripe retry the event later
+    console.error(`Stripe webhook error for event ${event.id}:`, error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Create a PayPal order for a plan
+// Body: { plan }. The client approves the returned orderId with the PayPal JS SDK.
+app.post('/api/payments/paypal/order', authenticateToken, async (req, res) => {
+  try {
+    if (!paypalPayments) {
+      return res.status(503).json({ error: 'PayPal payments are not available' });
+    }
+    
+    const plan = getPlan(req.body.plan);
+    
+    if (!plan) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    
+    const user = await User.findById(req.user.userId).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const order = await paypalPayments.createOrder(user, plan.id);
+    
+    res.json({
+      success: true,
+      plan: plan.id,
+      ...order
+    });
+    
+  } catch (error) {
+    console.error('PayPal order error:', error);
+    res.status(500).json({ error: 'Failed to create PayPal order' });
+  }
+});
+
+// PayPal Payment Processing
+// Body: { orderID, plan } once the buyer has approved the order. The order is
+// captured and checked with PayPal before membership is activated, and each
+// order can only be redeemed once.
+app.post('/api/payments/paypal', authenticateToken, async (req, res) => {
+  try {
+    if (!paypalPayments) {
+      return res.status(503).json({ error: 'PayPal payments are not available' });
+    }
+    
+    const { orderID } = req.body;
+    const plan = getPlan(req.body.plan);
+    
+    if (!plan) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    
+    if (typeof orderID !== 'string' || !/^[A-Z0-9]{5,40}$/i.test(orderID)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+    
+    const user = await User.findById(req.user.userId).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Claim the order first so concurrent requests can't both redeem it. An
+    // order that failed before can be claimed again by the same user.
+    const keys = { provider: 'paypal', providerReference: orderID, userId: user._id };
+    const claim = await Transaction.record(keys, 'pending', { plan: plan.id, amount: plan.amount, currency: plan.currency });
+    
+    if (!claim) {
+      return res.status(409).json({ error: 'This PayPal order has already been used', code: 'order_already_redeemed' });
+    }
+    
+    let activation;
+    try {
+      activation = await paypalPayments.captureOrder(orderID, user._id, plan.id);
+    } catch (error) {
+      const isPaymentError = error instanceof PaymentError;
+      
+      if (isPaymentError && error.code === 'order_mismatch' && claim.created) {
+        // Not this user's order, so leave it free for whoever it belongs to
+        await Transaction.deleteOne({ _id: claim.transaction._id, status: 'pending' });
+      } else {
+        await Transaction.transition({ _id: claim.transaction._id }, ['pending'], 'failed', {
+          failureCode: isPaymentError ? error.code : 'capture_error',
+          failureMessage: isPaymentError ? error.message : undefined,
+          reason: isPaymentError ? error.code : 'capture_error'
+        });
+        await syncMembership(user._id, 'PayPal payment failed');
+      }
+      
+      if (isPaymentError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+    
+    await Transaction.record(keys, 'succeeded', {
+      captureId: activation.captureId,
+      amount: activation.amount,
+      currency: activation.currency,
+      rawPayload: activation.raw
+    });
+    await syncMembership(user._id, 'paid with PayPal');
+    
+    res.json({
+      success: true,
+      orderId: orderID,
+      plan: plan.id,
+      message: 'PayPal payment successful'
+    });
+    
+  } catch (error) {
+    console.error('PayPal payment error:', error);
+    res.status(500).json({ error: 'PayPal payment processing failed' });
+  }
+});
+
+// Apply a verified PayPal refund or dispute to the payments it concerns
+async function applyPayPalWebhookAction(action) {
+  if (action.type === 'refund') {
+    // Partial refunds leave the membership in place
+    const capture = action.reversed ? null : await paypalPayments.getCapture(action.captureId);
+    if (capture && capture.status !== 'REFUNDED') return;
+    
+    await applyPaymentReversal({ provider: 'paypal', captureId: action.captureId }, action, 'PayPal');
+    return;
+  }
+  
+  for (const captureId of action.captureIds) {
+    await applyPaymentReversal({ provider: 'paypal', captureId }, action, 'PayPal');
+  }
+}
+
+// PayPal webhook - refunds and disputes
+app.post('/api/webhooks/paypal', async (req, res) => {
+  if (!paypalPayments) {
+    return res.status(503).json({ error: 'PayPal payments are not available' });
+  }
+  
+  let event;
+  try {
+    event = await paypalPayments.verifyWebhook(req.headers, req.rawBody);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      console.error('PayPal webhook rejected:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+    // PayPal retries when we can't verify right now
+    console.error('PayPal webhook verification error:', error);
+    return res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+  
+  try {
+    const action = paypalPayments.getWebhookAction(event);
+    
+    if (action) {
+      await applyPayPalWebhookAction(action);
+    }
+    
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`PayPal webhook error for event ${event.id}:`, error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Square Payment Processing
+// Body: { sourceId, plan, verificationToken } where sourceId is the card
+// nonce from the Square Web Payments SDK and verificationToken comes from
+// its buyer verification (SCA), when that was needed.
+app.post('/api/payments/square', authenticateToken, async (req, res) => {
+  try {
+    if (!squarePayments) {
+      return res.status(503).json({ error: 'Card payments are not available' });
+    }
+    
+    const { sourceId, verificationToken } = req.body;
+    const plan = getPlan(req.body.plan);
+    
+    if (!plan) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    
+    if (typeof sourceId !== 'string' || !sourceId || sourceId.length > 255) {
+      return res.status(400).json({ error: 'Card details are required' });
+    }
+    
+    if (verificationToken !== undefined && (typeof verificationToken !== 'string' || verificationToken.length > 1024)) {
+      return res.status(400).json({ error: 'Invalid verification token' });
+    }
+    
+    const user = await User.findById(req.user.userId).select('email');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    let activation;
+    try {
+      activation = await squarePayments.createPayment(user, plan.id, { sourceId, verificationToken });
+    } catch (error) {
+      if (!(error instanceof PaymentError)) {
+        throw error;
+      }
+      
+      // A retry of the same declined card finds it already recorded
+      await Transaction.record({ provider: 'square', providerReference: error.paymentId, userId: user._id }, 'failed', {
+        plan: plan.id,
+        amount: plan.amount,
+        currency: plan.currency,
+        failureCode: error.code,
+        failureMessage: error.message,
+        rawPayload: error.raw,
+        reason: error.code
+      });
+      await syncMembership(user._id, 'card payment failed');
+      
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    
+    // Retries of the same card nonce get the original payment back, so it's recorded once
+    await Transaction.record({ provider: 'square', providerReference: activation.transactionId, userId: user._id }, 'succeeded', {
+      plan: plan.id,
+      amount: activation.amount,
+      currency: activation.currency,
+      paymentDetails: {
+        cardBrand: activation.cardBrand,
+        last4: activation.last4,
+        receiptUrl: activation.receiptUrl
+      },
+      rawPayload: activation.raw
+    });
+    await syncMembership(user._id, 'paid with Square');
+    
+    res.json({
+      success: true,
+      paymentId: activation.transactionId,
+      plan: plan.id,
+      receiptUrl: activation.receiptUrl,
+      message: 'Payment successful'
+    });
+    
+  } catch (error) {
+    console.error('Square payment error:', error);
+    res.status(500).json({ error: 'Payment processing failed' });
+  }
+});
+
+// ==================== MEMBERSHIP MANAGEMENT ROUTES ====================
+
+// Current membership. Memberships are activated by paying (see the payment
+// routes above), never directly.
+app.get('/api/membership', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(MEMBERSHIP_FIELDS);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      membership: formatMembership(user)
+    });
+    
+  } catch (error) {
+    console.error('Get membership error:', error);
+    res.status(500).json({ error: 'Failed to get membership' });
+  }
+});
+
+// Payment history, newest first
+app.get('/api/payments/history', authenticateToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const [user, transactions, total] = await Promise.all([
+      User.findById(req.user.userId).select(MEMBERSHIP_FIELDS),
+      Transaction.find({ userId: req.user.userId })
+        .select('-rawPayload -history')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transaction.countDocuments({ userId: req.user.userId })
+    ]);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      membership: formatMembership(user),
+      transactions: transactions.map(formatTransaction),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Payment history error:', error);
+    res.status(500).json({ error: 'Failed to get payment history' });
+  }
+});
+
+// Cancel membership. This ends what has been paid for so far; paying again
+// starts a new membership.
+app.post('/api/membership/cancel', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.user.userId, { membershipCancelledAt: new Date() }).select('_id');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const updated = await syncMembership(user._id, 'cancelled');
+    
+    res.json({
+      success: true,
+      message: 'Membership cancelled successfully',
+      membership: formatMembership(updated)
+    });
+    
+  } catch (error) {
+    console.error('Membership cancellation error:', error);
+    res.status(500).json({ error: 'Failed to cancel membership' });
+  }
+});
+
+// ==================== MEMBERSHIP LIFECYCLE ====================
+// A background job ends memberships once they lapse (after any grace period
+// from a failed renewal) and reminds members MEMBERSHIP_REMINDER_DAYS before
+// their membership ends. Premium checks don't wait for it: they read the live
+// status from the dates.
+
+const MEMBERSHIP_JOB_INTERVAL = 60 * 60 * 1000;
+
+// Recompute every membership that has lapsed but is still recorded as premium
+async function expireMemberships(now) {
+  const lapsed = await User.find({
+    membershipType: 'premium',
+    membershipStatus: 'active',
+    membershipEndDate: { $lte: now },
+    $or: [{ membershipGraceEndsAt: null }, { membershipGraceEndsAt: { $lte: now } }]
+  }).select('_id').limit(1000);
+  
+  for (const user of lapsed) {
+    try {
+      await syncMembership(user._id, 'expired');
+    } catch (error) {
+      console.error(`Error expiring membership of user ${user._id}:`, error);
+    }
+  }
+  return lapsed.length;
+}
+
+// Remind each member once per end date that their membership is about to end
+async function sendRenewalReminders(now) {
+  if (MEMBERSHIP_REMINDER_DAYS === 0) return 0;
+  
+  const horizon = new Date(now.getTime() + MEMBERSHIP_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+  let sent = 0;
+  let user;
+  // Each reminder is claimed before it's sent, so several instances never send it twice
+  while ((user = await User.findOneAndUpdate(
+    {
+      membershipType: 'premium',
+      membershipStatus: 'active',
+      membershipPlan: { $ne: 'lifetime' },
+      membershipEndDate: { $gt: now, $lte: horizon },
+      $expr: { $ne: ['$membershipReminderSentFor', '$membershipEndDate'] }
+    },
+    [{ $set: { membershipReminderSentFor: '$membershipEndDate' } }],
+    { new: true }
+  ).select('name email accountStatus membershipPlan membershipEndDate'))) {
+    if (user.accountStatus && user.accountStatus !== 'active') continue;
+    
+    try {
+      if (mailer.enabled) {
+        await mailer.send({
+          to: user.email,
+          ...emailTemplates.membershipRenewalReminder({
+            name: user.name,
+            plan: user.membershipPlan,
+            endDate: user.membershipEndDate,
+            url: `${FRONTEND_URL}/membership.html`
+          })
+        });
+      }
+      realtime.publish(user._id, 'membership:expiring', {
+        plan: user.membershipPlan,
+        endDate: user.membershipEndDate
+      });
+      sent++;
+    } catch (error) {
+      console.error(`Error sending renewal reminder to user ${user._id}:`, error);
+    }
+  }
+  return sent;
+}
+
+// One pass of the lifecycle job
+async function runMembershipLifecycle() {
+  const now = new Date();
+  const expired = await expireMemberships(now);
+  const reminded = await sendRenewalReminders(now);
+  
+  if (expired > 0 || reminded > 0) {
+    console.log(`💎 Memberships: ${expired} lapsed, ${reminded} renewal reminder(s) sent`);
+  }
+}
+
+function startMembershipLifecycle() {
+  let running = false;
+  const run = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await runMembershipLifecycle();
+    } catch (error) {
+      console.error('Membership lifecycle error:', error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const timer = setInterval(run, MEMBERSHIP_JOB_INTERVAL);
+  timer.unref();
+  // Catch up on anything that lapsed while the server was down
+  run();
+  
+  console.log(`💎 Membership expiry running hourly (${MEMBERSHIP_GRACE_DAYS}-day grace period, reminders ${MEMBERSHIP_REMINDER_DAYS} days ahead)`);
+}
+
+// ==================== CONTACT FORM ROUTES ====================
+
+// Submit contact form
+app.post('/api/contact/submit', async (req, res) => {
+  try {
+    const { firstName, lastName, email, phone, subject, message, newsletter } = req.body;
+    
+    // Validate required fields
+    if (!firstName || !lastName || !email || !subject || !message) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    // Create contact submission record
+    const contactSubmission = {
+      firstName,
+      lastName,
+      email,
+      phone,
+      subject,
+      message,
+      newsletter,
+      timestamp: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'pending'
+    };
+    
+    // In a real app, you'd save this to a ContactSubmission model
+    // For now, we'll log it and send an email notification
+    
+    console.log('📧 Contact form submission:', contactSubmission);
+    
+    // TODO: Send email notification to support team
+    // TODO: Add to support ticket system
+    
+    // If user wants newsletter, add to mailing list
+    if (newsletter) {
+      // TODO: Add to mailing list service (Mailchimp, etc.)
+    }
+    
+    res.json({
+      success: true,
+      message: 'Contact form submitted successfully',
+      ticketId: `TICKET-${Date.now()}`
+    });
     
-    res.json({
-      success: true,
-      location: location,
-      ip: clientIp
-    });
   } catch (error) {
-    console.error('Location from IP error:', error);
-    res.status(500).json({ error: 'Failed to get location from IP' });
+    console.error('Contact form error:', error);
+    res.status(500).json({ error: 'Failed to submit contact form' });
   }
 });
 
-// Update user location
-app.post('/api/location/update', authenticateToken, async (req, res) => {
+// Send confirmation email
+app.post('/api/contact/confirmation', async (req, res) => {
   try {
-    const { latitude, longitude, address, city, state, country } = req.body;
+    const { email } = req.body;
     
-    if (!latitude || !longitude) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
-    }
+    // TODO: Send confirmation email
+    console.log(`📧 Sending confirmation email to: ${email}`);
     
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      {
-        location: {
-          type: 'Point',
-          coordinates: [longitude, latitude],
-          address: address || '',
-          city: city || '',
-          state: state || '',
-          country: country || ''
+    res.json({
+      success: true,
+      message: 'Confirmation email sent'
+    });
+    
+  } catch (error) {
+    console.error('Confirmation email error:', error);
+    res.status(500).json({ error: 'Failed to send confirmation email' });
+  }
+});
+
+// ==================== MESSAGING SYSTEM ROUTES ====================
+
+// Helper function to format a message for the frontend
+function formatMessage(message, currentUserId) {
+  return {
+    id: message._id,
+    threadId: message.threadId,
+    senderId: message.senderId,
+    recipientId: message.recipientId,
+    message: message.message,
+    isMine: message.senderId.toString() === currentUserId.toString(),
+    isRead: message.isRead,
+    readAt: message.readAt,
+    timestamp: message.createdAt
+  };
+}
+
+// Aggregation stage that reduces a thread's messages (sorted newest first)
+// to its last message and the number of messages unread by currentUserId
+function threadSummaryStage(currentUserId) {
+  return {
+    $group: {
+      _id: '$threadId',
+      lastMessage: { $first: '$$ROOT' },
+      unreadCount: {
+        $sum: {
+          $cond: [
+            { $and: [{ $eq: ['$recipientId', currentUserId] }, { $eq: ['$isRead', false] }] },
+            1,
+            0
+          ]
         }
-      },
-      { new: true }
+      }
+    }
+  };
+}
+
+// Typing indicators follow the same matched-or-premium rule as messaging
+async function canSendTyping(senderId, recipientId) {
+  if (!mongoose.Types.ObjectId.isValid(recipientId)) return false;
+  
+  const sender = await User.findById(senderId).select(PREMIUM_FIELDS);
+  if (!sender) return false;
+  
+  if (await Block.isBlockedBetween(senderId, recipientId)) return false;
+  
+  const isMatched = await Match.areMatched(senderId, recipientId);
+  return isMatched || isPremiumMember(sender);
+}
+
+// Send message (only for matched users or premium members)
+app.post('/api/messages/send', authenticateToken, async (req, res) => {
+  try {
+    const { recipientId, message } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+      return res.status(400).json({ error: 'Invalid recipient ID' });
+    }
+    
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Message text is required' });
+    }
+    
+    if (message.length > 2000) {
+      return res.status(400).json({ error: 'Message cannot be longer than 2000 characters' });
+    }
+    
+    const sender = await User.findById(req.user.userId);
+    const recipient = await User.findById(recipientId);
+    
+    if (!sender || !recipient) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (await Block.isBlockedBetween(sender._id, recipient._id)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+    
+    // Check if users are matched or if sender is premium
+    const isMatched = await Match.areMatched(sender._id, recipient._id);
+    
+    if (!isMatched && !isPremiumMember(sender)) {
+      return res.status(403).json({ error: 'Can only message matched users unless you have premium membership' });
+    }
+    
+    const savedMessage = await Message.create({
+      threadId: Message.getThreadId(sender._id, recipient._id),
+      senderId: sender._id,
+      recipientId: recipient._id,
+      message: message.trim()
+    });
+    
+    // Update message count
+    await incrementMessageCount(sender._id);
+    
+    // Add activity
+    await addUserActivity(sender._id, 'message', `Sent message to ${recipient.name}`, {
+      relatedUserId: recipient._id,
+      relatedUserName: recipient.name
+    });
+    
+    // Deliver to the recipient and to the sender's other open sessions
+    realtime.publish(recipient._id, 'message:new', {
+      ...formatMessage(savedMessage, recipient._id),
+      senderName: sender.name
+    });
+    realtime.publish(sender._id, 'message:new', formatMessage(savedMessage, sender._id));
+    
+    res.json({
+      success: true,
+      message: 'Message sent successfully',
+      sentMessage: formatMessage(savedMessage, sender._id)
+    });
+    
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Get conversation history (newest first, paged with ?before=<messageId>&limit=)
+app.get('/api/messages/conversation/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const currentUser = await User.findById(req.user.userId);
+    
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Blocking hides the whole history from both sides
+    if (await Block.isBlockedBetween(currentUser._id, userId)) {
+      return res.status(403).json({ error: 'You cannot view this conversation' });
+    }
+    
+    // Check if users are matched or if current user is premium
+    const isMatched = await Match.areMatched(currentUser._id, userId);
+    
+    if (!isMatched && !isPremiumMember(currentUser)) {
+      return res.status(403).json({ error: 'Can only view conversations with matched users unless you have premium membership' });
+    }
+    
+    const threadId = Message.getThreadId(currentUser._id, userId);
+    const query = { threadId };
+    if (before) {
+      query._id = { $lt: before };
+    }
+    
+    // Fetch one extra message to know whether there is another page
+    const page = await Message.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit);
+    
+    // Opening the conversation marks everything the other user sent as read
+    const readAt = new Date();
+    const readResult = await Message.updateMany(
+      { threadId, recipientId: currentUser._id, isRead: false },
+      { isRead: true, readAt }
+    );
+    if (readResult.modifiedCount > 0) {
+      realtime.publish(userId, 'message:read', {
+        threadId,
+        readerId: currentUser._id,
+        readAt
+      });
+    }
+    messages.forEach(message => {
+      if (message.recipientId.toString() === currentUser._id.toString() && !message.isRead) {
+        message.isRead = true;
+        message.readAt = readAt;
+      }
+    });
+    
+    res.json({
+      success: true,
+      threadId,
+      messages: messages.map(message => formatMessage(message, currentUser._id)),
+      hasMore,
+      nextCursor: hasMore ? messages[messages.length - 1]._id : null
+    });
+    
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+// List the current user's conversation threads with unread counts
+app.get('/api/messages/threads', authenticateToken, async (req, res) => {
+  try {
+    const currentUserId = new mongoose.Types.ObjectId(req.user.userId);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    
+    // Threads with blocked users (either direction) are hidden
+    const blockedIds = await Block.getBlockedUserIds(currentUserId);
+    const hiddenThreadIds = blockedIds.map(id => Message.getThreadId(currentUserId, id));
+    
+    const threads = await Message.aggregate([
+      { $match: { $or: [{ senderId: currentUserId }, { recipientId: currentUserId }], threadId: { $nin: hiddenThreadIds } } },
+      { $sort: { createdAt: -1 } },
+      threadSummaryStage(currentUserId),
+      { $sort: { 'lastMessage.createdAt': -1 } },
+      { $limit: limit }
+    ]);
+    
+    // Load the other participant of each thread
+    const otherUserIds = threads.map(thread => 
+      thread.lastMessage.senderId.equals(currentUserId) ? thread.lastMessage.recipientId : thread.lastMessage.senderId
     );
+    const otherUsers = await User.find({ _id: { $in: otherUserIds } }).select('name profilePicture lastActive');
+    const otherUsersById = new Map(otherUsers.map(user => [user._id.toString(), user]));
+    
+    const formattedThreads = threads.map((thread, index) => {
+      const otherUser = otherUsersById.get(otherUserIds[index].toString());
+      return {
+        threadId: thread._id,
+        user: otherUser ? {
+          id: otherUser._id,
+          name: otherUser.name,
+          profilePicture: otherUser.profilePicture,
+          lastActive: otherUser.lastActive
+        } : { id: otherUserIds[index], name: 'Deleted user' },
+        lastMessage: formatMessage(thread.lastMessage, currentUserId),
+        unreadCount: thread.unreadCount
+      };
+    });
+    
+    const totalUnread = await Message.countDocuments({ recipientId: currentUserId, isRead: false, threadId: { $nin: hiddenThreadIds } });
+    
+    res.json({
+      success: true,
+      threads: formattedThreads,
+      totalUnread
+    });
+    
+  } catch (error) {
+    console.error('Get message threads error:', error);
+    res.status(500).json({ error: 'Failed to get message threads' });
+  }
+});
+
+// ==================== ID VERIFICATION & BADGES ROUTES ====================
+
+const ID_VERIFICATION_MAX_ATTEMPTS = parseInt(process.env.ID_VERIFICATION_MAX_ATTEMPTS) || 3;
+
+// ID documents arrive as "documents" (or "idDocuments" from the profile page)
+const idDocumentUpload = upload.fields([
+  { name: 'documents', maxCount: 2 },
+  { name: 'idDocuments', maxCount: 2 }
+]);
+
+// ID documents are stored as the type their bytes say they are, never the
+// client-supplied mimetype, so nothing but a photo (no SVG with script in it)
+// is ever served to reviewers
+const ID_DOCUMENT_TYPES = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' }
+};
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Helper function to detect an ID document's type from its file signature
+function sniffIdDocumentType(buffer) {
+  if (!buffer || buffer.length < 8) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return ID_DOCUMENT_TYPES.jpeg;
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return ID_DOCUMENT_TYPES.png;
+  return null;
+}
+
+// Helper function to format a user's verification state
+function formatVerificationStatus(user) {
+  return {
+    status: user.idVerificationStatus || 'not_submitted',
+    submittedAt: user.idVerificationSubmittedAt || user.idVerificationUploadedAt,
+    reviewedAt: user.idVerificationReviewedAt,
+    approvedAt: user.idVerificationApprovedAt,
+    rejectionReason: user.idVerificationRejectionReason,
+    attempts: user.idVerificationAttempts || 0,
+    attemptsRemaining: Math.max(ID_VERIFICATION_MAX_ATTEMPTS - (user.idVerificationAttempts || 0), 0)
+  };
+}
+
+// Submit ID verification documents for review
+async function submitIdVerification(req, res) {
+  const storedKeys = [];
+  
+  try {
+    const files = [...(req.files?.documents || []), ...(req.files?.idDocuments || [])];
+    
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'ID documents are required' });
+    }
+    
+    if (files.length > 2) {
+      return res.status(400).json({ error: 'Upload at most two documents (front and back of your ID)' });
+    }
+    
+    const documentTypes = files.map(file => sniffIdDocumentType(file.buffer));
+    if (documentTypes.includes(null)) {
+      return res.status(400).json({ error: 'ID documents must be JPEG or PNG photos' });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.idVerificationStatus === 'pending') {
+      return res.status(409).json({ error: 'Your ID verification is already being reviewed' });
+    }
+    
+    if (user.idVerificationStatus === 'approved') {
+      return res.status(400).json({ error: 'Your ID is already verified' });
+    }
+    
+    if ((user.idVerificationAttempts || 0) >= ID_VERIFICATION_MAX_ATTEMPTS) {
+      return res.status(403).json({ 
+        error: 'Maximum number of verification attempts reached. Please contact support.',
+        verification: formatVerificationStatus(user)
+      });
+    }
+    
+    // Store documents privately - they are only ever read back by reviewers
+    const documents = [];
+    for (const [index, file] of files.entries()) {
+      const { extension, contentType } = documentTypes[index];
+      const key = generateKey(`private/verification/${user._id}`, extension);
+      await fileStorage.put(key, file.buffer, { contentType });
+      storedKeys.push(key);
+      
+      documents.push({
+        filename: path.basename(key),
+        originalName: file.originalname,
+        key,
+        contentType,
+        size: file.size,
+        uploadedAt: new Date()
+      });
+    }
+    
+    const previousDocuments = user.idVerificationDocuments || [];
+    const now = new Date();
+    
+    // Update user verification status
+    user.idVerificationStatus = 'pending';
+    user.idVerificationDocuments = documents;
+    user.idVerificationSubmittedAt = now;
+    user.idVerificationUploadedAt = now;
+    user.idVerificationRejectionReason = null;
+    user.idVerificationReviewedBy = undefined;
+    user.idVerificationReviewedAt = undefined;
+    user.idVerificationAttempts = (user.idVerificationAttempts || 0) + 1;
+    user.lastActive = now;
+    
+    await user.save();
+    storedKeys.length = 0;
+    
+    // Documents from a rejected attempt are no longer needed
+    for (const document of previousDocuments) {
+      if (document.key) {
+        await fileStorage.remove(document.key).catch(error => 
+          console.error(`Failed to remove old verification document ${document.key}:`, error.message)
+        );
+      }
+    }
+    
+    // Add activity
+    await addUserActivity(user._id, 'verification_submitted', 'Submitted ID verification documents');
+    
+    await cacheUtils.clearUserCache(user._id);
+    realtime.publish(user._id, 'verification:status', { status: 'pending' });
+    
+    res.json({
+      success: true,
+      message: 'ID verification submitted successfully',
+      status: 'pending',
+      idVerificationStatus: 'pending',
+      submittedAt: user.idVerificationSubmittedAt,
+      verification: formatVerificationStatus(user)
+    });
+    
+  } catch (error) {
+    console.error('ID verification submission error:', error);
+    
+    // Don't leave orphaned documents behind if the submission failed
+    for (const key of storedKeys) {
+      await fileStorage.remove(key).catch(() => {});
+    }
+    
+    res.status(500).json({ error: 'Failed to submit ID verification' });
+  }
+}
+
+// Submit ID verification (the profile route is kept for older clients)
+app.post('/api/verification/submit', authenticateToken, idDocumentUpload, submitIdVerification);
+app.post('/api/verification/submit-id', authenticateToken, idDocumentUpload, submitIdVerification);
+app.post('/api/profile/submit-id-verification', authenticateToken, idDocumentUpload, submitIdVerification);
+
+// Get the current user's verification status
+app.get('/api/verification/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('idVerificationStatus idVerificationSubmittedAt idVerificationUploadedAt idVerificationReviewedAt idVerificationApprovedAt idVerificationRejectionReason idVerificationAttempts');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -1114,887 +5500,822 @@ app.post('/api/location/update', authenticateToken, async (req, res) => {
     
     res.json({
       success: true,
-      location: user.location
+      verification: formatVerificationStatus(user)
     });
+    
   } catch (error) {
-    console.error('Update location error:', error);
-    res.status(500).json({ error: 'Failed to update location' });
+    console.error('Get verification status error:', error);
+    res.status(500).json({ error: 'Failed to get verification status' });
   }
 });
 
-// Get nearby profiles for matching
-app.get('/api/matches/nearby', authenticateToken, async (req, res) => {
+// Review queue: pending submissions, oldest first (moderators and admins)
+app.get('/api/verification/queue', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { type = 'pets', distance = 10, limit = 20 } = req.query;
-    const currentUser = await User.findById(req.user.userId);
-    
-    if (!currentUser || !currentUser.location) {
-      return res.status(400).json({ error: 'User location not set' });
-    }
-    
-    // Get user's swiped profiles to exclude them
-    const swipedProfileIds = currentUser.swipedProfiles.map(profile => profile.profileId);
-    
-    // Convert miles to meters for MongoDB query
-    const distanceInMeters = distance * 1609.34;
-    
-    // Find nearby users
-    const nearbyUsers = await User.find({
-      _id: { 
-        $ne: currentUser._id,
-        $nin: swipedProfileIds
-      },
-      location: {
-        $near: {
-          $geometry: currentUser.location,
-          $maxDistance: distanceInMeters
-        }
-      },
-      lastActive: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Active in last 30 days
-    }).limit(parseInt(limit));
-    
-    // Format profiles for frontend
-    const profiles = nearbyUsers.map(user => {
-      // Calculate distance
-      const distance = geolib.getDistance(
-        { latitude: currentUser.location.coordinates[1], longitude: currentUser.location.coordinates[0] },
-        { latitude: user.location.coordinates[1], longitude: user.location.coordinates[0] }
-      );
-      
-      const distanceInMiles = (distance * 0.000621371).toFixed(1);
-      
-      if (type === 'pets' && user.pets.length > 0) {
-        // Return pet profiles
-        return user.pets.filter(pet => pet.isActive).map(pet => ({
-          id: `${user._id}_${pet._id}`,
-          userId: user._id,
-          name: pet.name,
-          age: pet.age,
-          type: pet.type,
-          breed: pet.breed,
-          bio: pet.description,
-          images: pet.images,
-          location: `${distanceInMiles} miles away`,
-          ownerName: user.name,
-          isVerified: user.isSubscribed,
-          hasSubscription: user.isSubscribed
-        }));
-      } else {
-        // Return owner profiles
-        return {
-          id: user._id,
-          userId: user._id,
-          name: user.name,
-          age: user.age,
-          bio: user.bio,
-          images: user.profileImages,
-          location: `${distanceInMiles} miles away`,
-          petCount: user.pets.length,
-          isVerified: user.isSubscribed,
-          hasSubscription: user.isSubscribed
-        };
-      }
-    }).flat().filter(Boolean);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { idVerificationStatus: 'pending' };
+    
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('name email username profilePicture createdAt idVerificationStatus idVerificationDocuments idVerificationSubmittedAt idVerificationUploadedAt idVerificationAttempts')
+        .sort({ idVerificationSubmittedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      profiles: profiles,
-      total: profiles.length
+      queue: users.map(user => ({
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        username: user.username,
+        profilePicture: user.profilePicture,
+        memberSince: user.createdAt,
+        submittedAt: user.idVerificationSubmittedAt || user.idVerificationUploadedAt,
+        attempts: user.idVerificationAttempts || 0,
+        documents: (user.idVerificationDocuments || []).map(document => ({
+          id: document._id,
+          originalName: document.originalName,
+          contentType: document.contentType,
+          size: document.size,
+          uploadedAt: document.uploadedAt,
+          url: document.key ? `/api/verification/documents/${user._id}/${document._id}` : null
+        }))
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
+    
   } catch (error) {
-    console.error('Get nearby profiles error:', error);
-    res.status(500).json({ error: 'Failed to get nearby profiles' });
+    console.error('Verification queue error:', error);
+    res.status(500).json({ error: 'Failed to get verification queue' });
   }
 });
 
-// Record swipe action
-app.post('/api/matches/swipe', authenticateToken, async (req, res) => {
+// Stream a verification document to a reviewer
+app.get('/api/verification/documents/:userId/:documentId', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { profileId, action } = req.body;
-    
-    if (!profileId || !['like', 'pass', 'superlike'].includes(action)) {
-      return res.status(400).json({ error: 'Invalid profile ID or action' });
-    }
+    const { userId, documentId } = req.params;
     
-    const currentUser = await User.findById(req.user.userId);
-    if (!currentUser) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ error: 'Invalid document ID' });
     }
     
-    // Add swipe to user's history
-    currentUser.swipedProfiles.push({
-      profileId: profileId,
-      action: action,
-      timestamp: new Date()
-    });
+    const user = await User.findById(userId).select('idVerificationDocuments');
+    const document = user && user.idVerificationDocuments.id(documentId);
     
-    // Track swipe activity
-    if (action === 'like') {
-      await addUserActivity(currentUser._id, 'swipe_like', 'Liked a profile');
-    } else if (action === 'pass') {
-      await addUserActivity(currentUser._id, 'swipe_pass', 'Passed on a profile');
+    if (!document || !document.key) {
+      return res.status(404).json({ error: 'Document not found' });
     }
     
-    let isMatch = false;
-    
-    // Check for match if it's a like or superlike
-    if (action === 'like' || action === 'superlike') {
-      const targetUserId = profileId.includes('_') ? profileId.split('_')[0] : profileId;
-      const targetUser = await User.findById(targetUserId);
-      
-      if (targetUser) {
-        // Check if target user has already liked current user
-        const mutualLike = targetUser.swipedProfiles.find(
-          swipe => swipe.profileId.toString() === currentUser._id.toString() && 
-          (swipe.action === 'like' || swipe.action === 'superlike')
-        );
-        
-        if (mutualLike) {
-          // It's a match!
-          isMatch = true;
-          
-          // Add match to both users
-          currentUser.matches.push({
-            matchedUserId: targetUserId,
-            timestamp: new Date()
-          });
-          
-          targetUser.matches.push({
-            matchedUserId: currentUser._id,
-            timestamp: new Date()
-          });
-          
-          // Update match statistics for both users
-          await incrementTotalMatches(currentUser._id);
-          await incrementTotalMatches(targetUserId);
-          
-          // Add match activities for both users
-          await addUserActivity(currentUser._id, 'match', `New match with ${targetUser.name}`, { 
-            relatedUserId: targetUserId, 
-            relatedUserName: targetUser.name 
-          });
-          await addUserActivity(targetUserId, 'match', `New match with ${currentUser.name}`, { 
-            relatedUserId: currentUser._id, 
-            relatedUserName: currentUser.name 
-          });
-          
-          await targetUser.save();
-        }
-      }
-    }
+    const file = await fileStorage.get(document.key);
     
-    await currentUser.save();
+    await recordAuditLog(req, 'verification.view_document', user._id, { documentId });
     
-    res.json({
-      success: true,
-      isMatch: isMatch,
-      action: action
+    // Documents stored before their type was checked are served as plain bytes
+    const documentType = sniffIdDocumentType(file);
+    res.set({
+      'Content-Type': documentType ? documentType.contentType : 'application/octet-stream',
+      'Content-Length': file.length,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
     });
+    res.send(file);
+    
   } catch (error) {
-    console.error('Swipe action error:', error);
-    res.status(500).json({ error: 'Failed to record swipe action' });
+    console.error('Get verification document error:', error);
+    res.status(500).json({ error: 'Failed to get verification document' });
   }
 });
 
-// Get user's matches
-app.get('/api/matches', authenticateToken, async (req, res) => {
+// Approve ID verification (admin only)
+app.post('/api/verification/approve/:userId', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user.userId).populate('matches.matchedUserId');
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
     
-    if (!currentUser) {
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const matches = currentUser.matches
-      .filter(match => match.isActive)
-      .map(match => ({
-        id: match.matchedUserId._id,
-        name: match.matchedUserId.name,
-        image: match.matchedUserId.profileImages[0] || '',
-        timestamp: match.timestamp,
-        lastMessage: null // TODO: Add last message from chat system
-      }));
+    if (user.idVerificationStatus !== 'pending') {
+      return res.status(400).json({ error: 'No pending verification for this user' });
+    }
+    
+    // Update verification status
+    user.idVerificationStatus = 'approved';
+    user.idVerificationApprovedAt = new Date();
+    user.idVerificationReviewedAt = new Date();
+    user.idVerificationReviewedBy = req.user.userId;
+    user.idVerificationRejectionReason = null;
+    user.isVerified = true;
+    
+    // Add verified badge
+    if (!user.badges.some(badge => badge.type === 'verified')) {
+      user.badges.push({
+        type: 'verified',
+        name: 'Verified User',
+        description: 'ID verified by PeThoria',
+        icon: 'fas fa-shield-check',
+        color: '#059669',
+        earnedAt: new Date()
+      });
+    }
+    
+    // Award verification points
+    user.points = (user.points || 0) + 50;
+    
+    await user.save();
+    
+    // Add activity
+    await addUserActivity(user._id, 'verification_completed', 'ID verification approved! +50 points', {
+      pointsEarned: 50
+    });
+    
+    realtime.publish(user._id, 'verification:status', {
+      status: 'approved',
+      pointsEarned: 50
+    });
+    
+    await recordAuditLog(req, 'verification.approve', user._id);
+    await cacheUtils.clearUserCache(user._id);
     
     res.json({
       success: true,
-      matches: matches
+      message: 'ID verification approved'
     });
+    
   } catch (error) {
-    console.error('Get matches error:', error);
-    res.status(500).json({ error: 'Failed to get matches' });
+    console.error('ID verification approval error:', error);
+    res.status(500).json({ error: 'Failed to approve ID verification' });
   }
 });
 
-// Enhanced filtered matching
-app.post('/api/matches/filtered', authenticateToken, async (req, res) => {
+// Reject ID verification with a reason shown to the user (moderators and admins)
+app.post('/api/verification/reject/:userId', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { latitude, longitude, filters, userId } = req.body;
-    const currentUser = await User.findById(req.user.userId);
+    const { reason } = req.body;
     
-    if (!currentUser) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
     }
     
-    // Get user's swiped profiles to exclude them
-    const swipedProfileIds = currentUser.swipedProfiles.map(profile => profile.profileId);
-    
-    // Build query based on filters
-    let query = {
-      _id: { 
-        $ne: currentUser._id,
-        $nin: swipedProfileIds
-      },
-      lastActive: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // Active in last 30 days
-    };
-    
-    // Add location-based filtering if coordinates provided
-    if (latitude && longitude && filters.radius) {
-      const distanceInMeters = filters.radius * 1609.34; // Convert miles to meters
-      query.location = {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [longitude, latitude]
-          },
-          $maxDistance: distanceInMeters
-        }
-      };
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A rejection reason is required' });
     }
     
-    // Add city filter
-    if (filters.city) {
-      query['locationData.city'] = new RegExp(filters.city, 'i');
-    }
+    const user = await User.findById(req.params.userId);
     
-    // Add state filter
-    if (filters.state) {
-      query['locationData.state'] = filters.state;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
     
-    // Add pet type filter
-    if (filters.petType) {
-      query['pets.type'] = filters.petType;
+    if (user.idVerificationStatus !== 'pending') {
+      return res.status(400).json({ error: 'No pending verification for this user' });
     }
     
-    // Add breed filter
-    if (filters.breed) {
-      query['pets.breed'] = new RegExp(filters.breed.replace('_', ' '), 'i');
-    }
+    user.idVerificationStatus = 'rejected';
+    user.idVerificationRejectionReason = reason.trim();
+    user.idVerificationReviewedAt = new Date();
+    user.idVerificationReviewedBy = req.user.userId;
     
-    // Add age range filter
-    if (filters.ageRange) {
-      const now = new Date();
-      let minAge, maxAge;
-      
-      switch (filters.ageRange) {
-        case 'puppy':
-          minAge = 0;
-          maxAge = 1;
-          break;
-        case 'young':
-          minAge = 1;
-          maxAge = 3;
-          break;
-        case 'adult':
-          minAge = 3;
-          maxAge = 7;
-          break;
-        case 'senior':
-          minAge = 7;
-          maxAge = 100;
-          break;
-      }
-      
-      if (minAge !== undefined && maxAge !== undefined) {
-        const maxBirthDate = new Date(now.getFullYear() - minAge, now.getMonth(), now.getDate());
-        const minBirthDate = new Date(now.getFullYear() - maxAge, now.getMonth(), now.getDate());
-        
-        query['pets.birthDate'] = {
-          $gte: minBirthDate,
-          $lte: maxBirthDate
-        };
-      }
-    }
+    await user.save();
     
-    // Find matching users
-    let matchingUsers = await User.find(query).limit(50);
+    const verification = formatVerificationStatus(user);
     
-    // Sort by real users first if prioritize is enabled
-    if (filters.prioritizeRealUsers) {
-      matchingUsers.sort((a, b) => {
-        const aIsReal = a.isVerified && a.profileImages && a.profileImages.length > 0;
-        const bIsReal = b.isVerified && b.profileImages && b.profileImages.length > 0;
-        
-        if (aIsReal && !bIsReal) return -1;
-        if (!aIsReal && bIsReal) return 1;
-        return 0;
-      });
-    }
+    // Add activity
+    await addUserActivity(user._id, 'verification_rejected', `ID verification was not approved: ${user.idVerificationRejectionReason}`);
     
-    // Format profiles for frontend
-    const formattedMatches = matchingUsers.map(user => {
-      const primaryPet = user.pets && user.pets.length > 0 ? user.pets[0] : null;
-      const distance = latitude && longitude && user.location ? 
-        calculateDistance(latitude, longitude, user.location.coordinates[1], user.location.coordinates[0]) : 
-        'Unknown';
-        
-      return {
-        id: user._id,
-        name: primaryPet ? primaryPet.name : user.name,
-        age: primaryPet && primaryPet.birthDate ? 
-          `${Math.floor((Date.now() - primaryPet.birthDate) / (365.25 * 24 * 60 * 60 * 1000))} years` : 
-          'Unknown age',
-        breed: primaryPet ? primaryPet.breed : 'Unknown breed',
-        petType: primaryPet ? primaryPet.type : 'unknown',
-        personality: primaryPet ? (primaryPet.personality || []) : [],
-        distance: typeof distance === 'number' ? `${distance.toFixed(1)} miles` : distance,
-        images: user.profileImages && user.profileImages.length > 0 ? 
-          user.profileImages : ['https://images.unsplash.com/photo-1544568100-847a948585b9?w=400'],
-        owner: {
-          name: user.name,
-          isMember: user.membershipType !== 'free',
-          isVerified: user.isVerified || false,
-          isReal: user.isVerified && user.profileImages && user.profileImages.length > 0
-        },
-        lastSeen: user.lastActive ? formatTimeAgo(user.lastActive) : 'Unknown',
-        isRealUser: user.isVerified && user.profileImages && user.profileImages.length > 0
-      };
+    realtime.publish(user._id, 'verification:status', {
+      status: 'rejected',
+      reason: user.idVerificationRejectionReason,
+      attemptsRemaining: verification.attemptsRemaining
     });
     
+    await recordAuditLog(req, 'verification.reject', user._id, { reason: user.idVerificationRejectionReason });
+    await cacheUtils.clearUserCache(user._id);
+    
     res.json({
       success: true,
-      matches: formattedMatches,
-      count: formattedMatches.length,
-      filters: filters
+      message: 'ID verification rejected',
+      verification
     });
     
   } catch (error) {
-    console.error('Filtered matching error:', error);
-    res.status(500).json({ error: 'Failed to get filtered matches' });
+    console.error('ID verification rejection error:', error);
+    res.status(500).json({ error: 'Failed to reject ID verification' });
   }
 });
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+// ==================== ADMIN ROUTES ====================
+
+// Helper function to escape user input before using it in a RegExp
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// Helper function to format time ago
-function formatTimeAgo(date) {
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  const diffDays = Math.floor(diffMs / 86400000);
+// Helper function to format a user for the admin panel
+function formatAdminUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    username: user.username,
+    profilePicture: user.profilePicture,
+    role: user.role || 'user',
+    accountStatus: user.accountStatus || 'active',
+    accountStatusReason: user.accountStatusReason,
+    suspendedUntil: user.suspendedUntil,
+    isVerified: user.isVerified,
+    idVerificationStatus: user.idVerificationStatus,
+    membershipType: user.membershipType,
+    createdAt: user.createdAt,
+    lastActive: user.lastActive
+  };
+}
+
+// Load the target of a moderation action, making sure the acting user
+// outranks them. Sends the error response and returns null on failure.
+async function loadModerationTarget(req, res) {
+  const { userId } = req.params;
   
-  if (diffMins < 60) return `${diffMins} min ago`;
-  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
-  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
-  return date.toLocaleDateString();
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return null;
+  }
+  
+  if (userId === req.user.userId.toString()) {
+    res.status(400).json({ error: 'You cannot perform this action on your own account' });
+    return null;
+  }
+  
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  
+  if (ROLE_LEVELS[user.role || 'user'] >= ROLE_LEVELS[req.user.role]) {
+    res.status(403).json({ error: 'You cannot moderate a user with the same or a higher role' });
+    return null;
+  }
+  
+  return user;
 }
 
-// Update user preferences
-app.post('/api/preferences/update', authenticateToken, async (req, res) => {
+// List users (searchable by name, email or username)
+app.get('/api/admin/users', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { distance, ageRange, petType } = req.body;
-    
-    const updateData = {};
-    if (distance) updateData['preferences.distance'] = distance;
-    if (ageRange) updateData['preferences.ageRange'] = ageRange;
-    if (petType) updateData['preferences.petType'] = petType;
-    
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      updateData,
-      { new: true }
-    );
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { search, role, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+    
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { username: pattern }];
+    }
+    if (role) {
+      if (!ROLE_LEVELS.hasOwnProperty(role)) {
+        return res.status(400).json({ error: 'Invalid role' });
+      }
+      query.role = role === 'user' ? { $in: ['user', null] } : role;
     }
+    if (status) {
+      if (!['active', 'suspended', 'banned'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid account status' });
+      }
+      query.accountStatus = status === 'active' ? { $in: ['active', null] } : status;
+    }
+    
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('email name username profilePicture role accountStatus accountStatusReason suspendedUntil isVerified idVerificationStatus membershipType createdAt lastActive')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      preferences: user.preferences
+      users: users.map(formatAdminUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
+    
   } catch (error) {
-    console.error('Update preferences error:', error);
-    res.status(500).json({ error: 'Failed to update preferences' });
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
   }
 });
 
-// ==================== PAYMENT PROCESSING ROUTES ====================
-
-// Stripe Payment Processing
-app.post('/api/payments/stripe', authenticateToken, async (req, res) => {
+// Get a single user with their moderation history
+app.get('/api/admin/users/:userId', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { token, plan, amount } = req.body;
-    const user = await User.findById(req.user.userId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
     
+    const user = await User.findById(req.params.userId).select('-password');
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Create Stripe charge
-    const charge = await stripe.charges.create({
-      amount: amount, // Amount in cents
-      currency: 'usd',
-      source: token,
-      description: `PeThoria Premium - ${plan} plan`,
-      metadata: {
-        userId: user._id.toString(),
-        plan: plan,
-        email: user.email
-      }
-    });
+    const history = await AuditLog.find({ targetUserId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('actorId', 'name email');
     
-    if (charge.status === 'succeeded') {
-      // Update user membership
-      await updateUserMembership(user._id, plan, 'stripe', charge.id);
-      
-      res.json({
-        success: true,
-        chargeId: charge.id,
-        message: 'Payment successful'
-      });
-    } else {
-      res.status(400).json({ error: 'Payment failed' });
-    }
+    res.json({
+      success: true,
+      user: formatAdminUser(user),
+      history: history.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        actor: entry.actorId ? { id: entry.actorId._id, name: entry.actorId.name, email: entry.actorId.email } : null,
+        details: entry.details,
+        timestamp: entry.createdAt
+      }))
+    });
     
   } catch (error) {
-    console.error('Stripe payment error:', error);
-    res.status(500).json({ error: 'Payment processing failed' });
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Failed to get user' });
   }
 });
 
-// PayPal Payment Processing
-app.post('/api/payments/paypal', authenticateToken, async (req, res) => {
+// Change a user's role (admins only)
+app.put('/api/admin/users/:userId/role', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const { orderID, plan, amount } = req.body;
-    const user = await User.findById(req.user.userId);
+    const { role } = req.body;
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!ROLE_LEVELS.hasOwnProperty(role)) {
+      return res.status(400).json({ error: 'Role must be one of user, moderator or admin' });
     }
     
-    // Verify PayPal payment (implement PayPal API verification)
-    // For now, we'll assume the payment is valid since PayPal handled it
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
+    
+    const previousRole = user.role || 'user';
+    user.role = role;
+    await user.save();
     
-    // Update user membership
-    await updateUserMembership(user._id, plan, 'paypal', orderID);
+    await cacheUtils.clearUserCache(user._id);
+    await recordAuditLog(req, 'user.role_change', user._id, { from: previousRole, to: role });
     
     res.json({
       success: true,
-      orderId: orderID,
-      message: 'PayPal payment successful'
+      message: `Role changed to ${role}`,
+      user: formatAdminUser(user)
     });
     
   } catch (error) {
-    console.error('PayPal payment error:', error);
-    res.status(500).json({ error: 'PayPal payment processing failed' });
+    console.error('Admin change role error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
   }
 });
 
-// ==================== MEMBERSHIP MANAGEMENT ROUTES ====================
-
-// Activate membership
-app.post('/api/membership/activate', authenticateToken, async (req, res) => {
+// Suspend an account for a number of days
+app.post('/api/admin/users/:userId/suspend', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { plan, amount } = req.body;
-    const user = await User.findById(req.user.userId);
+    const { reason } = req.body;
+    const durationDays = parseInt(req.body.durationDays) || 7;
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
     }
     
-    // Update user membership status
-    user.membershipType = 'premium';
-    user.membershipStatus = 'active';
-    user.membershipPlan = plan;
-    user.membershipStartDate = new Date();
-    
-    // Set expiration date based on plan
-    if (plan === 'monthly') {
-      user.membershipEndDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-    } else if (plan === 'yearly') {
-      user.membershipEndDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
-    } else if (plan === 'lifetime') {
-      user.membershipEndDate = new Date('2099-12-31');
+    if (durationDays < 1 || durationDays > 365) {
+      return res.status(400).json({ error: 'Suspension must last between 1 and 365 days' });
     }
     
-    // Add premium member badge
-    if (!user.badges.some(badge => badge.type === 'premium_member')) {
-      user.badges.push({
-        type: 'premium_member',
-        name: 'Premium Member',
-        description: 'Active premium subscription',
-        icon: 'fas fa-crown',
-        color: '#fbbf24',
-        earnedAt: new Date()
-      });
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
+    
+    if (user.accountStatus === 'banned') {
+      return res.status(400).json({ error: 'User is already banned' });
     }
     
+    user.accountStatus = 'suspended';
+    user.accountStatusReason = reason.trim();
+    user.suspendedUntil = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000);
     await user.save();
     
-    // Add activity
-    await addUserActivity(user._id, 'membership', `Activated ${plan} premium membership`);
+    await cacheUtils.clearUserCache(user._id);
+    await recordAuditLog(req, 'user.suspend', user._id, {
+      reason: user.accountStatusReason,
+      durationDays,
+      suspendedUntil: user.suspendedUntil
+    });
     
     res.json({
       success: true,
-      membership: {
-        type: user.membershipType,
-        status: user.membershipStatus,
-        plan: user.membershipPlan,
-        startDate: user.membershipStartDate,
-        endDate: user.membershipEndDate
-      }
+      message: `User suspended for ${durationDays} day${durationDays !== 1 ? 's' : ''}`,
+      user: formatAdminUser(user)
     });
     
   } catch (error) {
-    console.error('Membership activation error:', error);
-    res.status(500).json({ error: 'Failed to activate membership' });
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
   }
 });
 
-// Cancel membership
-app.post('/api/membership/cancel', authenticateToken, async (req, res) => {
+// Permanently ban an account (admins only)
+app.post('/api/admin/users/:userId/ban', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
+    const { reason } = req.body;
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
     }
     
-    // Update membership status
-    user.membershipStatus = 'cancelled';
-    user.membershipCancelledAt = new Date();
-    
-    // Remove premium badge
-    user.badges = user.badges.filter(badge => badge.type !== 'premium_member');
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
     
+    user.accountStatus = 'banned';
+    user.accountStatusReason = reason.trim();
+    user.suspendedUntil = undefined;
     await user.save();
+    await revokeAllSessions(user._id, 'banned');
     
-    // Add activity
-    await addUserActivity(user._id, 'membership', 'Cancelled premium membership');
+    await cacheUtils.clearUserCache(user._id);
+    await recordAuditLog(req, 'user.ban', user._id, { reason: user.accountStatusReason });
     
     res.json({
       success: true,
-      message: 'Membership cancelled successfully'
+      message: 'User banned',
+      user: formatAdminUser(user)
     });
     
   } catch (error) {
-    console.error('Membership cancellation error:', error);
-    res.status(500).json({ error: 'Failed to cancel membership' });
+    console.error('Admin ban user error:', error);
+    res.status(500).json({ error: 'Failed to ban user' });
   }
 });
 
-// ==================== CONTACT FORM ROUTES ====================
-
-// Submit contact form
-app.post('/api/contact/submit', async (req, res) => {
+// Lift a suspension (moderators) or ban (admins only)
+app.post('/api/admin/users/:userId/reinstate', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { firstName, lastName, email, phone, subject, message, newsletter } = req.body;
+    const user = await loadModerationTarget(req, res);
+    if (!user) return;
     
-    // Validate required fields
-    if (!firstName || !lastName || !email || !subject || !message) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (user.accountStatus === 'active') {
+      return res.status(400).json({ error: 'User is not suspended or banned' });
     }
     
-    // Create contact submission record
-    const contactSubmission = {
-      firstName,
-      lastName,
-      email,
-      phone,
-      subject,
-      message,
-      newsletter,
-      timestamp: new Date(),
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      status: 'pending'
-    };
-    
-    // In a real app, you'd save this to a ContactSubmission model
-    // For now, we'll log it and send an email notification
-    
-    console.log('📧 Contact form submission:', contactSubmission);
+    if (user.accountStatus === 'banned' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can lift a ban' });
+    }
     
-    // TODO: Send email notification to support team
-    // TODO: Add to support ticket system
+    const previousStatus = user.accountStatus;
+    user.accountStatus = 'active';
+    user.accountStatusReason = undefined;
+    user.suspendedUntil = undefined;
+    await user.save();
     
-    // If user wants newsletter, add to mailing list
-    if (newsletter) {
-      // TODO: Add to mailing list service (Mailchimp, etc.)
-    }
+    await cacheUtils.clearUserCache(user._id);
+    await recordAuditLog(req, 'user.reinstate', user._id, { from: previousStatus, note: req.body.note });
     
     res.json({
       success: true,
-      message: 'Contact form submitted successfully',
-      ticketId: `TICKET-${Date.now()}`
+      message: 'User reinstated',
+      user: formatAdminUser(user)
     });
     
   } catch (error) {
-    console.error('Contact form error:', error);
-    res.status(500).json({ error: 'Failed to submit contact form' });
+    console.error('Admin reinstate user error:', error);
+    res.status(500).json({ error: 'Failed to reinstate user' });
   }
 });
 
-// Send confirmation email
-app.post('/api/contact/confirmation', async (req, res) => {
+// Helper function to format a report for the moderation queue
+function formatReport(report, openReportCounts = new Map()) {
+  const summarize = user => user && user._id ? {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    accountStatus: user.accountStatus || 'active'
+  } : null;
+  
+  return {
+    id: report._id,
+    category: report.category,
+    details: report.details,
+    status: report.status,
+    reporter: summarize(report.reporterId),
+    reportedUser: summarize(report.reportedUserId),
+    openReportsAgainstUser: report.reportedUserId && report.reportedUserId._id
+      ? openReportCounts.get(report.reportedUserId._id.toString()) || 0
+      : 0,
+    resolution: report.resolution,
+    reviewedBy: report.reviewedBy,
+    reviewedAt: report.reviewedAt,
+    createdAt: report.createdAt
+  };
+}
+
+// Moderation queue: open reports oldest first (or filter by status, category or reported user)
+app.get('/api/admin/reports', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { email } = req.body;
+    const { status = 'open', category, reportedUserId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
     
-    // TODO: Send confirmation email
-    console.log(`📧 Sending confirmation email to: ${email}`);
+    if (!['open', 'resolved', 'dismissed', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Use open, resolved, dismissed or all' });
+    }
+    
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (category) {
+      if (!Report.CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: 'Invalid category' });
+      }
+      query.category = category;
+    }
+    if (reportedUserId) {
+      if (!mongoose.Types.ObjectId.isValid(reportedUserId)) {
+        return res.status(400).json({ error: 'Invalid reportedUserId' });
+      }
+      query.reportedUserId = reportedUserId;
+    }
+    
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reporterId', 'name email accountStatus')
+        .populate('reportedUserId', 'name email accountStatus'),
+      Report.countDocuments(query)
+    ]);
+    
+    // Repeat offenders stand out in the queue
+    const reportedIds = reports.filter(report => report.reportedUserId).map(report => report.reportedUserId._id);
+    const counts = await Report.aggregate([
+      { $match: { reportedUserId: { $in: reportedIds }, status: 'open' } },
+      { $group: { _id: '$reportedUserId', count: { $sum: 1 } } }
+    ]);
+    const openReportCounts = new Map(counts.map(count => [count._id.toString(), count.count]));
     
     res.json({
       success: true,
-      message: 'Confirmation email sent'
+      reports: reports.map(report => formatReport(report, openReportCounts)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
     
   } catch (error) {
-    console.error('Confirmation email error:', error);
-    res.status(500).json({ error: 'Failed to send confirmation email' });
+    console.error('Admin list reports error:', error);
+    res.status(500).json({ error: 'Failed to list reports' });
   }
 });
 
-// ==================== MESSAGING SYSTEM ROUTES ====================
-
-// Send message (only for matched users or premium members)
-app.post('/api/messages/send', authenticateToken, async (req, res) => {
+// Close a report. Acting on the reported user (suspend, ban) goes through
+// the user moderation endpoints; this records the outcome.
+// Body: { status: 'resolved' | 'dismissed', resolution }
+app.put('/api/admin/reports/:reportId', authenticateToken, requireRole('moderator'), async (req, res) => {
   try {
-    const { recipientId, message } = req.body;
-    const sender = await User.findById(req.user.userId);
-    const recipient = await User.findById(recipientId);
+    const { status, resolution } = req.body;
     
-    if (!sender || !recipient) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.reportId)) {
+      return res.status(400).json({ error: 'Invalid report ID' });
     }
     
-    // Check if users are matched or if sender is premium
-    const isMatched = sender.matches.some(match => 
-      match.matchedUserId.toString() === recipientId && match.isActive
-    );
-    
-    const isPremium = sender.membershipType === 'premium' && sender.membershipStatus === 'active';
-    
-    if (!isMatched && !isPremium) {
-      return res.status(403).json({ error: 'Can only message matched users unless you have premium membership' });
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be resolved or dismissed' });
     }
     
-    // Create message record (implement Message model)
-    const messageData = {
-      senderId: sender._id,
-      recipientId: recipient._id,
-      message: message,
-      timestamp: new Date(),
-      isRead: false
-    };
+    if (resolution !== undefined && (typeof resolution !== 'string' || resolution.length > 1000)) {
+      return res.status(400).json({ error: 'Resolution must be text of up to 1000 characters' });
+    }
     
-    // TODO: Save to Message model
-    console.log('💌 Message sent:', messageData);
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.reportId, status: 'open' },
+      {
+        status,
+        resolution: resolution ? resolution.trim() : undefined,
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
     
-    // Update message count
-    await incrementMessageCount(sender._id);
+    if (!report) {
+      const exists = await Report.exists({ _id: req.params.reportId });
+      return exists
+        ? res.status(409).json({ error: 'Report has already been reviewed' })
+        : res.status(404).json({ error: 'Report not found' });
+    }
     
-    // Add activity
-    await addUserActivity(sender._id, 'message', `Sent message to ${recipient.name}`, {
-      relatedUserId: recipient._id,
-      relatedUserName: recipient.name
+    await recordAuditLog(req, `report.${status === 'resolved' ? 'resolve' : 'dismiss'}`, report.reportedUserId, {
+      reportId: report._id,
+      category: report.category,
+      resolution: report.resolution
     });
     
+    await report.populate([
+      { path: 'reporterId', select: 'name email accountStatus' },
+      { path: 'reportedUserId', select: 'name email accountStatus' }
+    ]);
+    
     res.json({
       success: true,
-      message: 'Message sent successfully'
+      message: `Report ${status}`,
+      report: formatReport(report)
     });
     
   } catch (error) {
-    console.error('Send message error:', error);
-    res.status(500).json({ error: 'Failed to send message' });
+    console.error('Admin review report error:', error);
+    res.status(500).json({ error: 'Failed to review report' });
   }
 });
 
-// Get conversation history
-app.get('/api/messages/conversation/:userId', authenticateToken, async (req, res) => {
+// Browse the audit log (admins only)
+app.get('/api/admin/audit-log', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const currentUser = await User.findById(req.user.userId);
-    
-    if (!currentUser) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    // Check if users are matched or if current user is premium
-    const isMatched = currentUser.matches.some(match => 
-      match.matchedUserId.toString() === userId && match.isActive
-    );
-    
-    const isPremium = currentUser.membershipType === 'premium' && currentUser.membershipStatus === 'active';
-    
-    if (!isMatched && !isPremium) {
-      return res.status(403).json({ error: 'Can only view conversations with matched users unless you have premium membership' });
+    const { actorId, targetUserId, action } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const query = {};
+    for (const [field, value] of [['actorId', actorId], ['targetUserId', targetUserId]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ error: `Invalid ${field}` });
+        }
+        query[field] = value;
+      }
     }
-    
-    // TODO: Fetch messages from Message model
-    const messages = []; // Placeholder
+    if (action) query.action = String(action);
+    
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actorId', 'name email')
+        .populate('targetUserId', 'name email'),
+      AuditLog.countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      messages: messages
+      entries: entries.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        actor: entry.actorId ? { id: entry.actorId._id, name: entry.actorId.name, email: entry.actorId.email } : null,
+        actorRole: entry.actorRole,
+        target: entry.targetUserId ? { id: entry.targetUserId._id, name: entry.targetUserId.name, email: entry.targetUserId.email } : null,
+        details: entry.details,
+        ipAddress: entry.ipAddress,
+        timestamp: entry.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
     
   } catch (error) {
-    console.error('Get conversation error:', error);
-    res.status(500).json({ error: 'Failed to get conversation' });
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
   }
 });
 
-// ==================== ID VERIFICATION & BADGES ROUTES ====================
+// A payment as an admin sees it in the ledger
+function formatAdminTransaction(transaction) {
+  const user = transaction.userId && transaction.userId._id ? transaction.userId : null;
+  return {
+    ...formatTransaction(transaction),
+    user: user ? { id: user._id, name: user.name, email: user.email } : { id: transaction.userId },
+    captureId: transaction.captureId,
+    history: transaction.history
+  };
+}
 
-// Submit ID verification
-app.post('/api/verification/submit-id', authenticateToken, upload.array('documents', 2), async (req, res) => {
+// Search the payment ledger (admins only). search matches a provider
+// reference or capture id exactly, or the paying user's name or email.
+app.get('/api/admin/transactions', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { search, provider, status, plan, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const query = {};
+    if (provider) {
+      if (!['stripe', 'paypal', 'square', 'legacy'].includes(provider)) {
+        return res.status(400).json({ error: 'Invalid provider' });
+      }
+      query.provider = provider;
     }
-    
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'ID documents are required' });
+    if (status) {
+      if (!Transaction.STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+      query.status = status;
+    }
+    if (plan) {
+      if (!getPlan(plan)) {
+        return res.status(400).json({ error: 'Invalid plan' });
+      }
+      query.plan = plan;
+    }
+    for (const [field, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+      if (value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ error: `Invalid ${field} date` });
+        }
+        query.createdAt = { ...query.createdAt, [operator]: date };
+      }
+    }
+    if (search) {
+      const text = String(search).trim();
+      const pattern = new RegExp(escapeRegex(text), 'i');
+      const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] }).select('_id').limit(100);
+      query.$or = [
+        { providerReference: text },
+        { captureId: text },
+        { userId: { $in: users.map(user => user._id) } }
+      ];
     }
     
-    // Process uploaded documents
-    const documents = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      path: file.path,
-      size: file.size,
-      uploadedAt: new Date()
-    }));
-    
-    // Update user verification status
-    user.idVerificationStatus = 'pending';
-    user.idVerificationDocuments = documents;
-    user.idVerificationSubmittedAt = new Date();
-    
-    await user.save();
-    
-    // Add activity
-    await addUserActivity(user._id, 'verification_submitted', 'Submitted ID verification documents');
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .select('-rawPayload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'name email')
+        .lean(),
+      Transaction.countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      message: 'ID verification submitted successfully',
-      status: 'pending'
+      transactions: transactions.map(formatAdminTransaction),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
     
   } catch (error) {
-    console.error('ID verification submission error:', error);
-    res.status(500).json({ error: 'Failed to submit ID verification' });
+    console.error('Admin list transactions error:', error);
+    res.status(500).json({ error: 'Failed to list transactions' });
   }
 });
 
-// Approve ID verification (admin only)
-app.post('/api/verification/approve/:userId', authenticateToken, async (req, res) => {
+// A single payment, with the provider's raw payload
+app.get('/api/admin/transactions/:transactionId', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    // TODO: Add admin authentication check
-    
-    const user = await User.findById(req.params.userId);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.transactionId)) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
     }
     
-    // Update verification status
-    user.idVerificationStatus = 'approved';
-    user.idVerificationApprovedAt = new Date();
-    user.isVerified = true;
-    
-    // Add verified badge
-    if (!user.badges.some(badge => badge.type === 'verified')) {
-      user.badges.push({
-        type: 'verified',
-        name: 'Verified User',
-        description: 'ID verified by PeThoria',
-        icon: 'fas fa-shield-check',
-        color: '#059669',
-        earnedAt: new Date()
-      });
+    const transaction = await Transaction.findById(req.params.transactionId).populate('userId', 'name email').lean();
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
     }
     
-    // Award verification points
-    user.points = (user.points || 0) + 50;
-    
-    await user.save();
-    
-    // Add activity
-    await addUserActivity(user._id, 'verification_completed', 'ID verification approved! +50 points', {
-      pointsEarned: 50
-    });
-    
     res.json({
       success: true,
-      message: 'ID verification approved'
+      transaction: {
+        ...formatAdminTransaction(transaction),
+        rawPayload: transaction.rawPayload
+      }
     });
     
   } catch (error) {
-    console.error('ID verification approval error:', error);
-    res.status(500).json({ error: 'Failed to approve ID verification' });
+    console.error('Admin get transaction error:', error);
+    res.status(500).json({ error: 'Failed to get transaction' });
   }
 });
 
-// Helper function to update user membership
-async function updateUserMembership(userId, plan, paymentMethod, transactionId) {
-  const user = await User.findById(userId);
-  
-  if (!user) {
-    throw new Error('User not found');
-  }
-  
-  user.membershipType = 'premium';
-  user.membershipStatus = 'active';
-  user.membershipPlan = plan;
-  user.membershipStartDate = new Date();
-  user.paymentMethod = paymentMethod;
-  user.lastTransactionId = transactionId;
-  
-  // Set expiration date
-  if (plan === 'monthly') {
-    user.membershipEndDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-  } else if (plan === 'yearly') {
-    user.membershipEndDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
-  } else if (plan === 'lifetime') {
-    user.membershipEndDate = new Date('2099-12-31');
-  }
-  
-  // Add premium badge
-  if (!user.badges.some(badge => badge.type === 'premium_member')) {
-    user.badges.push({
-      type: 'premium_member',
-      name: 'Premium Member',
-      description: 'Active premium subscription',
-      icon: 'fas fa-crown',
-      color: '#fbbf24',
-      earnedAt: new Date()
-    });
-  }
-  
-  await user.save();
-  
-  // Add activity
-  await addUserActivity(userId, 'membership', `Activated ${plan} premium membership via ${paymentMethod}`);
-}
-
 // ==================== ANALYTICS ENDPOINTS ====================
 
 // Get comprehensive user analytics for dashboard
@@ -2056,7 +6377,7 @@ app.get('/api/analytics/user', authenticateToken, async (req, res) => {
 });
 
 // Get platform-wide analytics (for admin/overview)
-app.get('/api/analytics/platform', async (req, res) => {
+app.get('/api/analytics/platform', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     // Get platform statistics
     const totalUsers = await User.countDocuments();
@@ -2182,6 +6503,20 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Upload errors raised by multer before a route runs
+  if (err instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: 'File is too large. Maximum size is 10MB',
+      LIMIT_FILE_COUNT: 'Too many files uploaded',
+      LIMIT_UNEXPECTED_FILE: 'Too many files or unexpected file field'
+    };
+    return res.status(400).json({ error: messages[err.code] || err.message, code: err.code });
+  }
+  
+  if (err instanceof ImageProcessingError) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
+  
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -2236,7 +6571,26 @@ async function fixUsernamesOnStartup() {
   }
 }
 
-app.listen(PORT, '0.0.0.0', async () => {
+// Function to grant the admin role to the accounts listed in ADMIN_EMAILS
+async function promoteConfiguredAdmins() {
+  if (!process.env.ADMIN_EMAILS) return;
+  
+  try {
+    const emails = process.env.ADMIN_EMAILS.split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+    const result = await User.updateMany(
+      { email: { $in: emails }, role: { $ne: 'admin' } },
+      { role: 'admin' }
+    );
+    
+    if (result.modifiedCount > 0) {
+      console.log(`👑 Granted admin role to ${result.modifiedCount} account(s) from ADMIN_EMAILS`);
+    }
+  } catch (error) {
+    console.error('❌ Error promoting configured admins:', error);
+  }
+}
+
+const server = app.listen(PORT, '0.0.0.0', async () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
   console.log(`MongoDB connected: ${mongoose.connection.readyState === 1 ? 'Yes' : 'No'}`);
@@ -2246,4 +6600,15 @@ app.listen(PORT, '0.0.0.0', async () => {
   
   // Run username fix on startup
   await fixUsernamesOnStartup();
+  await promoteConfiguredAdmins();
+  
+  startSavedSearchAlerts();
+  startMembershipLifecycle();
 }); 
+
+// Real-time channel for messages, typing indicators, matches and verification updates
+realtime.attach(server, {
+  authorizeTyping: canSendTyping,
+  // Revoked sessions can't open new sockets with their leftover access tokens
+  authorizeConnection: (user) => !user.sid || isSessionActive(user.sid)
+});
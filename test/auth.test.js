@@ -0,0 +1,286 @@
+// Email/password sign-up, verification, password reset and sessions, end to
+// end against the real server, a real (in-memory) MongoDB and the file mail
+// driver.
+// Run with: npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const PASSWORD = 'correct-horse-1';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+let mongod;
+let server;
+let baseUrl;
+let outbox;
+let tmpDir;
+
+const api = async (method, route, body, token) => {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// The newest email sent to an address, and the token in its link
+const lastEmailTo = async (email) => {
+  const files = (await fs.readdir(outbox).catch(() => [])).sort();
+  for (const file of files.reverse()) {
+    const message = JSON.parse(await fs.readFile(path.join(outbox, file), 'utf8'));
+    if (message.to === email) {
+      const match = message.text.match(/token=([^\s&]+)/);
+      return { ...message, token: match && match[1] };
+    }
+  }
+  return null;
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Register and sign in, resolving to the sign-in response
+const register = async (email) => {
+  const result = await api('POST', '/api/auth/register', { email, name: 'Test User', password: PASSWORD });
+  assert.strictEqual(result.status, 201, JSON.stringify(result.body));
+
+  const signedIn = await api('POST', '/api/auth/login', { email, password: PASSWORD });
+  assert.strictEqual(signedIn.status, 200, JSON.stringify(signedIn.body));
+  return signedIn.body;
+};
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pethoria-auth-'));
+  outbox = path.join(tmpDir, 'mail');
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      MONGODB_URI: mongod.getUri(),
+      REDIS_URL: '',
+      JWT_SECRET: 'test-secret',
+      REFRESH_REUSE_GRACE: '1', // seconds
+      MAIL_DRIVER: 'file',
+      MAIL_FILE_DIR: outbox,
+      STORAGE_DRIVER: 'local',
+      STORAGE_LOCAL_DIR: path.join(tmpDir, 'uploads')
+    },
+    stdio: 'ignore'
+  });
+
+  // Wait for the server to be up and connected to MongoDB
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const health = await fetch(`${baseUrl}/health`).then(response => response.json()).catch(() => null);
+    if (health && health.mongodb === 'connected') return;
+    await wait(200);
+  }
+  throw new Error('Server did not start');
+});
+
+after(async () => {
+  if (server) server.kill();
+  if (mongod) await mongod.stop();
+  if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('email auth', () => {
+  it('registers an unverified account and emails a verification link', async () => {
+    const body = await register('new@example.com');
+
+    assert.ok(body.token);
+    assert.ok(body.refreshToken);
+    assert.strictEqual(body.user.emailVerified, false);
+
+    const email = await lastEmailTo('new@example.com');
+    assert.ok(email, 'no verification email was sent');
+    assert.ok(email.token);
+  });
+
+  it('answers a taken address like a new one and emails its owner', async () => {
+    const fresh = await api('POST', '/api/auth/register', { email: 'taken@example.com', name: 'Owner', password: PASSWORD });
+    const taken = await api('POST', '/api/auth/register', { email: 'TAKEN@example.com', name: 'Again', password: 'other-password-1' });
+    assert.strictEqual(fresh.status, 201);
+    assert.deepStrictEqual(taken, fresh);
+
+    const notice = await lastEmailTo('taken@example.com');
+    assert.strictEqual(notice.subject, 'You already have a PeThoria account');
+
+    // The original password still signs in
+    const signedIn = await api('POST', '/api/auth/login', { email: 'taken@example.com', password: PASSWORD });
+    assert.strictEqual(signedIn.status, 200);
+  });
+
+  it('verifies the email once with the emailed token', async () => {
+    await register('verify@example.com');
+    const { token } = await lastEmailTo('verify@example.com');
+
+    const verified = await api('POST', '/api/auth/verify-email', { token });
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.user.emailVerified, true);
+
+    const reused = await api('POST', '/api/auth/verify-email', { token });
+    assert.strictEqual(reused.status, 400);
+  });
+
+  it('signs in with the password and gives one answer for every failed sign-in', async () => {
+    await register('login@example.com');
+
+    const ok = await api('POST', '/api/auth/login', { email: 'login@example.com', password: PASSWORD });
+    assert.strictEqual(ok.status, 200);
+
+    const wrongPassword = await api('POST', '/api/auth/login', { email: 'login@example.com', password: 'wrong-password-1' });
+    const unknownEmail = await api('POST', '/api/auth/login', { email: 'nobody@example.com', password: PASSWORD });
+    assert.strictEqual(wrongPassword.status, 401);
+    assert.deepStrictEqual(unknownEmail, wrongPassword);
+  });
+
+  it('resets the password with a one-time link and signs out old sessions', async () => {
+    const { token: oldAccessToken } = await register('reset@example.com');
+
+    const requested = await api('POST', '/api/auth/forgot-password', { email: 'reset@example.com' });
+    const unknown = await api('POST', '/api/auth/forgot-password', { email: 'nobody@example.com' });
+    assert.strictEqual(requested.status, 200);
+    assert.deepStrictEqual(unknown, requested);
+
+    const { token } = await lastEmailTo('reset@example.com');
+    const reset = await api('POST', '/api/auth/reset-password', { token, password: 'new-password-2' });
+    assert.strictEqual(reset.status, 200);
+
+    const reused = await api('POST', '/api/auth/reset-password', { token, password: 'new-password-3' });
+    assert.strictEqual(reused.status, 400);
+
+    const oldPassword = await api('POST', '/api/auth/login', { email: 'reset@example.com', password: PASSWORD });
+    const newPassword = await api('POST', '/api/auth/login', { email: 'reset@example.com', password: 'new-password-2' });
+    assert.strictEqual(oldPassword.status, 401);
+    assert.strictEqual(newPassword.status, 200);
+
+    const oldSession = await api('GET', '/api/auth/sessions', null, oldAccessToken);
+    assert.strictEqual(oldSession.status, 401);
+  });
+
+  it('changes the password only with the current one', async () => {
+    const { token } = await register('change@example.com');
+
+    const wrong = await api('POST', '/api/auth/set-password', { currentPassword: 'wrong-password-1', password: 'new-password-2' }, token);
+    assert.strictEqual(wrong.status, 401);
+
+    const changed = await api('POST', '/api/auth/set-password', { currentPassword: PASSWORD, password: 'new-password-2' }, token);
+    assert.strictEqual(changed.status, 200);
+
+    const signedIn = await api('POST', '/api/auth/login', { email: 'change@example.com', password: 'new-password-2' });
+    assert.strictEqual(signedIn.status, 200);
+
+    const notice = await lastEmailTo('change@example.com');
+    assert.strictEqual(notice.subject, 'Your PeThoria password was changed');
+  });
+});
+
+describe('sessions', () => {
+  const login = async (email) => {
+    const result = await api('POST', '/api/auth/login', { email, password: PASSWORD });
+    assert.strictEqual(result.status, 200, JSON.stringify(result.body));
+    return result.body;
+  };
+
+  const refresh = refreshToken => api('POST', '/api/auth/refresh', { refreshToken });
+
+  const isSignedIn = async (accessToken) => (await api('GET', '/api/auth/sessions', null, accessToken)).status === 200;
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken } = await register('rotate@example.com');
+
+    const first = await refresh(refreshToken);
+    assert.strictEqual(first.status, 200);
+    assert.notStrictEqual(first.body.refreshToken, refreshToken);
+    assert.ok(await isSignedIn(first.body.token));
+
+    const second = await refresh(first.body.refreshToken);
+    assert.strictEqual(second.status, 200);
+    assert.notStrictEqual(second.body.refreshToken, first.body.refreshToken);
+  });
+
+  it('lets a concurrent refresh replay the old token without signing out', async () => {
+    const { refreshToken } = await register('concurrent@example.com');
+
+    const rotated = await refresh(refreshToken);
+    const replayed = await refresh(refreshToken);
+
+    assert.strictEqual(replayed.status, 401);
+    assert.strictEqual(replayed.body.code, 'invalid_refresh_token');
+    assert.ok(await isSignedIn(rotated.body.token));
+    assert.strictEqual((await refresh(rotated.body.refreshToken)).status, 200);
+  });
+
+  it('revokes the session when a spent refresh token is reused', async () => {
+    const { refreshToken } = await register('reuse@example.com');
+    const rotated = await refresh(refreshToken);
+
+    await wait(1100); // past REFRESH_REUSE_GRACE
+    const reused = await refresh(refreshToken);
+    assert.strictEqual(reused.status, 401);
+
+    // Both the thief's and the owner's tokens are dead
+    assert.strictEqual((await refresh(rotated.body.refreshToken)).status, 401);
+    const revoked = await api('GET', '/api/auth/sessions', null, rotated.body.token);
+    assert.strictEqual(revoked.status, 401);
+    assert.strictEqual(revoked.body.code, 'session_revoked');
+  });
+
+  it('signs out one device on logout', async () => {
+    await register('logout@example.com');
+    const phone = await login('logout@example.com');
+    const laptop = await login('logout@example.com');
+
+    const loggedOut = await api('POST', '/api/auth/logout', { refreshToken: phone.refreshToken });
+    assert.strictEqual(loggedOut.status, 200);
+
+    assert.strictEqual(await isSignedIn(phone.token), false);
+    assert.strictEqual((await refresh(phone.refreshToken)).status, 401);
+    assert.ok(await isSignedIn(laptop.token));
+  });
+
+  it('lists devices and signs out all of them', async () => {
+    const registered = await register('everywhere@example.com');
+    const phone = await login('everywhere@example.com');
+    const laptop = await login('everywhere@example.com');
+
+    const listed = await api('GET', '/api/auth/sessions', null, laptop.token);
+    assert.strictEqual(listed.body.sessions.length, 3);
+    assert.strictEqual(listed.body.sessions.filter(session => session.isCurrent).length, 1);
+
+    const keptCurrent = await api('POST', '/api/auth/logout-all', { keepCurrent: true }, laptop.token);
+    assert.strictEqual(keptCurrent.body.sessionsRevoked, 2);
+    assert.strictEqual(await isSignedIn(registered.token), false);
+    assert.strictEqual(await isSignedIn(phone.token), false);
+    assert.ok(await isSignedIn(laptop.token));
+
+    const all = await api('POST', '/api/auth/logout-all', {}, laptop.token);
+    assert.strictEqual(all.body.sessionsRevoked, 1);
+    assert.strictEqual(await isSignedIn(laptop.token), false);
+    assert.strictEqual((await refresh(laptop.refreshToken)).status, 401);
+  });
+});
@@ -0,0 +1,50 @@
+// Location fuzzing and distance buckets.
+// Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const locationPrivacy = require('../lib/location');
+
+const MILES_PER_DEGREE = 69.05;
+
+describe('location privacy', () => {
+  it('keeps fuzzed coordinates within about a grid cell of the real ones', () => {
+    for (const coordinates of [[-122.3321, 47.6062], [151.2093, -33.8688], [18.9553, 69.6492]]) {
+      const fuzzed = locationPrivacy.fuzzCoordinates(coordinates, locationPrivacy.createJitter());
+      const latMiles = Math.abs(fuzzed[1] - coordinates[1]) * MILES_PER_DEGREE;
+      const lngMiles = Math.abs(fuzzed[0] - coordinates[0]) * MILES_PER_DEGREE * Math.cos(coordinates[1] * Math.PI / 180);
+
+      assert.ok(latMiles < locationPrivacy.GRID_MILES, `latitude off by ${latMiles} miles`);
+      assert.ok(lngMiles < locationPrivacy.GRID_MILES * 1.1, `longitude off by ${lngMiles} miles`);
+    }
+  });
+
+  it('gives the same point for every position in a cell', () => {
+    const jitter = locationPrivacy.createJitter();
+    const a = locationPrivacy.fuzzCoordinates([-122.33, 47.6], jitter);
+    const b = locationPrivacy.fuzzCoordinates([-122.3302, 47.6003], jitter);
+
+    assert.deepStrictEqual(a, b);
+  });
+
+  it('leaves already fuzzed coordinates unchanged', () => {
+    const jitter = locationPrivacy.createJitter();
+    const fuzzed = locationPrivacy.fuzzCoordinates([-73.9857, 40.7484], jitter);
+
+    assert.deepStrictEqual(locationPrivacy.fuzzCoordinates(fuzzed, jitter), fuzzed);
+  });
+
+  it('rounds distances into buckets', () => {
+    assert.strictEqual(locationPrivacy.formatDistance(0.3), '< 1 mile');
+    assert.strictEqual(locationPrivacy.formatDistance(1.2), '1 mile');
+    assert.strictEqual(locationPrivacy.formatDistance(2.4), '2 miles');
+    assert.strictEqual(locationPrivacy.formatDistance(13), '15 miles');
+    assert.strictEqual(locationPrivacy.formatDistance(76), '80 miles');
+  });
+
+  it('hides the distance when the user asked to', () => {
+    assert.strictEqual(locationPrivacy.describeDistance(2.4, { hideDistance: true }), 'Distance hidden');
+    assert.strictEqual(locationPrivacy.describeDistance(null, {}), 'Unknown');
+  });
+});
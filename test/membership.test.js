@@ -0,0 +1,161 @@
+// Membership computed from the payment ledger.
+// Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { computeMembership, getMembershipStatus, hasPremium, LIFETIME_END } = require('../lib/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2024-03-01T12:00:00Z');
+
+const day = offset => new Date(START.getTime() + offset * DAY_MS);
+
+const payment = (plan, paidOn, status = 'succeeded') => ({ plan, status, paidAt: day(paidOn) });
+
+const failedPayment = (plan, triedOn, failureCode = 'card_declined') => ({ plan, status: 'failed', failureCode, createdAt: day(triedOn) });
+
+describe('membership', () => {
+  it('is null for a user who never paid', () => {
+    assert.strictEqual(computeMembership([], day(0)), null);
+    assert.strictEqual(computeMembership([payment('monthly', 0, 'failed')], day(1)), null);
+  });
+
+  it('runs for the plan duration from the payment', () => {
+    const membership = computeMembership([payment('monthly', 0)], day(10));
+
+    assert.strictEqual(membership.active, true);
+    assert.strictEqual(membership.plan, 'monthly');
+    assert.deepStrictEqual(membership.startDate, day(0));
+    assert.deepStrictEqual(membership.endDate, day(30));
+  });
+
+  it('lapses once the period is over', () => {
+    const membership = computeMembership([payment('monthly', 0)], day(31));
+
+    assert.strictEqual(membership.active, false);
+    assert.deepStrictEqual(membership.endDate, day(30));
+  });
+
+  it('adds an early renewal onto the end of the running period', () => {
+    const transactions = [payment('monthly', 20), payment('monthly', 0)];
+
+    const now = computeMembership(transactions, day(25));
+    const later = computeMembership(transactions, day(45));
+
+    assert.deepStrictEqual(now.endDate, day(60));
+    assert.deepStrictEqual(now.transaction, transactions[1]);
+    assert.deepStrictEqual(later.startDate, day(0));
+    assert.deepStrictEqual(later.transaction, transactions[0]);
+  });
+
+  it('starts a new run after a gap', () => {
+    const membership = computeMembership([payment('monthly', 0), payment('yearly', 40)], day(50));
+
+    assert.strictEqual(membership.active, true);
+    assert.strictEqual(membership.plan, 'yearly');
+    assert.deepStrictEqual(membership.startDate, day(40));
+    assert.deepStrictEqual(membership.endDate, day(405));
+  });
+
+  it('ignores refunded and disputed payments', () => {
+    const membership = computeMembership([
+      payment('monthly', 0),
+      payment('yearly', 10, 'refunded'),
+      payment('lifetime', 12, 'disputed')
+    ], day(15));
+
+    assert.strictEqual(membership.plan, 'monthly');
+    assert.deepStrictEqual(membership.endDate, day(30));
+  });
+
+  it('never ends a lifetime membership', () => {
+    const membership = computeMembership([payment('lifetime', 0), payment('monthly', 100)], day(5000));
+
+    assert.strictEqual(membership.active, true);
+    assert.strictEqual(membership.plan, 'lifetime');
+    assert.deepStrictEqual(membership.endDate, LIFETIME_END);
+  });
+
+  it('keeps a membership going for the grace period after a failed renewal', () => {
+    const transactions = [payment('monthly', 0), failedPayment('monthly', 28)];
+
+    const inGrace = computeMembership(transactions, day(31), { graceDays: 3 });
+    const afterGrace = computeMembership(transactions, day(33), { graceDays: 3 });
+
+    assert.strictEqual(inGrace.active, false);
+    assert.strictEqual(inGrace.inGrace, true);
+    assert.deepStrictEqual(inGrace.graceEndDate, day(33));
+    assert.strictEqual(afterGrace.inGrace, false);
+  });
+
+  it('gives no grace without a failed renewal', () => {
+    const transactions = [failedPayment('monthly', -1), payment('monthly', 0)];
+
+    const membership = computeMembership(transactions, day(31), { graceDays: 3 });
+
+    assert.strictEqual(membership.inGrace, false);
+    assert.strictEqual(membership.graceEndDate, null);
+  });
+
+  it('only counts a decline of the current plan in the renewal window as a failed renewal', () => {
+    const withFailure = failure => computeMembership([payment('monthly', 0), failure], day(31), { graceDays: 3, renewalWindowDays: 7 });
+
+    assert.strictEqual(withFailure(failedPayment('monthly', 23)).inGrace, true);
+    assert.strictEqual(withFailure(failedPayment('monthly', 30, 'payment_declined')).inGrace, true);
+    // Too early to be a renewal
+    assert.strictEqual(withFailure(failedPayment('monthly', 10)).inGrace, false);
+    // An upgrade that didn't go through
+    assert.strictEqual(withFailure(failedPayment('yearly', 28)).inGrace, false);
+  });
+
+  it('gives no grace for failures that are not declines', () => {
+    for (const failureCode of ['order_not_found', 'order_mismatch', 'order_not_approved', 'amount_mismatch', 'checkout_expired', 'invalid_plan', 'capture_error']) {
+      const membership = computeMembership([payment('monthly', 0), failedPayment('monthly', 28, failureCode)], day(31), { graceDays: 3 });
+
+      assert.strictEqual(membership.inGrace, false, failureCode);
+      assert.strictEqual(membership.graceEndDate, null, failureCode);
+    }
+  });
+});
+
+describe('live membership status', () => {
+  const member = fields => ({ membershipType: 'premium', membershipStatus: 'active', membershipEndDate: day(30), ...fields });
+
+  it('is active until the end date', () => {
+    assert.strictEqual(getMembershipStatus(member(), day(29)), 'active');
+    assert.strictEqual(hasPremium(member(), day(29)), true);
+  });
+
+  it('lapses at the end date even before the expiry job runs', () => {
+    assert.strictEqual(getMembershipStatus(member(), day(30)), 'expired');
+    assert.strictEqual(hasPremium(member(), day(30)), false);
+  });
+
+  it('keeps premium during the grace period', () => {
+    const user = member({ membershipGraceEndsAt: day(33) });
+
+    assert.strictEqual(getMembershipStatus(user, day(31)), 'grace');
+    assert.strictEqual(hasPremium(user, day(31)), true);
+    assert.strictEqual(hasPremium(user, day(33)), false);
+  });
+
+  it('counts a premium membership without an end date as expired', () => {
+    const user = member({ membershipEndDate: undefined });
+
+    assert.strictEqual(getMembershipStatus(user, day(1)), 'expired');
+    assert.strictEqual(hasPremium(user, day(1)), false);
+  });
+
+  it('refuses a user loaded without the end date', () => {
+    const user = { ...member(), isSelected: path => path !== 'membershipEndDate' };
+
+    assert.throws(() => hasPremium(user, day(1)), /membershipEndDate/);
+  });
+
+  it('reports free users as they were left', () => {
+    assert.strictEqual(getMembershipStatus({ membershipType: 'free', membershipStatus: 'active' }), 'none');
+    assert.strictEqual(getMembershipStatus({ membershipType: 'free', membershipStatus: 'cancelled' }), 'cancelled');
+    assert.strictEqual(hasPremium(member({ membershipStatus: 'cancelled' }), day(1)), false);
+  });
+});
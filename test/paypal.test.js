@@ -0,0 +1,202 @@
+// PayPal order capture and webhooks against recorded API responses in
+// test/fixtures/paypal, served by a local stub instead of PayPal.
+// Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { PayPalPayments, PaymentError } = require('../lib/payments');
+
+const USER_ID = '65e6f2a1c4b8d93e2f1a7b10';
+const ORDER_ID = '5O190127TN364715T';
+const ORDER_PATH = `/v2/checkout/orders/${ORDER_ID}`;
+
+const loadFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'paypal', `${name}.json`), 'utf8');
+const fixture = name => JSON.parse(loadFixture(name));
+
+// Answers "METHOD /path" from routes and records every request
+function createStubHttp(routes) {
+  const requests = [];
+  return {
+    requests,
+    async request(request) {
+      const route = `${request.method} ${new URL(request.url).pathname}`;
+      requests.push({ route, ...request });
+      if (route === 'POST /v1/oauth2/token') {
+        return { status: 200, data: { access_token: 'A21AA-test-token', expires_in: 32400 } };
+      }
+      const response = routes[route];
+      if (!response) return { status: 404, data: { name: 'RESOURCE_NOT_FOUND' } };
+      return typeof response === 'function' ? response(request) : response;
+    }
+  };
+}
+
+const createPayPal = routes => {
+  const http = createStubHttp(routes);
+  const paypal = new PayPalPayments({ clientId: 'client', clientSecret: 'secret', webhookId: 'WH-ID', baseUrl: 'https://paypal.test', http });
+  return { paypal, http };
+};
+
+const webhookHeaders = {
+  'paypal-transmission-id': '69cd13f0-d67a-11e5-baa3-778b53f4ae55',
+  'paypal-transmission-time': '2024-03-12T09:02:45Z',
+  'paypal-transmission-sig': 'lmI95Jx3Y9nhR5SJWlHVIWpg4AgFk7n9bCHSRxbrd8A9zrhdu2rMyFrmz+Zjh3s3boXB07VXCXUZy/UFzUlnGJn0wDugt7FlSvdKeIJenLRemUxYCPVoEZzg9VFNqOa48gMkvF+XTpxBeUx/kWy6B5cp7GkT2+pOowfRK7OaynuxUoKW3JcMWw272VKjLTtTAShncla7tGF+55rxyt2KNZIIqxNMJ48RDZheGU5w1npu9dZHnPgTXB9iomeVRoD8O/jhRpnKsGrDschyNdkeh81BJJMH4Ctc6lnCCquoP/GzCzz33MMsNdid7vL/NIWaCsekQpW26FpWPi/tfj8nLA==',
+  'paypal-cert-url': 'https://api.paypal.com/v1/notifications/certs/CERT-360caa42-fca2a594-1d93a270',
+  'paypal-auth-algo': 'SHA256withRSA'
+};
+
+describe('paypal orders', () => {
+  it('captures an approved order and activates its plan', async () => {
+    const { paypal, http } = createPayPal({
+      [`GET ${ORDER_PATH}`]: { status: 200, data: fixture('order.approved') },
+      [`POST ${ORDER_PATH}/capture`]: { status: 201, data: fixture('order.captured') }
+    });
+
+    const { raw, ...activation } = await paypal.captureOrder(ORDER_ID, USER_ID, 'yearly');
+
+    assert.deepStrictEqual(activation, {
+      userId: USER_ID,
+      plan: 'yearly',
+      transactionId: ORDER_ID,
+      captureId: '3C679366HH908993F',
+      amount: 7999,
+      currency: 'usd'
+    });
+    assert.strictEqual(raw.status, 'COMPLETED');
+    const capture = http.requests.find(request => request.route === `POST ${ORDER_PATH}/capture`);
+    assert.strictEqual(capture.headers['PayPal-Request-Id'], `capture-${ORDER_ID}`);
+  });
+
+  it('creates orders at the plan price', async () => {
+    const { paypal, http } = createPayPal({
+      'POST /v2/checkout/orders': { status: 201, data: { id: ORDER_ID, status: 'CREATED' } }
+    });
+
+    const order = await paypal.createOrder({ _id: USER_ID }, 'yearly');
+
+    assert.strictEqual(order.orderId, ORDER_ID);
+    const unit = http.requests.find(request => request.route === 'POST /v2/checkout/orders').data.purchase_units[0];
+    assert.deepStrictEqual(unit.amount, { currency_code: 'USD', value: '79.99' });
+    assert.strictEqual(unit.custom_id, `${USER_ID}:yearly`);
+  });
+
+  it('refuses an order created for another user without capturing it', async () => {
+    const { paypal, http } = createPayPal({
+      [`GET ${ORDER_PATH}`]: { status: 200, data: fixture('order.approved') }
+    });
+
+    await assert.rejects(
+      paypal.captureOrder(ORDER_ID, '65e6f2a1c4b8d93e2f1a7b99', 'yearly'),
+      error => error instanceof PaymentError && error.code === 'order_mismatch'
+    );
+    assert.ok(!http.requests.some(request => request.route.endsWith('/capture')));
+  });
+
+  it('refuses an order for a different plan', async () => {
+    const { paypal } = createPayPal({
+      [`GET ${ORDER_PATH}`]: { status: 200, data: fixture('order.approved') }
+    });
+
+    await assert.rejects(paypal.captureOrder(ORDER_ID, USER_ID, 'lifetime'), error => error.code === 'order_mismatch');
+  });
+
+  it('refuses a capture for less than the plan price', async () => {
+    const captured = fixture('order.captured');
+    captured.purchase_units[0].payments.captures[0].amount.value = '0.01';
+    const { paypal } = createPayPal({
+      [`GET ${ORDER_PATH}`]: { status: 200, data: fixture('order.approved') },
+      [`POST ${ORDER_PATH}/capture`]: { status: 201, data: captured }
+    });
+
+    await assert.rejects(paypal.captureOrder(ORDER_ID, USER_ID, 'yearly'), error => error.code === 'amount_mismatch');
+  });
+
+  it('reads back an order that was already captured', async () => {
+    let lookups = 0;
+    const { paypal } = createPayPal({
+      [`GET ${ORDER_PATH}`]: () => ({ status: 200, data: fixture(lookups++ === 0 ? 'order.approved' : 'order.captured') }),
+      [`POST ${ORDER_PATH}/capture`]: { status: 422, data: fixture('order.already_captured') }
+    });
+
+    const activation = await paypal.captureOrder(ORDER_ID, USER_ID, 'yearly');
+
+    assert.strictEqual(activation.captureId, '3C679366HH908993F');
+  });
+
+  it('reports a declined payment', async () => {
+    const { paypal } = createPayPal({
+      [`GET ${ORDER_PATH}`]: { status: 200, data: fixture('order.approved') },
+      [`POST ${ORDER_PATH}/capture`]: { status: 422, data: fixture('order.instrument_declined') }
+    });
+
+    await assert.rejects(paypal.captureOrder(ORDER_ID, USER_ID, 'yearly'), error => error.code === 'payment_declined' && error.status === 402);
+  });
+
+  it('reports an unknown order', async () => {
+    const { paypal } = createPayPal({});
+
+    await assert.rejects(paypal.captureOrder(ORDER_ID, USER_ID, 'yearly'), error => error.code === 'order_not_found');
+  });
+});
+
+describe('paypal webhooks', () => {
+  it('verifies the exact body with PayPal', async () => {
+    const body = loadFixture('webhook.capture_refunded');
+    const { paypal, http } = createPayPal({
+      'POST /v1/notifications/verify-webhook-signature': { status: 200, data: { verification_status: 'SUCCESS' } }
+    });
+
+    const event = await paypal.verifyWebhook(webhookHeaders, Buffer.from(body));
+
+    assert.strictEqual(event.event_type, 'PAYMENT.CAPTURE.REFUNDED');
+    const sent = JSON.parse(http.requests.find(request => request.route.includes('verify-webhook-signature')).data);
+    assert.strictEqual(sent.webhook_id, 'WH-ID');
+    assert.deepStrictEqual(sent.webhook_event, JSON.parse(body));
+  });
+
+  it('rejects events PayPal does not vouch for', async () => {
+    const { paypal } = createPayPal({
+      'POST /v1/notifications/verify-webhook-signature': { status: 200, data: { verification_status: 'FAILURE' } }
+    });
+
+    await assert.rejects(
+      paypal.verifyWebhook(webhookHeaders, Buffer.from(loadFixture('webhook.capture_refunded'))),
+      error => error.code === 'invalid_signature'
+    );
+  });
+
+  it('rejects events without signature headers', async () => {
+    const { paypal, http } = createPayPal({});
+
+    await assert.rejects(
+      paypal.verifyWebhook({}, Buffer.from(loadFixture('webhook.capture_refunded'))),
+      error => error.code === 'invalid_signature'
+    );
+    assert.strictEqual(http.requests.length, 0);
+  });
+
+  it('maps refunds and disputes to the captures they concern', () => {
+    const { paypal } = createPayPal({});
+
+    assert.deepStrictEqual(paypal.getWebhookAction(fixture('webhook.capture_refunded')), {
+      type: 'refund',
+      captureId: '3C679366HH908993F',
+      reversed: false
+    });
+    assert.deepStrictEqual(paypal.getWebhookAction(fixture('webhook.dispute_created')), {
+      type: 'dispute',
+      captureIds: ['3C679366HH908993F'],
+      disputeId: 'PP-D-27803'
+    });
+    assert.deepStrictEqual(paypal.getWebhookAction(fixture('webhook.dispute_resolved')), {
+      type: 'dispute_resolved',
+      captureIds: ['3C679366HH908993F'],
+      disputeId: 'PP-D-27803',
+      sellerWon: true
+    });
+    assert.strictEqual(paypal.getWebhookAction({ event_type: 'CHECKOUT.ORDER.APPROVED', resource: {} }), null);
+  });
+});
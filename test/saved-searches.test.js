@@ -0,0 +1,161 @@
+// Saved search alerts, end to end against the real server and a real
+// (in-memory) MongoDB, with the alerts job running every second.
+// Run with: npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const User = require('../models/User');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.unref();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Profiles that match an empty filter set, created at createdAt
+const insertProfiles = (count, createdAt, prefix) => User.collection.insertMany(
+  Array.from({ length: count }, (_, index) => ({
+    email: `${prefix}-${index}@example.com`,
+    name: `${prefix} ${index}`,
+    username: `${prefix}${index}`,
+    membershipType: 'free',
+    accountStatus: 'active',
+    lastActive: new Date(),
+    createdAt,
+    updatedAt: createdAt
+  }))
+);
+
+describe('saved search alerts', () => {
+  let mongod;
+  let server;
+  let baseUrl;
+  let tmpDir;
+  let token;
+
+  const api = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const getSearch = async (id) => {
+    const { body } = await api('GET', '/api/searches');
+    return body.searches.find(search => String(search.id) === String(id));
+  };
+
+  // Wait for the alerts job to finish a run of the search that started after since
+  const nextRun = async (id, since) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const search = await getSearch(id);
+      if (new Date(search.lastRunAt) > since) {
+        await wait(300); // The run's results are saved just after it's claimed
+        return getSearch(id);
+      }
+      await wait(200);
+    }
+    throw new Error('The alerts job did not run');
+  };
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pethoria-searches-'));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, ['server.js'], {
+      cwd: path.join(__dirname, '..'),
+      env: {
+        ...process.env,
+        NODE_ENV: 'test',
+        PORT: String(port),
+        MONGODB_URI: mongod.getUri(),
+        REDIS_URL: '',
+        JWT_SECRET: 'test-secret',
+        MAIL_DRIVER: 'file',
+        MAIL_FILE_DIR: path.join(tmpDir, 'mail'),
+        STORAGE_DRIVER: 'local',
+        STORAGE_LOCAL_DIR: path.join(tmpDir, 'uploads'),
+        SAVED_SEARCH_INTERVAL_MINUTES: '0.01',
+        SAVED_SEARCH_JOB_INTERVAL_SECONDS: '1'
+      },
+      stdio: 'ignore'
+    });
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const health = await fetch(`${baseUrl}/health`).then(response => response.json()).catch(() => null);
+      if (health && health.mongodb === 'connected') break;
+      await wait(200);
+    }
+
+    const credentials = { email: 'searcher@example.com', password: 'correct-horse-1' };
+    const registered = await api('POST', '/api/auth/register', { ...credentials, name: 'Searcher' });
+    assert.strictEqual(registered.status, 201, JSON.stringify(registered.body));
+    const signedIn = await api('POST', '/api/auth/login', credentials);
+    assert.strictEqual(signedIn.status, 200, JSON.stringify(signedIn.body));
+    token = signedIn.body.token;
+  });
+
+  after(async () => {
+    if (server) server.kill();
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('never alerts about profiles that matched when the search was saved', async () => {
+    await insertProfiles(120, new Date(Date.now() - 2 * HOUR_MS), 'existing');
+
+    const created = await api('POST', '/api/searches', { name: 'Everyone', filters: {} });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    const { id, lastRunAt } = created.body.search;
+
+    // More than one page of existing matches, over several runs
+    let since = new Date(lastRunAt);
+    for (let run = 0; run < 3; run++) {
+      const search = await nextRun(id, since);
+      assert.strictEqual(search.lastNewMatchCount, 0, `run ${run}`);
+      since = new Date(search.lastRunAt);
+    }
+  });
+
+  it('alerts about a new profile once', async () => {
+    const created = await api('POST', '/api/searches', { name: 'Newcomers', filters: {} });
+    const { id, lastRunAt } = created.body.search;
+
+    await insertProfiles(1, new Date(), 'newcomer');
+
+    let search = await nextRun(id, new Date(lastRunAt));
+    if (search.lastNewMatchCount === 0) {
+      // The profile landed after that run started; it belongs to the next one
+      search = await nextRun(id, new Date(search.lastRunAt));
+    }
+    assert.strictEqual(search.lastNewMatchCount, 1);
+
+    const rerun = await nextRun(id, new Date(search.lastRunAt));
+    assert.strictEqual(rerun.lastNewMatchCount, 0);
+  });
+});
@@ -0,0 +1,117 @@
+// Square card payments against recorded API results in test/fixtures/square,
+// returned by a stub client instead of Square.
+// Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { SquarePayments, PaymentError } = require('../lib/payments');
+
+const user = { _id: '65e6f2a1c4b8d93e2f1a7b10', email: 'owner@example.com' };
+
+// The SDK returns money amounts as BigInt
+const fixture = name => JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'square', `${name}.json`), 'utf8'),
+  (key, value) => (key === 'amount' ? BigInt(value) : value)
+);
+
+// A client whose createPayment resolves with { result } or rejects with an API error
+function createSquare(respond) {
+  const requests = [];
+  const client = {
+    paymentsApi: {
+      async createPayment(body) {
+        requests.push(body);
+        return respond(body);
+      }
+    }
+  };
+  return { square: new SquarePayments({ client, locationId: 'L88917AVBK2S5' }), requests };
+}
+
+const apiError = name => Object.assign(new Error('Response status code was not ok'), fixture(name));
+
+describe('square payments', () => {
+  it('charges the plan price and activates the plan', async () => {
+    const { square, requests } = createSquare(() => ({ result: fixture('payment.completed') }));
+
+    const { raw, ...activation } = await square.createPayment(user, 'monthly', { sourceId: 'cnon:card-nonce-ok' });
+
+    assert.deepStrictEqual(activation, {
+      userId: user._id,
+      plan: 'monthly',
+      transactionId: 'R2B3Z8WMVt3EAmzYWLZvz7Y69EbZY',
+      amount: 999,
+      currency: 'usd',
+      cardBrand: 'VISA',
+      last4: '1111',
+      receiptUrl: 'https://squareupsandbox.com/receipt/preview/R2B3Z8WMVt3EAmzYWLZvz7Y69EbZY'
+    });
+    // Stored as is in the ledger, so the BigInt amounts become strings
+    assert.deepStrictEqual(raw.amountMoney, { amount: '999', currency: 'USD' });
+    assert.deepStrictEqual(requests[0].amountMoney, { amount: 999n, currency: 'USD' });
+    assert.strictEqual(requests[0].sourceId, 'cnon:card-nonce-ok');
+  });
+
+  it('uses the same idempotency key when the same card nonce is retried', async () => {
+    const { square, requests } = createSquare(() => ({ result: fixture('payment.completed') }));
+
+    await square.createPayment(user, 'monthly', { sourceId: 'cnon:card-nonce-ok' });
+    await square.createPayment(user, 'monthly', { sourceId: 'cnon:card-nonce-ok' });
+    await square.createPayment(user, 'monthly', { sourceId: 'cnon:another-nonce' });
+
+    assert.strictEqual(requests[0].idempotencyKey, requests[1].idempotencyKey);
+    assert.notStrictEqual(requests[0].idempotencyKey, requests[2].idempotencyKey);
+    assert.ok(requests[0].idempotencyKey.length <= 45);
+  });
+
+  it('explains a declined card', async () => {
+    const { square } = createSquare(() => { throw apiError('payment.cvv_failure'); });
+
+    await assert.rejects(square.createPayment(user, 'monthly', { sourceId: 'cnon:card-nonce-rejected-cvv' }), error => {
+      assert.ok(error instanceof PaymentError);
+      assert.strictEqual(error.code, 'cvv_failure');
+      assert.strictEqual(error.status, 402);
+      assert.match(error.message, /security code/);
+      assert.strictEqual(error.paymentId, 'bP9mAsEMYPUGjjGNaNO5ZDVyLhSZY');
+      assert.strictEqual(error.raw.status, 'FAILED');
+      return true;
+    });
+  });
+
+  it('asks for the card again when the nonce was already used', async () => {
+    const { square } = createSquare(() => { throw apiError('payment.card_token_used'); });
+
+    await assert.rejects(square.createPayment(user, 'monthly', { sourceId: 'cnon:used' }), error => {
+      assert.strictEqual(error.code, 'card_token_used');
+      assert.strictEqual(error.status, 400);
+      assert.match(error.message, /enter them again/);
+      return true;
+    });
+  });
+
+  it('refuses a payment for a different amount', async () => {
+    const { square } = createSquare(() => ({ result: fixture('payment.completed') }));
+
+    await assert.rejects(square.createPayment(user, 'yearly', { sourceId: 'cnon:card-nonce-ok' }), error => error.code === 'amount_mismatch');
+  });
+
+  it('passes on errors that are not about the card', async () => {
+    const outage = Object.assign(new Error('Service unavailable'), {
+      statusCode: 503,
+      errors: [{ category: 'API_ERROR', code: 'SERVICE_UNAVAILABLE' }]
+    });
+    const { square } = createSquare(() => { throw outage; });
+
+    await assert.rejects(square.createPayment(user, 'monthly', { sourceId: 'cnon:card-nonce-ok' }), error => error === outage);
+  });
+
+  it('rejects unknown plans before calling Square', async () => {
+    const { square, requests } = createSquare(() => ({ result: fixture('payment.completed') }));
+
+    await assert.rejects(square.createPayment(user, 'forever', { sourceId: 'cnon:card-nonce-ok' }), error => error.code === 'invalid_plan');
+    assert.strictEqual(requests.length, 0);
+  });
+});
@@ -0,0 +1,147 @@
+// Stripe webhook handling against recorded events in test/fixtures/stripe.
+// Signatures are generated locally, so no network access is needed.
+// Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { StripePayments, PaymentError } = require('../lib/payments');
+
+const WEBHOOK_SECRET = 'whsec_test_fixture';
+
+const stripePayments = new StripePayments({ secretKey: 'sk_test_fixture', webhookSecret: WEBHOOK_SECRET });
+
+const loadFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'stripe', `${name}.json`), 'utf8');
+
+const sign = (payload, secret = WEBHOOK_SECRET) =>
+  stripePayments.client.webhooks.generateTestHeaderString({ payload, secret });
+
+const constructFixture = name => {
+  const payload = loadFixture(name);
+  return stripePayments.constructEvent(Buffer.from(payload), sign(payload));
+};
+
+describe('stripe webhooks', () => {
+  it('records the plan paid for by a succeeded PaymentIntent', () => {
+    const event = constructFixture('payment_intent.succeeded');
+
+    const { raw, ...action } = stripePayments.getWebhookAction(event);
+
+    assert.deepStrictEqual(action, {
+      type: 'succeeded',
+      reference: 'pi_3OqXb2KZ8vTq1Y4n0kP2wE7r',
+      userId: '65e6f2a1c4b8d93e2f1a7b10',
+      plan: 'monthly',
+      amount: 999,
+      currency: 'usd'
+    });
+    assert.strictEqual(raw.id, 'pi_3OqXb2KZ8vTq1Y4n0kP2wE7r');
+  });
+
+  it('rejects events signed with another secret', () => {
+    const payload = loadFixture('payment_intent.succeeded');
+
+    assert.throws(
+      () => stripePayments.constructEvent(Buffer.from(payload), sign(payload, 'whsec_someone_else')),
+      error => error instanceof PaymentError && error.code === 'invalid_signature'
+    );
+  });
+
+  it('rejects a body changed after signing', () => {
+    const payload = loadFixture('payment_intent.succeeded');
+    const signature = sign(payload);
+    const tampered = payload.replace('"plan": "monthly"', '"plan": "lifetime"');
+
+    assert.throws(
+      () => stripePayments.constructEvent(Buffer.from(tampered), signature),
+      error => error.code === 'invalid_signature'
+    );
+  });
+
+  it('rejects a missing signature', () => {
+    assert.throws(
+      () => stripePayments.constructEvent(Buffer.from(loadFixture('payment_intent.succeeded')), undefined),
+      error => error.code === 'invalid_signature'
+    );
+  });
+
+  it('records a payment for less than the plan price as failed', () => {
+    const event = JSON.parse(loadFixture('payment_intent.succeeded'));
+    event.data.object.metadata.plan = 'lifetime';
+
+    const action = stripePayments.getWebhookAction(event);
+
+    assert.strictEqual(action.type, 'failed');
+    assert.strictEqual(action.plan, 'lifetime');
+    assert.strictEqual(action.failureCode, 'amount_mismatch');
+  });
+
+  it('records a declined PaymentIntent with the decline code', () => {
+    const event = constructFixture('payment_intent.payment_failed');
+
+    const { raw, ...action } = stripePayments.getWebhookAction(event);
+
+    assert.deepStrictEqual(action, {
+      type: 'failed',
+      reference: 'pi_3OqXc9KZ8vTq1Y4n1pL7sN2v',
+      userId: '65e6f2a1c4b8d93e2f1a7b10',
+      plan: 'yearly',
+      amount: 7999,
+      currency: 'usd',
+      failureCode: 'insufficient_funds',
+      failureMessage: 'Your card has insufficient funds.'
+    });
+  });
+
+  it('maps refunds and disputes back to the PaymentIntent', () => {
+    const reference = 'pi_3OqXb2KZ8vTq1Y4n0kP2wE7r';
+    const actionFor = name => {
+      const { raw, ...action } = stripePayments.getWebhookAction(constructFixture(name));
+      return action;
+    };
+
+    assert.deepStrictEqual(actionFor('charge.refunded'), { type: 'refund', reference });
+    assert.deepStrictEqual(actionFor('charge.dispute.created'), { type: 'dispute', reference });
+    assert.deepStrictEqual(actionFor('charge.dispute.closed'), { type: 'dispute_resolved', reference, sellerWon: true });
+  });
+
+  it('keeps the membership on a partial refund', () => {
+    const event = JSON.parse(loadFixture('charge.refunded'));
+    event.data.object.amount_refunded = 500;
+    event.data.object.refunded = false;
+
+    assert.strictEqual(stripePayments.getWebhookAction(event), null);
+  });
+
+  it('links a completed Checkout session to its PaymentIntent', () => {
+    const { raw, ...action } = stripePayments.getWebhookAction(constructFixture('checkout.session.completed'));
+
+    assert.deepStrictEqual(action, {
+      type: 'checkout_completed',
+      reference: 'cs_test_a1B2c3D4e5F6g7H8i9J0kLmNoPqRsTuVwXyZ',
+      paymentIntent: 'pi_3OqXd3KZ8vTq1Y4n2gF5hK9w'
+    });
+  });
+
+  it('reports an abandoned Checkout session', () => {
+    const { raw, ...action } = stripePayments.getWebhookAction(constructFixture('checkout.session.expired'));
+
+    assert.deepStrictEqual(action, { type: 'checkout_expired', reference: 'cs_test_b9C8d7E6f5G4h3I2j1K0lMnOpQrStUvWxYz' });
+  });
+
+  it('ignores events that do not change a payment', () => {
+    const event = JSON.parse(loadFixture('charge.refunded'));
+    event.type = 'charge.updated';
+
+    assert.strictEqual(stripePayments.getWebhookAction(event), null);
+  });
+
+  it('ignores payments that are not for a membership', () => {
+    const event = JSON.parse(loadFixture('payment_intent.succeeded'));
+    event.data.object.metadata = {};
+
+    assert.strictEqual(stripePayments.getWebhookAction(event), null);
+  });
+});
@@ -0,0 +1,236 @@
+// Swipe and match creation against a real (in-memory) MongoDB.
+// Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Swipe = require('../models/Swipe');
+const SwipeRequest = require('../models/SwipeRequest');
+const Match = require('../models/Match');
+const swipes = require('../lib/swipes');
+
+const newUserId = () => new mongoose.Types.ObjectId();
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const swipe = (swiperId, targetUserId, action = 'like', idempotencyKey) =>
+  swipes.recordSwipe({ swiperId, targetUserId, profileId: targetUserId.toString(), action, idempotencyKey });
+
+describe('swipes', () => {
+  let mongod;
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    // The unique indexes are what make concurrent upserts converge
+    await Swipe.syncIndexes();
+    await SwipeRequest.syncIndexes();
+    await Match.syncIndexes();
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Swipe.deleteMany({});
+    await SwipeRequest.deleteMany({});
+    await Match.deleteMany({});
+  });
+
+  it('creates exactly one match when two users like each other at the same moment', async () => {
+    for (let round = 0; round < 25; round++) {
+      const alice = newUserId();
+      const bob = newUserId();
+
+      const results = await Promise.all([swipe(alice, bob), swipe(bob, alice)]);
+
+      assert.ok(results.some(result => result.isMatch), `round ${round}: neither side saw the match`);
+      assert.strictEqual(results.filter(result => result.matchCreated).length, 1, `round ${round}`);
+      assert.strictEqual(await Match.countDocuments({ pairKey: Match.getPairKey(alice, bob) }), 1);
+    }
+  });
+
+  it('records a retried swipe once', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => swipe(alice, bob)));
+
+    assert.strictEqual(results.filter(result => result.swipeChanged).length, 1);
+    assert.strictEqual(await Swipe.countDocuments({ swiperId: alice, targetUserId: bob }), 1);
+  });
+
+  it('creates the match only once when the completing like is retried', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(bob, alice);
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => swipe(alice, bob)));
+
+    assert.ok(results.every(result => result.isMatch));
+    assert.strictEqual(results.filter(result => result.matchCreated).length, 1);
+    assert.strictEqual(await Match.countDocuments({}), 1);
+  });
+
+  it('replays the original outcome for a repeated idempotency key', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(bob, alice);
+
+    const first = await swipe(alice, bob, 'like', 'key-1');
+    const replay = await swipe(alice, bob, 'like', 'key-1');
+
+    assert.deepStrictEqual(
+      { action: first.action, isMatch: first.isMatch, matchCreated: first.matchCreated },
+      { action: 'like', isMatch: true, matchCreated: true }
+    );
+    assert.strictEqual(replay.replayed, true);
+    assert.strictEqual(replay.action, 'like');
+    assert.strictEqual(replay.isMatch, true);
+    assert.strictEqual(replay.matchCreated, false);
+
+    const stored = await Swipe.findOne({ swiperId: alice, targetUserId: bob });
+    assert.strictEqual(stored.action, 'like');
+  });
+
+  it('rejects an idempotency key reused for another target or action', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    const carol = newUserId();
+    await swipe(bob, alice);
+    await swipe(carol, alice);
+
+    await swipe(alice, bob, 'like', 'key-1');
+
+    await assert.rejects(swipe(alice, carol, 'like', 'key-1'), swipes.IdempotencyKeyError);
+    await assert.rejects(swipe(alice, bob, 'pass', 'key-1'), swipes.IdempotencyKeyError);
+    assert.strictEqual(await Swipe.exists({ swiperId: alice, targetUserId: carol }), null);
+    assert.strictEqual(await Match.countDocuments({}), 1);
+    assert.strictEqual((await Swipe.findOne({ swiperId: alice, targetUserId: bob })).action, 'like');
+  });
+
+  it('does not re-apply an older request replayed after a newer one', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+
+    await swipe(alice, bob, 'like', 'key-1');
+    await swipe(alice, bob, 'pass', 'key-2');
+    const replay = await swipe(alice, bob, 'like', 'key-1');
+
+    assert.strictEqual(replay.replayed, true);
+    assert.strictEqual(replay.swipeChanged, false);
+    assert.strictEqual((await Swipe.findOne({ swiperId: alice, targetUserId: bob })).action, 'pass');
+  });
+
+  it('updates the decision when the user changes their mind', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+
+    const pass = await swipe(alice, bob, 'pass');
+    const like = await swipe(alice, bob, 'like');
+
+    assert.strictEqual(pass.swipeChanged, true);
+    assert.strictEqual(like.swipeChanged, true);
+    assert.strictEqual(await Swipe.countDocuments({ swiperId: alice }), 1);
+    assert.strictEqual((await Swipe.findOne({ swiperId: alice })).action, 'like');
+  });
+
+  it('undoes the last swipe and the match it created', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(bob, alice);
+    await swipe(alice, bob);
+
+    const result = await swipes.undoLastSwipe(alice);
+
+    assert.strictEqual(result.swipe.targetUserId.toString(), bob.toString());
+    assert.strictEqual(result.matchRemoved, true);
+    assert.strictEqual(await Swipe.countDocuments({ swiperId: alice }), 0);
+    assert.strictEqual(await Match.countDocuments({}), 0);
+    // The other side's like is untouched, so liking again re-creates the match
+    assert.strictEqual((await swipe(alice, bob)).matchCreated, true);
+  });
+
+  it('keeps the match when the undone swipe did not create it', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(alice, bob);
+    await swipe(bob, alice);
+
+    const result = await swipes.undoLastSwipe(alice);
+
+    assert.strictEqual(result.matchRemoved, false);
+    assert.strictEqual(await Match.countDocuments({}), 1);
+  });
+
+  it('undoes the latest decision, not an older swipe that was retried', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    const carol = newUserId();
+    await swipe(bob, alice);
+    await swipe(alice, bob);
+    await wait(10); // Swipes are ordered by their last update
+    await swipe(alice, carol);
+
+    const retry = await swipe(alice, bob);
+    const result = await swipes.undoLastSwipe(alice);
+
+    assert.strictEqual(retry.swipeChanged, false);
+    assert.strictEqual(result.swipe.targetUserId.toString(), carol.toString());
+    assert.strictEqual(await Match.countDocuments({}), 1);
+  });
+
+  it('keeps an existing match when undoing a changed decision', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(bob, alice);
+    await swipe(alice, bob);
+    await swipe(alice, bob, 'pass');
+
+    const result = await swipes.undoLastSwipe(alice);
+
+    assert.strictEqual(result.swipe.action, 'pass');
+    assert.strictEqual(result.matchRemoved, false);
+    assert.strictEqual(await Match.countDocuments({}), 1);
+  });
+
+  it('keeps an ended match ended when the swipe that created it is undone', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(bob, alice);
+    await swipe(alice, bob);
+    // Bob unmatches (or blocks) Alice
+    await Match.updateOne({ pairKey: Match.getPairKey(alice, bob) }, { isActive: false });
+
+    const undone = await swipes.undoLastSwipe(alice);
+    const again = await swipe(alice, bob);
+
+    assert.strictEqual(undone.matchRemoved, false);
+    assert.strictEqual(again.matchCreated, false);
+    assert.strictEqual(again.isMatch, false);
+    assert.strictEqual(await Match.countDocuments({ isActive: true }), 0);
+  });
+
+  it('only undoes swipes made after the previous undo', async () => {
+    const alice = newUserId();
+    await swipe(alice, newUserId());
+    const since = new Date(Date.now() + 1000);
+
+    assert.strictEqual(await swipes.undoLastSwipe(alice, since), null);
+    assert.strictEqual(await Swipe.countDocuments({ swiperId: alice }), 1);
+  });
+
+  it('does not match on a pass', async () => {
+    const alice = newUserId();
+    const bob = newUserId();
+    await swipe(bob, alice);
+
+    const result = await swipe(alice, bob, 'pass');
+
+    assert.strictEqual(result.isMatch, false);
+    assert.strictEqual(await Match.countDocuments({}), 0);
+  });
+});
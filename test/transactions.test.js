@@ -0,0 +1,69 @@
+// The payment ledger against a real (in-memory) MongoDB.
+// Run with: npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Transaction = require('../models/Transaction');
+const { computeMembership } = require('../lib/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('transactions', () => {
+  let mongod;
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    await Transaction.syncIndexes();
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongod.stop();
+  });
+
+  beforeEach(async () => {
+    await Transaction.deleteMany({});
+  });
+
+  const keys = (providerReference, userId = new mongoose.Types.ObjectId()) => ({ provider: 'paypal', providerReference, userId });
+
+  it('records a retried payment once', async () => {
+    const payment = keys('ORDER-1');
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => Transaction.record(payment, 'succeeded', { plan: 'monthly' })));
+
+    assert.strictEqual(results.filter(result => result && result.created).length, 1);
+    assert.strictEqual(await Transaction.countDocuments({}), 1);
+  });
+
+  it('does not let a retried success undo a refund', async () => {
+    const payment = keys('ORDER-2');
+    await Transaction.record(payment, 'succeeded', { plan: 'monthly' });
+    await Transaction.transition({ provider: 'paypal', providerReference: 'ORDER-2' }, ['succeeded'], 'refunded');
+
+    assert.strictEqual(await Transaction.record(payment, 'succeeded', { plan: 'monthly' }), null);
+    assert.strictEqual((await Transaction.findOne({ providerReference: 'ORDER-2' })).status, 'refunded');
+  });
+
+  it('gives back the original period when a dispute is won', async () => {
+    const payment = keys('ORDER-3');
+    const { transaction: paid } = await Transaction.record(payment, 'succeeded', { plan: 'monthly', captureId: 'CAPTURE-3' });
+
+    await Transaction.transition({ provider: 'paypal', captureId: 'CAPTURE-3' }, ['succeeded'], 'disputed');
+    const onHold = computeMembership(await Transaction.find({ userId: payment.userId }).lean(), new Date());
+    assert.strictEqual(onHold, null);
+
+    // Won two weeks later
+    const won = await Transaction.transition({ provider: 'paypal', captureId: 'CAPTURE-3' }, ['disputed'], 'succeeded');
+    const membership = computeMembership([won.toObject()], new Date(paid.paidAt.getTime() + 14 * DAY_MS));
+
+    assert.deepStrictEqual(won.paidAt, paid.paidAt);
+    assert.deepStrictEqual(membership.startDate, paid.paidAt);
+    assert.deepStrictEqual(membership.endDate, new Date(paid.paidAt.getTime() + 30 * DAY_MS));
+    assert.deepStrictEqual(won.history.map(entry => entry.status), ['succeeded', 'disputed', 'succeeded']);
+  });
+});